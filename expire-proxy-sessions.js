@@ -0,0 +1,26 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const ProxyNumberService = require('./src/services/proxyNumberService');
+
+// Ends masked-number sessions whose code has left 'found', turned masking off,
+// been deleted or passed PROXY_SESSION_MAX_DAYS, and hands the numbers back.
+// Calls to a stale number are refused anyway; this frees them sooner.
+// Run hourly from cron: node expire-proxy-sessions.js
+async function expireProxySessions() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/scanback');
+    console.log('✅ Connected to MongoDB');
+
+    const { checked, ended } = await ProxyNumberService.expireStale();
+    console.log(`✅ Ended ${ended} of ${checked} active proxy number sessions`);
+
+  } catch (error) {
+    console.error('❌ Error expiring proxy number sessions:', error.message);
+  } finally {
+    await mongoose.disconnect();
+    process.exit(0);
+  }
+}
+
+expireProxySessions();
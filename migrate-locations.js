@@ -0,0 +1,65 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const QRCode = require('./src/models/QRCode');
+const ScanEvent = require('./src/models/ScanEvent');
+const { toGeoPoint } = require('./src/models/geoPoint');
+
+// Codes used to be created with contact.location.coordinates set to 0,0 and
+// scans stored "Unknown" or a "lat,lng" string as their location. Drops the
+// placeholder values and turns coordinate strings into geo points.
+// Usage: node migrate-locations.js [--dry-run]
+async function migrateLocations() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/scanback');
+    console.log('✅ Connected to MongoDB');
+
+    const placeholderContact = { 'contact.location.coordinates.lat': 0, 'contact.location.coordinates.lng': 0 };
+    const unknownScan = { location: { $in: ['Unknown', 'unknown', ''] } };
+
+    const contacts = await QRCode.collection.countDocuments(placeholderContact);
+    const unknown = await ScanEvent.collection.countDocuments(unknownScan);
+
+    let converted = 0;
+    const cursor = ScanEvent.collection.find(
+      { location: { $regex: /^\s*-?\d+(\.\d+)?\s*,\s*-?\d+(\.\d+)?\s*$/ }, geo: { $exists: false } },
+      { projection: { location: 1 } }
+    );
+
+    for await (const scan of cursor) {
+      const geo = toGeoPoint(scan.location);
+      if (geo) {
+        converted++;
+      }
+
+      if (dryRun) {
+        continue;
+      }
+
+      // 0,0 and out-of-range strings have no usable point; just drop them
+      await ScanEvent.collection.updateOne(
+        { _id: scan._id },
+        geo ? { $set: { geo }, $unset: { location: '' } } : { $unset: { location: '' } }
+      );
+    }
+
+    if (!dryRun) {
+      await QRCode.collection.updateMany(placeholderContact, { $unset: { 'contact.location.coordinates': '' } });
+      await ScanEvent.collection.updateMany(unknownScan, { $unset: { location: '' } });
+    }
+
+    console.log(`${dryRun ? 'Would clear' : '✅ Cleared'} 0,0 coordinates on ${contacts} QR codes`);
+    console.log(`${dryRun ? 'Would clear' : '✅ Cleared'} "Unknown" location on ${unknown} scans`);
+    console.log(`${dryRun ? 'Would convert' : '✅ Converted'} ${converted} coordinate strings to geo points`);
+
+  } catch (error) {
+    console.error('❌ Error migrating locations:', error.message);
+  } finally {
+    await mongoose.disconnect();
+    process.exit(0);
+  }
+}
+
+migrateLocations();
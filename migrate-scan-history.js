@@ -0,0 +1,87 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const QRCode = require('./src/models/QRCode');
+const ScanEvent = require('./src/models/ScanEvent');
+
+// Scan history used to live in QRCode.metadata.scanHistory (last 50 scans
+// only). Moves each entry into the ScanEvent collection, skipping any already
+// past the retention period, then removes the embedded array.
+// Usage: node migrate-scan-history.js [--dry-run]
+async function migrateScanHistory() {
+  const dryRun = process.argv.includes('--dry-run');
+  const retentionMs = ScanEvent.RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/scanback');
+    console.log('✅ Connected to MongoDB');
+
+    // scanHistory is no longer in the schema, so read the raw collection
+    const cursor = QRCode.collection.find(
+      { 'metadata.scanHistory.0': { $exists: true } },
+      { projection: { code: 1, owner: 1, 'metadata.scanHistory': 1 } }
+    );
+
+    let codes = 0;
+    let moved = 0;
+    let expired = 0;
+
+    for await (const qrCode of cursor) {
+      const events = [];
+
+      for (const scan of qrCode.metadata.scanHistory) {
+        const scannedAt = scan.scannedAt || qrCode._id.getTimestamp();
+        const expiresAt = new Date(scannedAt.getTime() + retentionMs);
+
+        if (expiresAt <= new Date()) {
+          expired++;
+          continue;
+        }
+
+        events.push({
+          qrCode: qrCode._id,
+          code: qrCode.code,
+          owner: qrCode.owner,
+          scannedAt,
+          ipAddress: scan.ipAddress,
+          userAgent: scan.userAgent,
+          location: scan.location,
+          medium: scan.medium || 'qr',
+          expiresAt
+        });
+      }
+
+      codes++;
+      moved += events.length;
+
+      if (dryRun) {
+        continue;
+      }
+
+      // Insert before unsetting: a crash here leaves this one code's scans in
+      // both places (a re-run would copy them again) rather than losing them
+      if (events.length > 0) {
+        await ScanEvent.insertMany(events);
+      }
+      await QRCode.collection.updateOne({ _id: qrCode._id }, { $unset: { 'metadata.scanHistory': '' } });
+    }
+
+    if (!dryRun) {
+      // Codes that were never scanned still carry an empty array
+      await QRCode.collection.updateMany(
+        { 'metadata.scanHistory': { $exists: true } },
+        { $unset: { 'metadata.scanHistory': '' } }
+      );
+    }
+
+    console.log(`${dryRun ? 'Would move' : '✅ Moved'} ${moved} scans from ${codes} QR codes (${expired} past retention dropped)`);
+
+  } catch (error) {
+    console.error('❌ Error migrating scan history:', error.message);
+  } finally {
+    await mongoose.disconnect();
+    process.exit(0);
+  }
+}
+
+migrateScanHistory();
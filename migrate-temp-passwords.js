@@ -0,0 +1,58 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('./src/models/User');
+const InviteService = require('./src/services/inviteService');
+const TokenService = require('./src/services/tokenService');
+
+// Accounts created with an emailed temporary password get a set-password
+// link instead; the temporary password stops working immediately.
+// Usage: node migrate-temp-passwords.js [--dry-run]
+async function migrateTempPasswords() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/scanback');
+    console.log('✅ Connected to MongoDB');
+
+    // The temp fields are no longer in the schema, so query the raw collection
+    const pending = await User.collection
+      .find({ tempPassword: { $nin: [null, ''] } }, { projection: { _id: 1 } })
+      .toArray();
+
+    console.log(`Found ${pending.length} accounts still on a temporary password`);
+
+    let invited = 0;
+    for (const { _id } of pending) {
+      const user = await User.findById(_id);
+      if (!user) continue;
+
+      if (dryRun) {
+        console.log(`Would invite: ${user.email}`);
+        continue;
+      }
+
+      user.password = undefined;
+      await InviteService.sendInvite(user, { existingAccount: true });
+      await TokenService.revokeAllSessions(user._id, 'temp_password_migrated');
+      invited++;
+      console.log(`✅ Invited: ${user.email}`);
+    }
+
+    if (!dryRun) {
+      const result = await User.collection.updateMany(
+        { $or: [{ tempPassword: { $exists: true } }, { tempPasswordExpires: { $exists: true } }] },
+        { $unset: { tempPassword: '', tempPasswordExpires: '' } }
+      );
+      console.log(`✅ Sent ${invited} invites, cleared temp fields on ${result.modifiedCount} accounts`);
+    }
+
+  } catch (error) {
+    console.error('❌ Error migrating temporary passwords:', error.message);
+  } finally {
+    await mongoose.disconnect();
+    process.exit(0);
+  }
+}
+
+migrateTempPasswords();
@@ -0,0 +1,24 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const AccountService = require('./src/services/accountService');
+
+// Permanently removes accounts whose deletion grace period has ended.
+// Run daily from cron: node purge-deleted-accounts.js
+async function purgeDeletedAccounts() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/scanback');
+    console.log('✅ Connected to MongoDB');
+
+    const { due, purged } = await AccountService.purgeDueAccounts();
+    console.log(`✅ Purged ${purged} of ${due} accounts due for deletion`);
+
+  } catch (error) {
+    console.error('❌ Error purging deleted accounts:', error.message);
+  } finally {
+    await mongoose.disconnect();
+    process.exit(0);
+  }
+}
+
+purgeDeletedAccounts();
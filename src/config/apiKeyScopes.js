@@ -0,0 +1,17 @@
+/**
+ * Scopes that can be granted to personal API keys.
+ *
+ * Keys are rejected everywhere by default; a route opts in by using
+ * `auth.scoped('<scope>')` instead of `auth`.
+ */
+
+const API_KEY_SCOPES = {
+  'qr:read': 'List and view your QR codes, items and pets',
+  'qr:write': 'Create, update, deactivate and delete your QR codes, items and pets',
+  'notifications:read': 'View your notifications',
+  'notifications:write': 'Mark notifications as read and delete them'
+};
+
+module.exports = {
+  API_KEY_SCOPES
+};
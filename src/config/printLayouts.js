@@ -0,0 +1,61 @@
+/**
+ * Layouts for printable tag sheets. All sizes are in millimetres.
+ *
+ * `width` and `height` are the trim size of one tag; `bleed` is how far the
+ * `background` border colour runs past the trim line so a slightly off cut
+ * leaves no white edge. Every value can be overridden per
+ * print request within the limits in PRINT_LIMITS.
+ */
+
+const PAPER_SIZES = {
+  a4: { width: 210, height: 297 },
+  letter: { width: 215.9, height: 279.4 }
+};
+
+const PRINT_LAYOUTS = {
+  'label-sheet': {
+    description: 'Avery-style sheet of square peel-off labels',
+    width: 38,
+    height: 38,
+    bleed: 0,
+    cropMarks: false,
+    background: null,
+    gutter: 3,
+    margin: 10,
+    arrangement: 'stacked'
+  },
+  'collar-tag': {
+    description: 'Pet collar tags to cut out and laminate',
+    width: 30,
+    height: 38,
+    bleed: 2,
+    cropMarks: true,
+    background: '#14B8A6',
+    gutter: 2,
+    margin: 10,
+    arrangement: 'stacked'
+  },
+  'wallet-card': {
+    description: 'Credit-card sized wallet cards',
+    width: 85.6,
+    height: 54,
+    bleed: 3,
+    cropMarks: true,
+    background: '#14B8A6',
+    gutter: 2,
+    margin: 5,
+    arrangement: 'side-by-side'
+  }
+};
+
+const PRINT_LIMITS = {
+  minSize: 15,
+  maxSize: 150,
+  maxBleed: 5
+};
+
+module.exports = {
+  PAPER_SIZES,
+  PRINT_LAYOUTS,
+  PRINT_LIMITS
+};
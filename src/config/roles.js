@@ -0,0 +1,52 @@
+/**
+ * Role and permission matrix for staff access to /api/admin routes.
+ *
+ * Every account has exactly one role. Owners are plain `user`s and hold no
+ * admin permissions; staff roles are granted by an admin through
+ * PUT /api/admin/users/:userId/role.
+ */
+
+const ROLES = ['user', 'support', 'admin'];
+
+const PERMISSIONS = {
+  'qrcodes:read': 'View all QR codes and scan history',
+  'qrcodes:update': 'Change the status of any QR code',
+  'qrcodes:delete': 'Delete QR codes',
+  'qrcodes:generate': 'Generate tag batches, read their claim PINs and move stock',
+  'designs:manage': 'Create branded QR designs and assign them to owners, batches and codes',
+  'users:read': 'View users and user statistics',
+  'users:update': 'Change user account status',
+  'roles:manage': 'Grant and revoke staff roles',
+  'users:2fa': 'Reset and require two-factor authentication',
+  'users:impersonate': 'Sign in as an owner to see what they see',
+  'notifications:read': 'View all notifications',
+  'analytics:read': 'View platform statistics and analytics',
+  'export': 'Export platform data',
+  'audit:read': 'Search and export the audit log'
+};
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  support: [
+    'qrcodes:read',
+    'users:read',
+    'notifications:read',
+    'analytics:read'
+  ],
+  admin: Object.keys(PERMISSIONS)
+};
+
+/**
+ * Check whether a role carries a permission
+ */
+const roleHasPermission = (role, permission) => {
+  const permissions = ROLE_PERMISSIONS[role] || [];
+  return permissions.includes(permission);
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  roleHasPermission
+};
@@ -1,15 +1,66 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const TokenService = require('../services/tokenService');
+const AuditService = require('../services/auditService');
+const ApiKeyService = require('../services/apiKeyService');
+const { roleHasPermission } = require('../config/roles');
+
+// Routes still reachable by accounts that have 2FA required but not yet enabled
+const TWO_FACTOR_SETUP_PATHS = ['/api/auth/2fa', '/api/auth/me', '/api/auth/logout'];
+
+/**
+ * Authenticate a personal API key. Keys only reach routes that opted in
+ * with `auth.scoped(...)`, and only when they hold every listed scope.
+ */
+const authenticateApiKey = async (req, res, next, key, scopes) => {
+  if (scopes.length === 0) {
+    return res.status(403).json({
+      success: false,
+      message: 'API keys cannot be used for this endpoint',
+      code: 'API_KEY_NOT_ALLOWED'
+    });
+  }
+
+  const apiKey = await ApiKeyService.authenticate(key, req);
+  if (!apiKey) {
+    return res.status(401).json({
+      success: false,
+      message: 'API key is invalid, expired or revoked'
+    });
+  }
+
+  const missing = scopes.filter(scope => !apiKey.scopes.includes(scope));
+  if (missing.length > 0) {
+    return res.status(403).json({
+      success: false,
+      message: 'This API key does not have the required scope',
+      code: 'API_KEY_SCOPE_MISSING',
+      missingScopes: missing
+    });
+  }
+
+  const user = await User.findById(apiKey.user).select('-password');
+  if (!user || user.status !== 'active' || (user.twoFactor?.required && !user.twoFactor.enabled)) {
+    return res.status(401).json({
+      success: false,
+      message: 'API key is invalid, expired or revoked'
+    });
+  }
+
+  req.user = user;
+  req.apiKey = apiKey;
+  next();
+};
 
 /**
- * Authentication middleware
+ * Authentication middleware factory. `scopes` lists the API key scopes
+ * that let a personal API key through; with none, only session tokens work.
  */
-const auth = async (req, res, next) => {
+const authenticate = (scopes = []) => async (req, res, next) => {
   try {
     const authHeader = req.header('Authorization');
-    console.log('Auth header:', authHeader);
+    console.log('Auth header:', authHeader ? 'Present' : 'Missing');
     
-    const token = authHeader?.replace('Bearer ', '');
+    const token = req.header('X-API-Key') || authHeader?.replace('Bearer ', '');
     console.log('Extracted token:', token ? 'Present' : 'Missing');
     
     if (!token) {
@@ -20,9 +71,22 @@ const auth = async (req, res, next) => {
       });
     }
 
+    if (ApiKeyService.isApiKey(token)) {
+      return await authenticateApiKey(req, res, next, token, scopes);
+    }
+
     console.log('Verifying token with secret:', process.env.JWT_SECRET ? 'Present' : 'Missing');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret');
+    const decoded = TokenService.verifyAccessToken(token);
     console.log('Decoded token:', decoded);
+
+    // Access tokens must belong to a live session so logouts take effect
+    const session = decoded.sessionId && await TokenService.findActiveSession(decoded.sessionId);
+    if (!session || session.user.toString() !== decoded.userId.toString()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or been revoked'
+      });
+    }
     
     const user = await User.findById(decoded.userId).select('-password');
     console.log('Found user:', user ? user.email : 'Not found');
@@ -35,7 +99,57 @@ const auth = async (req, res, next) => {
       });
     }
 
+    if (user.status !== 'active') {
+      return res.status(403).json({
+        success: false,
+        message: 'This account is not active',
+        code: 'ACCOUNT_INACTIVE'
+      });
+    }
+
+    // Accounts required to use 2FA can only reach enrollment routes until it is enabled
+    const path = req.originalUrl.split('?')[0];
+    if (user.twoFactor?.required && !user.twoFactor.enabled &&
+        !TWO_FACTOR_SETUP_PATHS.some(allowed => path.startsWith(allowed))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication must be set up before continuing',
+        code: 'TWO_FACTOR_SETUP_REQUIRED'
+      });
+    }
+
+    // Impersonation sessions expose the staff member behind them and
+    // stop working as soon as that person loses the permission
+    if (session.impersonator) {
+      const impersonator = await User.findById(session.impersonator).select('-password');
+      if (!impersonator || impersonator.status !== 'active' ||
+          !roleHasPermission(impersonator.role, 'users:impersonate')) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has expired or been revoked'
+        });
+      }
+
+      req.impersonator = impersonator;
+
+      // Record every request made while impersonating
+      res.on('finish', () => {
+        AuditService.record(req, {
+          action: 'impersonation.request',
+          targetType: 'user',
+          targetId: user._id,
+          metadata: {
+            method: req.method,
+            path,
+            statusCode: res.statusCode,
+            sessionId: session._id
+          }
+        });
+      });
+    }
+
     req.user = user;
+    req.sessionId = decoded.sessionId;
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
@@ -46,4 +160,14 @@ const auth = async (req, res, next) => {
   }
 };
 
+/**
+ * Authentication middleware (session tokens only)
+ */
+const auth = authenticate();
+
+/**
+ * Authentication that also accepts API keys holding every listed scope
+ */
+auth.scoped = (...scopes) => authenticate(scopes);
+
 module.exports = auth;
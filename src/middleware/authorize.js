@@ -0,0 +1,26 @@
+const { roleHasPermission } = require('../config/roles');
+
+/**
+ * Authorization middleware factory - must run after `auth`.
+ * Rejects the request unless the user's role grants every listed permission.
+ */
+const authorize = (...permissions) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ success: false, message: 'Unauthorized' });
+  }
+
+  const role = req.user.role || 'user';
+  const missing = permissions.filter(permission => !roleHasPermission(role, permission));
+
+  if (missing.length > 0) {
+    return res.status(403).json({
+      success: false,
+      message: 'You do not have permission to perform this action',
+      missingPermissions: missing
+    });
+  }
+
+  next();
+};
+
+module.exports = authorize;
@@ -0,0 +1,18 @@
+/**
+ * Impersonation policy - must run after `auth`.
+ * Staff acting as a user can look around but not take irreversible or
+ * credential-changing actions on their behalf.
+ */
+const blockImpersonation = (req, res, next) => {
+  if (req.impersonator) {
+    return res.status(403).json({
+      success: false,
+      message: 'This action is not available while impersonating a user',
+      code: 'IMPERSONATION_FORBIDDEN'
+    });
+  }
+
+  next();
+};
+
+module.exports = blockImpersonation;
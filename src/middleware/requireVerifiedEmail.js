@@ -0,0 +1,29 @@
+/**
+ * Email verification policy - must run after `auth`.
+ * Blocks sensitive actions until the account's email address is verified.
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user?.isEmailVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address before making this change',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Only apply the policy when the predicate matches the request,
+ * e.g. when an update touches contact details
+ */
+requireVerifiedEmail.when = (predicate) => (req, res, next) => {
+  if (!predicate(req)) {
+    return next();
+  }
+
+  requireVerifiedEmail(req, res, next);
+};
+
+module.exports = requireVerifiedEmail;
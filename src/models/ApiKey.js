@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const { API_KEY_SCOPES } = require('../config/apiKeyScopes');
+
+const apiKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // Public part of the key, used to look it up and shown in listings
+  prefix: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // SHA-256 of the secret part; the full key is only shown once
+  keyHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: Object.keys(API_KEY_SCOPES)
+    }],
+    validate: [scopes => scopes.length > 0, 'At least one scope is required']
+  },
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+// Index for listing a user's keys
+apiKeySchema.index({ user: 1, revokedAt: 1 });
+
+// Check if key can still be used
+apiKeySchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const batchSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  // Identifier for the print job these tags came off, e.g. the printer's order number
+  printRun: {
+    type: String,
+    trim: true
+  },
+  distributor: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['item', 'pet', 'emergency', 'any'],
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  notes: String,
+  // Branded QR design for every code in the batch, unless a code overrides it
+  design: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QRDesign'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for stock lookups
+batchSchema.index({ sku: 1, createdAt: -1 });
+batchSchema.index({ distributor: 1 });
+
+module.exports = mongoose.model('Batch', batchSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// owner: manage members and everything below
+// manager: create, edit, assign and deactivate the group's QR codes
+// viewer: see the group's QR codes and receive their notifications
+const ORGANIZATION_ROLES = ['owner', 'manager', 'viewer'];
+
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  kind: {
+    type: String,
+    enum: ['household', 'organization'],
+    default: 'household'
+  },
+  members: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ORGANIZATION_ROLES,
+      required: true
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for finding a user's groups
+organizationSchema.index({ 'members.user': 1 });
+
+// Get a user's role in this group, or null if they are not a member
+organizationSchema.methods.roleOf = function(userId) {
+  const member = this.members.find(m => (m.user._id || m.user).toString() === userId.toString());
+  return member ? member.role : null;
+};
+
+// Count members holding the owner role
+organizationSchema.methods.ownerCount = function() {
+  return this.members.filter(m => m.role === 'owner').length;
+};
+
+organizationSchema.statics.ROLES = ORGANIZATION_ROLES;
+
+module.exports = mongoose.model('Organization', organizationSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const ownershipTransferSchema = new mongoose.Schema({
+  qrCode: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QRCode',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  fromUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  toEmail: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  // Set when the recipient accepts
+  toUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Hash of the secret in the emailed accept link
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // Clear the descriptive details so the new owner starts from just the name
+  resetDetails: {
+    type: Boolean,
+    default: false
+  },
+  scanHistory: {
+    type: String,
+    enum: ['keep', 'scrub'],
+    default: 'scrub'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'cancelled'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// Index for the pending transfer on a code and a user's transfers
+ownershipTransferSchema.index({ qrCode: 1, status: 1 });
+ownershipTransferSchema.index({ fromUser: 1, createdAt: -1 });
+ownershipTransferSchema.index({ toEmail: 1, status: 1 });
+
+// Check if the transfer can still be accepted
+ownershipTransferSchema.methods.isOpen = function() {
+  return this.status === 'pending' && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('OwnershipTransfer', ownershipTransferSchema);
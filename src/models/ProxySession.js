@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// A masked number lent to one found episode of a code: from the found report
+// until the code leaves 'found' (or the session runs out)
+const proxySessionSchema = new mongoose.Schema({
+  qrCode: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QRCode',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  proxyNumber: {
+    type: String,
+    required: true
+  },
+  // From the found report; the owner's side is read live from the code's contact
+  finderPhone: {
+    type: String,
+    required: true
+  },
+  // foundBy.foundDate of the episode, so a later found report gets its own number
+  foundDate: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'ended'],
+    default: 'active'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: Date,
+  endReason: {
+    type: String,
+    enum: ['not_found', 'expired', 'masking_off', 'transferred', 'deleted']
+  },
+  callCount: {
+    type: Number,
+    default: 0
+  },
+  smsCount: {
+    type: Number,
+    default: 0
+  },
+  lastActivityAt: Date
+}, {
+  timestamps: true
+});
+
+// A number routes for one session at a time
+proxySessionSchema.index(
+  { proxyNumber: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+proxySessionSchema.index({ qrCode: 1, status: 1 });
+proxySessionSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('ProxySession', proxySessionSchema);
@@ -1,4 +1,16 @@
 const mongoose = require('mongoose');
+const { geoPointSchema } = require('./geoPoint');
+
+// Pre-printed stock moves unassigned -> shipped -> sold -> claimed
+const INVENTORY_STATUSES = ['unassigned', 'shipped', 'sold', 'claimed'];
+
+// How a finder reached a code
+const SCAN_MEDIA = ['qr', 'nfc', 'typed'];
+
+// Pre-printed codes carry no owner, details or contact until someone claims them
+const requiredOnceOwned = function() {
+  return !this.batch || this.isActivated;
+};
 
 const qrCodeSchema = new mongoose.Schema({
   code: {
@@ -15,12 +27,43 @@ const qrCodeSchema = new mongoose.Schema({
   owner: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: requiredOnceOwned
+  },
+  // Household or organization sharing this code; its members get access by role
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  // Print batch for pre-printed tags; unset for codes owners create themselves
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Batch'
+  },
+  inventory: {
+    status: {
+      type: String,
+      enum: INVENTORY_STATUSES
+    },
+    shippedAt: Date,
+    soldAt: Date,
+    claimedAt: Date,
+    claimAttempts: Number,
+    claimLockedUntil: Date
+  },
+  // Branded QR design for this code; falls back to the batch's, then the owner's
+  design: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QRDesign'
+  },
+  // Printed next to the code so only the person holding the tag can activate it
+  claimPin: {
+    type: String,
+    select: false
   },
   details: {
     name: {
       type: String,
-      required: true,
+      required: requiredOnceOwned,
       trim: true
     },
     description: String,
@@ -68,11 +111,11 @@ const qrCodeSchema = new mongoose.Schema({
   contact: {
     name: {
       type: String,
-      required: true
+      required: requiredOnceOwned
     },
     phone: {
       type: String,
-      required: true
+      required: requiredOnceOwned
     },
     backupPhone: String,
     backupCountryCode: {
@@ -85,7 +128,7 @@ const qrCodeSchema = new mongoose.Schema({
     },
     email: {
       type: String,
-      required: true
+      required: requiredOnceOwned
     },
     message: String,
     location: {
@@ -111,6 +154,16 @@ const qrCodeSchema = new mongoose.Schema({
       type: Boolean,
       default: true
     },
+    // Finders message the owner through a relay instead of seeing phone and email
+    messageRelay: {
+      type: Boolean,
+      default: false
+    },
+    // Finders get a temporary masked number while the code is found, never the real phone
+    maskPhone: {
+      type: Boolean,
+      default: false
+    },
     useBackupNumber: {
       type: Boolean,
       default: true
@@ -131,32 +184,53 @@ const qrCodeSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Scans split by how the finder reached the code; events live in ScanEvent
+  scanCounts: {
+    qr: { type: Number, default: 0 },
+    nfc: { type: Number, default: 0 },
+    typed: { type: Number, default: 0 }
+  },
   foundBy: {
     finderName: String,
     finderPhone: String,
     finderEmail: String,
     foundDate: Date,
     foundLocation: String,
+    foundGeo: geoPointSchema,
     notes: String
   },
-  qrImageUrl: String,
-  qrImageData: Buffer,
+  // NFC chips on the same tag or collar; a tap resolves to this code
+  nfcTags: [{
+    uid: {
+      type: String,
+      required: true,
+      uppercase: true
+    },
+    label: {
+      type: String,
+      trim: true,
+      maxlength: 50
+    },
+    linkedAt: Date,
+    linkedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
   metadata: {
     userAgent: String,
-    ipAddress: String,
-    scanHistory: [{
-      scannedAt: Date,
-      ipAddress: String,
-      userAgent: String,
-      location: String
-    }]
+    ipAddress: String
   },
   // OTP fields for contact updates
   updateOTP: {
     code: String,
     expires: Date,
     newEmail: String,
-    newPhone: String
+    newPhone: String,
+    attempts: {
+      type: Number,
+      default: 0
+    }
   }
 }, {
   timestamps: true
@@ -165,42 +239,38 @@ const qrCodeSchema = new mongoose.Schema({
 // Index for faster queries
 qrCodeSchema.index({ code: 1, type: 1 });
 qrCodeSchema.index({ owner: 1, status: 1 });
+qrCodeSchema.index({ organization: 1, status: 1 });
+qrCodeSchema.index({ batch: 1, 'inventory.status': 1 });
 qrCodeSchema.index({ 'contact.phone': 1 });
 qrCodeSchema.index({ 'contact.email': 1 });
+qrCodeSchema.index({ 'foundBy.foundGeo': '2dsphere' });
+// A chip belongs to one code; codes without chips stay out of the index
+qrCodeSchema.index(
+  { 'nfcTags.uid': 1 },
+  { unique: true, partialFilterExpression: { 'nfcTags.uid': { $exists: true } } }
+);
 
 // Virtual for QR code URL
 qrCodeSchema.virtual('qrUrl').get(function() {
   return `${process.env.QR_CODE_BASE_URL || 'https://scanback.vercel.app/scan'}/${this.code}`;
 });
 
-// Method to increment scan count
-qrCodeSchema.methods.incrementScanCount = function(ipAddress, userAgent, location) {
-  this.scanCount += 1;
-  this.lastScanned = new Date();
-  this.metadata.scanHistory.push({
-    scannedAt: new Date(),
-    ipAddress: ipAddress || 'unknown',
-    userAgent: userAgent || 'unknown',
-    location: location || 'unknown'
-  });
-  
-  // Keep only last 50 scan records
-  if (this.metadata.scanHistory.length > 50) {
-    this.metadata.scanHistory = this.metadata.scanHistory.slice(-50);
-  }
-};
-
-// Method to mark as found
-qrCodeSchema.methods.markAsFound = function(finderDetails) {
+// Method to mark as found. Takes the found-report body (finderName, ...) and
+// an optional geo point, already dropped if the owner doesn't share location.
+qrCodeSchema.methods.markAsFound = function(finderDetails, foundGeo) {
   this.status = 'found';
   this.foundBy = {
-    finderName: finderDetails.name,
-    finderPhone: finderDetails.phone,
-    finderEmail: finderDetails.email,
+    finderName: finderDetails.finderName || finderDetails.name,
+    finderPhone: finderDetails.finderPhone || finderDetails.phone,
+    finderEmail: finderDetails.finderEmail || finderDetails.email,
     foundDate: new Date(),
-    foundLocation: finderDetails.location,
+    foundLocation: finderDetails.foundLocation || finderDetails.location,
+    foundGeo: foundGeo || undefined,
     notes: finderDetails.notes
   };
 };
 
+qrCodeSchema.statics.INVENTORY_STATUSES = INVENTORY_STATUSES;
+qrCodeSchema.statics.SCAN_MEDIA = SCAN_MEDIA;
+
 module.exports = mongoose.model('QRCode', qrCodeSchema);
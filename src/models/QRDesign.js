@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const qrDesignSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  colors: {
+    dark: {
+      type: String,
+      default: '#000000'
+    },
+    light: {
+      type: String,
+      default: '#FFFFFF'
+    }
+  },
+  moduleStyle: {
+    type: String,
+    enum: ['square', 'rounded'],
+    default: 'square'
+  },
+  // Forced to H whenever a logo covers part of the code
+  errorCorrectionLevel: {
+    type: String,
+    enum: ['L', 'M', 'Q', 'H'],
+    default: 'M'
+  },
+  logo: {
+    data: {
+      type: Buffer,
+      select: false
+    },
+    contentType: String,
+    // Share of the code's width the logo may cover
+    scale: {
+      type: Number,
+      default: 0.2,
+      min: 0.1,
+      max: 0.25
+    }
+  },
+  frame: {
+    text: {
+      type: String,
+      trim: true,
+      maxlength: 40
+    },
+    color: {
+      type: String,
+      default: '#14B8A6'
+    },
+    textColor: {
+      type: String,
+      default: '#FFFFFF'
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Check if the design places a logo over the code
+qrDesignSchema.methods.hasLogo = function() {
+  return !!this.logo?.contentType;
+};
+
+module.exports = mongoose.model('QRDesign', qrDesignSchema);
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+// Who wrote a message; system messages are notes the relay adds itself
+const RELAY_PARTIES = ['finder', 'owner', 'system'];
+
+const RELAY_CHANNELS = ['web', 'email', 'app'];
+
+const relayMessageSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: RELAY_PARTIES,
+    required: true
+  },
+  body: {
+    type: String,
+    required: true,
+    maxlength: 2000
+  },
+  channel: {
+    type: String,
+    enum: RELAY_CHANNELS,
+    default: 'web'
+  },
+  // Account that replied, for owner messages (the owner or a group member)
+  sentBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const relayThreadSchema = new mongoose.Schema({
+  qrCode: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QRCode',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  // Owner of the code when the finder got in touch
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The finder's address is only shown to the owner once contact is revealed
+  finder: {
+    name: {
+      type: String,
+      trim: true,
+      maxlength: 100
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    ipAddress: String,
+    userAgent: String
+  },
+  // Hash of the secret in the finder's link back to the thread
+  finderTokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  messages: [relayMessageSchema],
+  status: {
+    type: String,
+    enum: ['open', 'closed', 'blocked'],
+    default: 'open'
+  },
+  lastMessageAt: Date,
+  ownerReadAt: Date,
+  // Set when the owner chooses to swap real contact details with the finder
+  revealedAt: Date,
+  revealedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  closedAt: Date
+}, {
+  timestamps: true
+});
+
+// Index for a code's and an owner's threads, and for throttling by finder
+relayThreadSchema.index({ qrCode: 1, lastMessageAt: -1 });
+relayThreadSchema.index({ owner: 1, lastMessageAt: -1 });
+relayThreadSchema.index({ 'finder.ipAddress': 1, createdAt: -1 });
+relayThreadSchema.index({ 'finder.email': 1 });
+
+// Messages the finder sent since the owner last replied
+relayThreadSchema.methods.unansweredCount = function() {
+  let count = 0;
+  for (let i = this.messages.length - 1; i >= 0 && this.messages[i].from !== 'owner'; i--) {
+    if (this.messages[i].from === 'finder') count++;
+  }
+  return count;
+};
+
+relayThreadSchema.statics.RELAY_PARTIES = RELAY_PARTIES;
+relayThreadSchema.statics.RELAY_CHANNELS = RELAY_CHANNELS;
+
+module.exports = mongoose.model('RelayThread', relayThreadSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const { SCAN_MEDIA } = require('./QRCode');
+const { geoPointSchema } = require('./geoPoint');
+
+const SCAN_EVENT_RETENTION_DAYS = parseInt(process.env.SCAN_EVENT_RETENTION_DAYS) || 365;
+
+const scanEventSchema = new mongoose.Schema({
+  qrCode: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QRCode',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  // Owner of the code when it was scanned
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  scannedAt: {
+    type: Date,
+    default: Date.now
+  },
+  ipAddress: String,
+  userAgent: String,
+  // Free-form place name, if the finder page sent one
+  location: String,
+  // Left out when the owner has turned location sharing off
+  geo: geoPointSchema,
+  medium: {
+    type: String,
+    enum: SCAN_MEDIA,
+    default: 'qr'
+  },
+  // Retention: MongoDB drops the event after this date
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + SCAN_EVENT_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+  }
+});
+
+// Index for a code's and an owner's history, newest first
+scanEventSchema.index({ code: 1, scannedAt: -1 });
+scanEventSchema.index({ owner: 1, scannedAt: -1 });
+scanEventSchema.index({ qrCode: 1 });
+scanEventSchema.index({ scannedAt: -1 });
+scanEventSchema.index({ geo: '2dsphere' });
+scanEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+scanEventSchema.statics.RETENTION_DAYS = SCAN_EVENT_RETENTION_DAYS;
+
+module.exports = mongoose.model('ScanEvent', scanEventSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the current refresh token secret; rotated on every refresh
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  userAgent: String,
+  ipAddress: String,
+  lastUsedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: String,
+  // Set when a staff member is acting as this user; such sessions cannot be refreshed
+  impersonator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  impersonationReason: String
+}, {
+  timestamps: true
+});
+
+// Index for listing a user's sessions
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB clean up sessions once the refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Check if session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,5 +1,17 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { ROLES } = require('../config/roles');
+const TOTPService = require('../services/totpService');
+
+// Brute-force protection
+const MAX_AUTH_FAILURES = 5;
+const BASE_LOCK_MS = 15 * 60 * 1000; // 15 minutes, doubled for each consecutive lock
+const MAX_LOCK_MS = 24 * 60 * 60 * 1000; // 24 hours
+const MAX_OTP_ATTEMPTS = 5;
+const MAGIC_LINK_WINDOW_MS = 60 * 60 * 1000;
+const MAX_MAGIC_LINKS_PER_WINDOW = 5;
+const MAGIC_LINK_MIN_INTERVAL_MS = 60 * 1000;
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -19,26 +31,84 @@ const userSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // Not set until the user follows their invite link to choose one
   password: {
     type: String,
-    required: true,
     minlength: 6
   },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'user'
+  },
+  roleGrantedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  roleGrantedAt: Date,
+  status: {
+    type: String,
+    enum: ['active', 'inactive', 'suspended'],
+    default: 'active'
+  },
   isEmailVerified: {
     type: Boolean,
     default: false
   },
+  // SHA-256 of the emailed verification token
   emailVerificationToken: String,
   emailVerificationExpires: Date,
+  emailVerificationSentAt: Date,
   passwordResetToken: String,
   passwordResetExpires: Date,
   passwordResetOTP: String,
   passwordResetOTPExpires: Date,
-  tempPassword: {
-    type: String,
-    default: null
+  passwordResetOTPAttempts: {
+    type: Number,
+    default: 0
+  },
+  // Failed password, 2FA and OTP attempts since the last success or lock
+  authFailures: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: Date,
+  // Consecutive locks without a successful login, drives the lock duration
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+  // SHA-256 of the single-use id inside the emailed set-password link
+  passwordSetupToken: String,
+  passwordSetupExpires: Date,
+  passwordSetupSentAt: Date,
+  // SHA-256 of the single-use id inside the emailed login link
+  magicLinkToken: String,
+  magicLinkExpires: Date,
+  // Per-email throttle for login link requests
+  magicLinkRequests: {
+    count: { type: Number, default: 0 },
+    windowStart: Date,
+    lastSentAt: Date
+  },
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    // Set by an admin to force enrollment before the account can be used
+    required: { type: Boolean, default: false },
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false },
+    // SHA-256 hashes of unused recovery codes
+    recoveryCodes: { type: [String], select: false },
+    // Last accepted TOTP step, to stop a code being replayed within its window
+    lastUsedStep: { type: Number, select: false },
+    enabledAt: Date
+  },
+  // Self-service deletion request; the account is purged once scheduledFor passes
+  deletion: {
+    requestedAt: Date,
+    scheduledFor: Date,
+    reason: String
   },
-  tempPasswordExpires: Date,
   profile: {
     avatar: String,
     preferences: {
@@ -48,6 +118,11 @@ const userSchema = new mongoose.Schema({
       }
     }
   },
+  // Branded QR design for this account's codes, unless a batch or code overrides it
+  design: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QRDesign'
+  },
   stats: {
     totalItems: { type: Number, default: 0 },
     totalPets: { type: Number, default: 0 },
@@ -58,9 +133,12 @@ const userSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Find accounts whose deletion grace period has run out
+userSchema.index({ 'deletion.scheduledFor': 1 }, { sparse: true });
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
-  if (!this.isModified('password')) return next();
+  if (!this.isModified('password') || !this.password) return next();
   
   try {
     const salt = await bcrypt.genSalt(12);
@@ -73,22 +151,116 @@ userSchema.pre('save', async function(next) {
 
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Generate temporary password
-userSchema.methods.generateTempPassword = function() {
-  const tempPassword = Math.random().toString(36).slice(-8).toUpperCase();
-  this.tempPassword = tempPassword;
-  this.tempPasswordExpires = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
-  return tempPassword;
+// Check if account is temporarily locked
+userSchema.methods.isLocked = function() {
+  return !!this.lockUntil && this.lockUntil > new Date();
+};
+
+// Record a failed password, 2FA or OTP attempt; returns true if this locked the account
+userSchema.methods.registerAuthFailure = function() {
+  this.authFailures = (this.authFailures || 0) + 1;
+
+  if (this.authFailures < MAX_AUTH_FAILURES) {
+    return false;
+  }
+
+  this.lockCount = (this.lockCount || 0) + 1;
+  const lockMs = Math.min(BASE_LOCK_MS * 2 ** (this.lockCount - 1), MAX_LOCK_MS);
+  this.lockUntil = new Date(Date.now() + lockMs);
+  this.authFailures = 0;
+  return true;
+};
+
+// Clear failure counters after a successful login
+userSchema.methods.resetAuthFailures = function() {
+  this.authFailures = 0;
+  this.lockCount = 0;
+  this.lockUntil = undefined;
+};
+
+// Record a wrong password reset OTP; returns true if the OTP was invalidated
+userSchema.methods.registerFailedResetOTP = function() {
+  this.passwordResetOTPAttempts = (this.passwordResetOTPAttempts || 0) + 1;
+
+  if (this.passwordResetOTPAttempts < MAX_OTP_ATTEMPTS) {
+    return false;
+  }
+
+  this.passwordResetOTP = null;
+  this.passwordResetOTPExpires = null;
+  this.passwordResetOTPAttempts = 0;
+  return true;
+};
+
+// Count a login link request; returns false if this email is being throttled
+userSchema.methods.registerMagicLinkRequest = function() {
+  const now = Date.now();
+  const requests = this.magicLinkRequests || {};
+
+  if (requests.lastSentAt && now - requests.lastSentAt.getTime() < MAGIC_LINK_MIN_INTERVAL_MS) {
+    return false;
+  }
+
+  if (!requests.windowStart || now - requests.windowStart.getTime() >= MAGIC_LINK_WINDOW_MS) {
+    this.magicLinkRequests = { count: 1, windowStart: new Date(now), lastSentAt: new Date(now) };
+    return true;
+  }
+
+  if (requests.count >= MAX_MAGIC_LINKS_PER_WINDOW) {
+    return false;
+  }
+
+  this.magicLinkRequests.count = requests.count + 1;
+  this.magicLinkRequests.lastSentAt = new Date(now);
+  return true;
+};
+
+// Generate an email verification token, storing only its hash (24 hours)
+userSchema.methods.generateEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationToken = crypto.createHash('sha256').update(token).digest('hex');
+  this.emailVerificationExpires = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  this.emailVerificationSentAt = new Date();
+  return token;
+};
+
+// Verify a TOTP code or a one-time recovery code.
+// Requires the +twoFactor.secret, +twoFactor.recoveryCodes and +twoFactor.lastUsedStep fields.
+// Consumed recovery codes and used steps are recorded on the document; the caller saves it.
+userSchema.methods.verifySecondFactor = function({ code, recoveryCode }) {
+  if (!this.twoFactor || !this.twoFactor.enabled) return false;
+
+  if (code) {
+    const step = TOTPService.verifyToken(this.twoFactor.secret, code);
+    if (step === null || step <= (this.twoFactor.lastUsedStep || 0)) return false;
+    this.twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  if (recoveryCode) {
+    const hash = crypto.createHash('sha256')
+      .update(TOTPService.normalizeRecoveryCode(recoveryCode))
+      .digest('hex');
+    const index = (this.twoFactor.recoveryCodes || []).indexOf(hash);
+    if (index === -1) return false;
+    this.twoFactor.recoveryCodes.splice(index, 1);
+    return true;
+  }
+
+  return false;
 };
 
-// Check if temp password is valid
-userSchema.methods.isTempPasswordValid = function() {
-  return this.tempPassword && 
-         this.tempPasswordExpires && 
-         this.tempPasswordExpires > new Date();
+// Replace recovery codes, returning the plain codes to show the user once
+userSchema.methods.generateRecoveryCodes = function() {
+  const codes = TOTPService.generateRecoveryCodes();
+  this.twoFactor.recoveryCodes = codes.map(code =>
+    crypto.createHash('sha256').update(TOTPService.normalizeRecoveryCode(code)).digest('hex')
+  );
+  return codes;
 };
 
 module.exports = mongoose.model('User', userSchema);
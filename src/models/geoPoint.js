@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+const GEO_SOURCES = ['gps', 'network', 'ip', 'manual'];
+
+// GeoJSON point as stored on scans and found reports (2dsphere-indexable).
+// Coordinates are [longitude, latitude], in that order.
+const geoPointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    default: 'Point'
+  },
+  coordinates: {
+    type: [Number],
+    required: true,
+    validate: {
+      validator: ([lng, lat] = []) => Math.abs(lng) <= 180 && Math.abs(lat) <= 90,
+      message: 'Coordinates must be [longitude, latitude]'
+    }
+  },
+  // Radius of uncertainty in metres, as reported by the device
+  accuracy: {
+    type: Number,
+    min: 0
+  },
+  source: {
+    type: String,
+    enum: GEO_SOURCES,
+    default: 'gps'
+  }
+}, { _id: false });
+
+/**
+ * Build a point from { lat, lng, accuracy, source } or a "lat,lng" string.
+ * Returns null for anything unusable, including 0,0 (a device with no fix).
+ */
+const toGeoPoint = (input) => {
+  if (!input) return null;
+
+  let lat;
+  let lng;
+  let accuracy;
+  let source;
+
+  if (typeof input === 'string') {
+    const match = input.match(/^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/);
+    if (!match) return null;
+    [lat, lng] = [parseFloat(match[1]), parseFloat(match[2])];
+  } else {
+    lat = parseFloat(input.lat ?? input.latitude);
+    lng = parseFloat(input.lng ?? input.longitude);
+    accuracy = input.accuracy !== undefined ? parseFloat(input.accuracy) : undefined;
+    source = GEO_SOURCES.includes(input.source) ? input.source : undefined;
+  }
+
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return null;
+  }
+
+  if (lat === 0 && lng === 0) {
+    return null;
+  }
+
+  return {
+    type: 'Point',
+    coordinates: [lng, lat],
+    accuracy: Number.isFinite(accuracy) && accuracy >= 0 ? accuracy : undefined,
+    source: source || 'gps'
+  };
+};
+
+module.exports = {
+  GEO_SOURCES,
+  geoPointSchema,
+  toGeoPoint
+};
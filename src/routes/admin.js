@@ -1,22 +1,64 @@
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { ROLES, PERMISSIONS, ROLE_PERMISSIONS } = require('../config/roles');
+const { PAPER_SIZES, PRINT_LAYOUTS, PRINT_LIMITS } = require('../config/printLayouts');
+const AuditService = require('../services/auditService');
+const TokenService = require('../services/tokenService');
+const InventoryService = require('../services/inventoryService');
+const PrintService = require('../services/printService');
+const QRService = require('../services/qrService');
+const QRDesignService = require('../services/qrDesignService');
 const QRCode = require('../models/QRCode');
 const User = require('../models/User');
+const QRDesign = require('../models/QRDesign');
 const Notification = require('../models/Notification');
+const ScanEvent = require('../models/ScanEvent');
+const ProxyNumberService = require('../services/proxyNumberService');
+const AuditLog = require('../models/AuditLog');
 
-// Admin middleware - check if user is admin
-const adminAuth = (req, res, next) => {
-  // For now, we'll allow any authenticated user to access admin routes
-  // In production, you should check for admin role
-  if (!req.user) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  next();
+// Password hashes and single-use token hashes never go out in user responses
+const USER_HIDDEN_FIELDS = [
+  'password',
+  'emailVerificationToken',
+  'passwordResetToken',
+  'passwordResetOTP',
+  'passwordSetupToken',
+  'magicLinkToken',
+  'magicLinkRequests'
+].map(field => `-${field}`).join(' ');
+
+// Design logos are processed in memory and stored on the design itself
+const logoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 1024 * 1024 } // 1MB
+}).single('logo');
+
+// Turn multer errors (size limit, wrong field) into 400s
+const uploadLogo = (req, res, next) => {
+  logoUpload(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    next();
+  });
 };
 
+// Audit-friendly view of a design (no logo bytes)
+const designSnapshot = (design) => ({
+  _id: design._id,
+  name: design.name,
+  colors: { dark: design.colors.dark, light: design.colors.light },
+  moduleStyle: design.moduleStyle,
+  errorCorrectionLevel: design.errorCorrectionLevel,
+  hasLogo: design.hasLogo(),
+  frame: { text: design.frame?.text, color: design.frame?.color, textColor: design.frame?.textColor }
+});
+
 // Get all QR codes with pagination and filters
-router.get('/qr-codes', auth, adminAuth, async (req, res) => {
+router.get('/qr-codes', auth, authorize('qrcodes:read'), async (req, res) => {
   try {
     const { page = 1, limit = 10, type, status } = req.query;
     const filter = {};
@@ -49,7 +91,7 @@ router.get('/qr-codes', auth, adminAuth, async (req, res) => {
 });
 
 // Get QR code statistics
-router.get('/stats', auth, adminAuth, async (req, res) => {
+router.get('/stats', auth, authorize('analytics:read'), async (req, res) => {
   try {
     const totalQRCodes = await QRCode.countDocuments();
     const activeQRCodes = await QRCode.countDocuments({ status: 'active' });
@@ -73,7 +115,7 @@ router.get('/stats', auth, adminAuth, async (req, res) => {
 });
 
 // Get all users with pagination
-router.get('/users', auth, adminAuth, async (req, res) => {
+router.get('/users', auth, authorize('users:read'), async (req, res) => {
   try {
     const { page = 1, limit = 10, search } = req.query;
     const filter = {};
@@ -87,7 +129,7 @@ router.get('/users', auth, adminAuth, async (req, res) => {
     }
 
     const users = await User.find(filter)
-      .select('-password')
+      .select(USER_HIDDEN_FIELDS)
       .sort({ createdAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit)
@@ -111,11 +153,11 @@ router.get('/users', auth, adminAuth, async (req, res) => {
 });
 
 // Get user statistics
-router.get('/user-stats', auth, adminAuth, async (req, res) => {
+router.get('/user-stats', auth, authorize('users:read'), async (req, res) => {
   try {
     const totalUsers = await User.countDocuments();
     const verifiedUsers = await User.countDocuments({ isEmailVerified: true });
-    const activeUsers = await User.countDocuments({ status: 'active' });
+    const activeUsers = await User.countDocuments({ status: { $nin: ['inactive', 'suspended'] } });
 
     res.json({
       success: true,
@@ -131,23 +173,140 @@ router.get('/user-stats', auth, adminAuth, async (req, res) => {
 });
 
 // Update user status
-router.put('/users/:userId/status', auth, adminAuth, async (req, res) => {
+router.put('/users/:userId/status', auth, authorize('users:update'), async (req, res) => {
   try {
     const { userId } = req.params;
     const { status } = req.body;
 
+    const before = await User.findById(userId).select('status').lean();
     const user = await User.findByIdAndUpdate(
       userId,
       { status },
+      { new: true, runValidators: true }
+    ).select(USER_HIDDEN_FIELDS);
+
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    // Suspended and deactivated accounts are signed out everywhere
+    if (user.status !== 'active') {
+      await TokenService.revokeAllSessions(user._id, `account_${user.status}`);
+    }
+
+    await AuditService.record(req, {
+      action: 'user.status.update',
+      targetType: 'user',
+      targetId: user._id,
+      before,
+      after: { status: user.status }
+    });
+
+    res.json({
+      success: true,
+      data: { user }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Get roles and the permission matrix
+router.get('/roles', auth, authorize('roles:manage'), (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      roles: ROLES,
+      permissions: PERMISSIONS,
+      rolePermissions: ROLE_PERMISSIONS
+    }
+  });
+});
+
+// Grant a role to a user
+router.put('/users/:userId/role', auth, authorize('roles:manage'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    // Prevent admins from locking themselves out
+    if (userId === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const before = await User.findById(userId).select('role').lean();
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { role, roleGrantedBy: req.user._id, roleGrantedAt: new Date() },
+      { new: true, runValidators: true }
+    ).select(USER_HIDDEN_FIELDS);
+
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    await AuditService.record(req, {
+      action: 'user.role.grant',
+      targetType: 'user',
+      targetId: user._id,
+      before,
+      after: { role: user.role }
+    });
+
+    res.json({
+      success: true,
+      message: `Role '${role}' granted to ${user.email}`,
+      data: { user }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Revoke a user's staff role
+router.delete('/users/:userId/role', auth, authorize('roles:manage'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (userId === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const before = await User.findById(userId).select('role').lean();
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { role: 'user', roleGrantedBy: req.user._id, roleGrantedAt: new Date() },
       { new: true }
-    ).select('-password');
+    ).select(USER_HIDDEN_FIELDS);
 
     if (!user) {
       return res.status(404).json({ success: false, message: 'User not found' });
     }
 
+    await AuditService.record(req, {
+      action: 'user.role.revoke',
+      targetType: 'user',
+      targetId: user._id,
+      before,
+      after: { role: user.role }
+    });
+
     res.json({
       success: true,
+      message: `Staff role revoked from ${user.email}`,
       data: { user }
     });
   } catch (error) {
@@ -155,12 +314,153 @@ router.put('/users/:userId/status', auth, adminAuth, async (req, res) => {
   }
 });
 
+// Reset a user's two-factor authentication (lost device)
+router.delete('/users/:userId/2fa', auth, authorize('users:2fa'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const before = await User.findById(userId).select('twoFactor.enabled').lean();
+    const user = await User.findByIdAndUpdate(
+      userId,
+      {
+        $set: { 'twoFactor.enabled': false, 'twoFactor.recoveryCodes': [] },
+        $unset: {
+          'twoFactor.secret': 1,
+          'twoFactor.pendingSecret': 1,
+          'twoFactor.lastUsedStep': 1,
+          'twoFactor.enabledAt': 1
+        }
+      },
+      { new: true }
+    ).select(USER_HIDDEN_FIELDS);
+
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    await AuditService.record(req, {
+      action: 'user.2fa.reset',
+      targetType: 'user',
+      targetId: user._id,
+      before,
+      after: { twoFactor: { enabled: user.twoFactor.enabled } }
+    });
+
+    res.json({
+      success: true,
+      message: `Two-factor authentication reset for ${user.email}`,
+      data: { user }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Require (or stop requiring) two-factor authentication for a user
+router.put('/users/:userId/2fa-requirement', auth, authorize('users:2fa'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { required } = req.body;
+
+    if (typeof required !== 'boolean') {
+      return res.status(400).json({ success: false, message: 'required must be a boolean' });
+    }
+
+    const before = await User.findById(userId).select('twoFactor.required').lean();
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { 'twoFactor.required': required },
+      { new: true }
+    ).select(USER_HIDDEN_FIELDS);
+
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    await AuditService.record(req, {
+      action: 'user.2fa.requirement',
+      targetType: 'user',
+      targetId: user._id,
+      before,
+      after: { twoFactor: { required: user.twoFactor.required } }
+    });
+
+    res.json({
+      success: true,
+      message: required
+        ? `${user.email} must now set up two-factor authentication`
+        : `Two-factor authentication is now optional for ${user.email}`,
+      data: { user }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Act as an owner for a short time to see exactly what they see
+router.post('/users/:userId/impersonate', auth, authorize('users:impersonate'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { reason } = req.body;
+
+    if (req.impersonator) {
+      return res.status(403).json({ success: false, message: 'Impersonation sessions cannot be nested' });
+    }
+
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({ success: false, message: 'A reason is required' });
+    }
+
+    if (userId === req.user.id) {
+      return res.status(400).json({ success: false, message: 'You cannot impersonate yourself' });
+    }
+
+    const user = await User.findById(userId).select(USER_HIDDEN_FIELDS);
+
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    // Staff accounts can't be impersonated, so this can't be used to gain permissions
+    if (user.role !== 'user') {
+      return res.status(403).json({ success: false, message: 'Staff accounts cannot be impersonated' });
+    }
+
+    const { token, sessionId, expiresAt } = await TokenService.createImpersonationSession(
+      req.user,
+      user,
+      req,
+      reason.trim()
+    );
+
+    await AuditService.record(req, {
+      action: 'impersonation.start',
+      targetType: 'user',
+      targetId: user._id,
+      metadata: { sessionId, reason: reason.trim(), expiresAt }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Impersonating ${user.email} until ${expiresAt.toISOString()}`,
+      data: {
+        token,
+        expiresAt,
+        user: { id: user._id, email: user.email, name: user.name }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 // Update QR code status
-router.put('/qr-codes/:code/status', auth, adminAuth, async (req, res) => {
+router.put('/qr-codes/:code/status', auth, authorize('qrcodes:update'), async (req, res) => {
   try {
     const { code } = req.params;
     const { status } = req.body;
 
+    const before = await QRCode.findOne({ code }).select('status').lean();
     const qrCode = await QRCode.findOneAndUpdate(
       { code },
       { status },
@@ -171,6 +471,18 @@ router.put('/qr-codes/:code/status', auth, adminAuth, async (req, res) => {
       return res.status(404).json({ success: false, message: 'QR code not found' });
     }
 
+    if (qrCode.status !== 'found') {
+      await ProxyNumberService.endSessions(qrCode._id, 'not_found');
+    }
+
+    await AuditService.record(req, {
+      action: 'qrcode.status.update',
+      targetType: 'qrcode',
+      targetId: qrCode.code,
+      before,
+      after: { status: qrCode.status }
+    });
+
     res.json({
       success: true,
       data: { qrCode }
@@ -181,16 +493,24 @@ router.put('/qr-codes/:code/status', auth, adminAuth, async (req, res) => {
 });
 
 // Delete QR code
-router.delete('/qr-codes/:code', auth, adminAuth, async (req, res) => {
+router.delete('/qr-codes/:code', auth, authorize('qrcodes:delete'), async (req, res) => {
   try {
     const { code } = req.params;
 
-    const qrCode = await QRCode.findOneAndDelete({ code });
+    const qrCode = await QRService.deleteQRCode(code);
 
     if (!qrCode) {
       return res.status(404).json({ success: false, message: 'QR code not found' });
     }
 
+    await AuditService.record(req, {
+      action: 'qrcode.delete',
+      targetType: 'qrcode',
+      targetId: qrCode.code,
+      before: { owner: qrCode.owner, type: qrCode.type, status: qrCode.status, details: qrCode.details, contact: qrCode.contact },
+      after: null
+    });
+
     res.json({
       success: true,
       message: 'QR code deleted successfully'
@@ -201,7 +521,7 @@ router.delete('/qr-codes/:code', auth, adminAuth, async (req, res) => {
 });
 
 // Get analytics data
-router.get('/analytics', auth, adminAuth, async (req, res) => {
+router.get('/analytics', auth, authorize('analytics:read'), async (req, res) => {
   try {
     const { period = '30d' } = req.query;
     
@@ -266,27 +586,28 @@ router.get('/analytics', auth, adminAuth, async (req, res) => {
 });
 
 // Get scan history
-router.get('/scan-history', auth, adminAuth, async (req, res) => {
+router.get('/scan-history', auth, authorize('qrcodes:read'), async (req, res) => {
   try {
-    const { page = 1, limit = 10, code } = req.query;
+    const { page = 1, limit = 10, code, medium } = req.query;
     const filter = {};
     
-    if (code) filter.code = code;
+    if (code) filter.code = QRService.normalizeCode(code);
+    if (medium) filter.medium = medium;
 
-    const qrCodes = await QRCode.find(filter)
+    const scans = await ScanEvent.find(filter)
       .populate('owner', 'name email')
-      .sort({ lastScanned: -1 })
+      .sort({ scannedAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit)
       .lean();
 
-    const total = await QRCode.countDocuments(filter);
+    const total = await ScanEvent.countDocuments(filter);
     const totalPages = Math.ceil(total / limit);
 
     res.json({
       success: true,
       data: {
-        qrCodes,
+        scans,
         totalPages,
         currentPage: parseInt(page),
         total
@@ -298,7 +619,7 @@ router.get('/scan-history', auth, adminAuth, async (req, res) => {
 });
 
 // Get all notifications
-router.get('/notifications', auth, adminAuth, async (req, res) => {
+router.get('/notifications', auth, authorize('notifications:read'), async (req, res) => {
   try {
     const { page = 1, limit = 10, type } = req.query;
     const filter = {};
@@ -330,11 +651,170 @@ router.get('/notifications', auth, adminAuth, async (req, res) => {
   }
 });
 
-// Bulk generate QR codes
-router.post('/bulk-generate', auth, adminAuth, async (req, res) => {
+// Create a print batch of unclaimed tags, each with its own claim PIN
+router.post('/batches', auth, authorize('qrcodes:generate'), async (req, res) => {
   try {
-    const { count, type, template } = req.body;
-    
+    const { sku, printRun, distributor, type, quantity, notes } = req.body;
+
+    if (!sku) {
+      return res.status(400).json({ success: false, message: 'SKU is required' });
+    }
+
+    if (!type || !['item', 'pet', 'emergency', 'any'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Type must be either item, pet, emergency, or any'
+      });
+    }
+
+    const { batch, qrCodes } = await InventoryService.createBatch(req.user, {
+      sku,
+      printRun,
+      distributor,
+      type,
+      quantity: parseInt(quantity),
+      notes
+    });
+
+    await AuditService.record(req, {
+      action: 'batch.create',
+      targetType: 'batch',
+      targetId: batch._id,
+      after: { sku: batch.sku, printRun: batch.printRun, distributor: batch.distributor, type, quantity: batch.quantity }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Batch of ${batch.quantity} tags created`,
+      data: { batch, qrCodes }
+    });
+  } catch (error) {
+    console.error('Create batch error:', error);
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+// List print batches with stock counts
+router.get('/batches', auth, authorize('qrcodes:read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, sku, distributor } = req.query;
+    const data = await InventoryService.listBatches({ page, limit, sku, distributor });
+
+    res.json({ success: true, data });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Get a batch and its codes
+router.get('/batches/:batchId', auth, authorize('qrcodes:read'), async (req, res) => {
+  try {
+    const data = await InventoryService.getBatch(req.params.batchId);
+
+    res.json({ success: true, data });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+// Get a batch's claim PINs for printing
+router.get('/batches/:batchId/claim-pins', auth, authorize('qrcodes:generate'), async (req, res) => {
+  try {
+    const data = await InventoryService.getBatch(req.params.batchId, { includeClaimPins: true });
+
+    await AuditService.record(req, {
+      action: 'batch.claim_pins.read',
+      targetType: 'batch',
+      targetId: req.params.batchId
+    });
+
+    res.json({ success: true, data });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+// List the print layouts for tag sheets
+router.get('/print-layouts', auth, authorize('qrcodes:generate'), (req, res) => {
+  res.json({
+    success: true,
+    data: { layouts: PRINT_LAYOUTS, paperSizes: PAPER_SIZES, limits: PRINT_LIMITS }
+  });
+});
+
+// Render a batch as a print-ready PDF tag sheet
+router.get('/batches/:batchId/print', auth, authorize('qrcodes:generate'), async (req, res) => {
+  try {
+    const { layout, paper, width, height, bleed, cropMarks, background, showClaimPin, status } = req.query;
+
+    const { batch, qrCodes } = await InventoryService.getBatch(req.params.batchId, { includeClaimPins: true });
+
+    // Reprints usually only want tags still in stock
+    const toPrint = status
+      ? qrCodes.filter(qrCode => status.split(',').includes(qrCode.inventory?.status))
+      : qrCodes;
+
+    const doc = await PrintService.createTagSheet(toPrint, {
+      layout,
+      paper,
+      width,
+      height,
+      bleed,
+      cropMarks,
+      background,
+      showClaimPin
+    }, { title: `${batch.sku} ${batch.printRun || ''}`.trim() });
+
+    await AuditService.record(req, {
+      action: 'batch.print',
+      targetType: 'batch',
+      targetId: batch._id,
+      metadata: { layout: layout || 'label-sheet', count: toPrint.length, showClaimPin: showClaimPin !== 'false' }
+    });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="scanback-${batch.sku}-${layout || 'label-sheet'}.pdf"`);
+    doc.pipe(res);
+  } catch (error) {
+    console.error('Print batch error:', error);
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+// Move a batch's stock to shipped or sold (optionally only some codes)
+router.put('/batches/:batchId/status', auth, authorize('qrcodes:generate'), async (req, res) => {
+  try {
+    const { status, codes, distributor } = req.body;
+
+    const { batch, moved } = await InventoryService.updateStockStatus(req.params.batchId, status, {
+      codes,
+      distributor
+    });
+
+    await AuditService.record(req, {
+      action: `batch.${status}`,
+      targetType: 'batch',
+      targetId: batch._id,
+      after: { status, distributor: batch.distributor },
+      metadata: { moved, codes }
+    });
+
+    res.json({
+      success: true,
+      message: `${moved} tags marked as ${status}`,
+      data: { moved }
+    });
+  } catch (error) {
+    console.error('Update batch status error:', error);
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+// Bulk generate blank tags (a batch without the extra details)
+router.post('/bulk-generate', auth, authorize('qrcodes:generate'), async (req, res) => {
+  try {
+    const { count, type, sku, printRun, distributor } = req.body;
+
     if (!count || count > 100) {
       return res.status(400).json({ 
         success: false, 
@@ -342,44 +822,42 @@ router.post('/bulk-generate', auth, adminAuth, async (req, res) => {
       });
     }
 
-    const qrCodes = [];
-    for (let i = 0; i < count; i++) {
-      const qrData = {
-        type,
-        details: {
-          name: `${template.name || 'Item'} ${i + 1}`,
-          ...template.details
-        },
-        contact: template.contact || {
-          phone: '+27123456789',
-          email: 'admin@scanback.co.za'
-        }
-      };
+    if (!type || !['item', 'pet', 'emergency', 'any'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Type must be either item, pet, emergency, or any'
+      });
+    }
 
-      const response = await require('../services/qrService').createQRCode(
-        req.user.id,
-        type,
-        qrData.details,
-        qrData.contact
-      );
+    const { batch, qrCodes } = await InventoryService.createBatch(req.user, {
+      sku: sku || `BLANK-${type}`,
+      printRun,
+      distributor,
+      type,
+      quantity: parseInt(count)
+    });
 
-      qrCodes.push(response);
-    }
+    await AuditService.record(req, {
+      action: 'qrcode.bulk_generate',
+      targetType: 'batch',
+      targetId: batch._id,
+      metadata: { count, type, codes: qrCodes.map(result => result.qrCode.code) }
+    });
 
     res.json({
       success: true,
-      data: { qrCodes },
+      data: { batch, qrCodes },
       message: `${count} QR codes generated successfully`
     });
   } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
+    res.status(error.status || 500).json({ success: false, message: error.message });
   }
 });
 
-// Generate QR code for admin (blank QR codes)
-router.post('/generate-qr', auth, adminAuth, async (req, res) => {
+// Generate a single blank tag (a batch of one)
+router.post('/generate-qr', auth, authorize('qrcodes:generate'), async (req, res) => {
   try {
-    const { type } = req.body;
+    const { type, sku, printRun, distributor } = req.body;
     
     if (!type || !['item', 'pet', 'emergency', 'any'].includes(type)) {
       return res.status(400).json({
@@ -388,76 +866,19 @@ router.post('/generate-qr', auth, adminAuth, async (req, res) => {
       });
     }
 
-    // Create a blank QR code with default values for required fields
-    const qrData = {
+    const { batch, qrCodes: [result] } = await InventoryService.createBatch(req.user, {
+      sku: sku || `BLANK-${type}`,
+      printRun,
+      distributor,
       type,
-      details: {
-        name: `Blank ${type === "pet" ? "Pet" : type === "emergency" ? "Emergency Contact" : "Item"} QR Code`,
-        description: "",
-        category: "",
-        color: "",
-        brand: "",
-        model: "",
-        serialNumber: "",
-        ...(type === "pet" ? {
-          species: "",
-          breed: "",
-          age: undefined,
-          microchipId: ""
-        } : type === "emergency" ? {
-          medicalAidProvider: "",
-          medicalAidNumber: "",
-          bloodType: "",
-          allergies: "",
-          medications: "",
-          organDonor: false,
-          iceNote: "",
-          emergencyContact1Name: "",
-          emergencyContact1Phone: "",
-          emergencyContact1CountryCode: "",
-          emergencyContact2Name: "",
-          emergencyContact2Phone: "",
-          emergencyContact2CountryCode: ""
-        } : {
-          value: undefined,
-          purchaseDate: undefined,
-          warrantyExpiry: undefined
-        })
-      },
-      contact: {
-        name: "Admin User", // Required field
-        phone: "+27123456789", // Default placeholder phone
-        backupPhone: "",
-        countryCode: "+27",
-        email: "admin@scanback.co.za", // Default admin email
-        message: "",
-        location: {
-          address: "",
-          city: "",
-          country: "",
-          coordinates: {
-            lat: 0,
-            lng: 0
-          }
-        }
-      },
-      settings: {
-        instantAlerts: true,
-        locationSharing: true
-      }
-    };
-
-    const result = await require('../services/qrService').createQRCode(
-      req.user.id,
-      type,
-      qrData.details,
-      qrData.contact
-    );
+      quantity: 1
+    });
 
-    // Update the QR code with settings after creation
-    const QRCodeModel = require('../models/QRCode');
-    await QRCodeModel.findByIdAndUpdate(result.qrCode._id, {
-      settings: qrData.settings
+    await AuditService.record(req, {
+      action: 'qrcode.generate',
+      targetType: 'qrcode',
+      targetId: result.qrCode.code,
+      after: { type, batch: batch._id, inventoryStatus: 'unassigned' }
     });
 
     res.status(201).json({
@@ -465,13 +886,15 @@ router.post('/generate-qr', auth, adminAuth, async (req, res) => {
       message: 'QR code generated successfully',
       data: {
         qrCode: result.qrCode,
-        qrImageDataURL: result.qrImageDataURL,
-        qrUrl: result.qrUrl
+        qrImageUrl: result.qrImageUrl,
+        qrUrl: result.qrUrl,
+        claimPin: result.claimPin,
+        batch
       }
     });
   } catch (error) {
     console.error('Admin QR generation error:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       message: error.message
     });
@@ -479,7 +902,7 @@ router.post('/generate-qr', auth, adminAuth, async (req, res) => {
 });
 
 // Export QR codes
-router.get('/export', auth, adminAuth, async (req, res) => {
+router.get('/export', auth, authorize('export'), async (req, res) => {
   try {
     const { format = 'csv' } = req.query;
     
@@ -493,17 +916,23 @@ router.get('/export', auth, adminAuth, async (req, res) => {
         ...qrCodes.map(qr => [
           qr.code,
           qr.type,
-          qr.details.name,
-          qr.details.description || '',
-          qr.owner.name,
-          qr.owner.email,
-          qr.owner.phone,
+          qr.details?.name || '',
+          qr.details?.description || '',
+          qr.owner?.name || '',
+          qr.owner?.email || '',
+          qr.owner?.phone || '',
           qr.status,
           qr.scanCount,
           new Date(qr.createdAt).toISOString()
         ].join(','))
       ].join('\n');
 
+      await AuditService.record(req, {
+        action: 'export.qrcodes',
+        targetType: 'system',
+        metadata: { format, count: qrCodes.length }
+      });
+
       res.setHeader('Content-Type', 'text/csv');
       res.setHeader('Content-Disposition', 'attachment; filename=qr-codes.csv');
       res.send(csv);
@@ -515,4 +944,200 @@ router.get('/export', auth, adminAuth, async (req, res) => {
   }
 });
 
+// Search the audit log (add format=csv to download)
+router.get('/audit-logs', auth, authorize('audit:read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 50, format } = req.query;
+    const filter = AuditService.buildFilter(req.query);
+
+    if (format === 'csv') {
+      const logs = await AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(10000)
+        .lean();
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', 'attachment; filename=audit-log.csv');
+      return res.send(AuditService.toCSV(logs));
+    }
+
+    const logs = await AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .lean();
+
+    const total = await AuditLog.countDocuments(filter);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        logs,
+        totalPages,
+        currentPage: parseInt(page),
+        total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// List branded QR designs
+router.get('/designs', auth, authorize('designs:manage'), async (req, res) => {
+  try {
+    const designs = await QRDesign.find()
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({ success: true, data: { designs } });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Create a design (multipart; optional `logo` file)
+router.post('/designs', auth, authorize('designs:manage'), uploadLogo, async (req, res) => {
+  try {
+    if (!req.body.name) {
+      return res.status(400).json({ success: false, message: 'Name is required' });
+    }
+
+    const design = await QRDesignService.createDesign(req.user, req.body, req.file);
+
+    await AuditService.record(req, {
+      action: 'design.create',
+      targetType: 'design',
+      targetId: design._id,
+      after: designSnapshot(design)
+    });
+
+    res.status(201).json({ success: true, message: 'Design created', data: { design: designSnapshot(design) } });
+  } catch (error) {
+    console.error('Create design error:', error);
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+// Clear the design from users, batches and codes (they fall back to the next level)
+router.post('/designs/unassign', auth, authorize('designs:manage'), async (req, res) => {
+  try {
+    const { userIds, batchIds, codes } = req.body;
+    const result = await QRDesignService.assign(null, { userIds, batchIds, codes });
+
+    await AuditService.record(req, {
+      action: 'design.unassign',
+      targetType: 'design',
+      metadata: { userIds, batchIds, codes, ...result }
+    });
+
+    res.json({ success: true, data: result });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+// Get one design
+router.get('/designs/:id', auth, authorize('designs:manage'), async (req, res) => {
+  try {
+    const design = await QRDesign.findById(req.params.id).populate('createdBy', 'name email');
+    if (!design) {
+      return res.status(404).json({ success: false, message: 'Design not found' });
+    }
+
+    res.json({ success: true, data: { design } });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Update a design (multipart; send removeLogo=true to drop the logo)
+router.put('/designs/:id', auth, authorize('designs:manage'), uploadLogo, async (req, res) => {
+  try {
+    const design = await QRDesign.findById(req.params.id).select('+logo.data');
+    if (!design) {
+      return res.status(404).json({ success: false, message: 'Design not found' });
+    }
+
+    const before = designSnapshot(design);
+    await QRDesignService.applyChanges(design, req.body, req.file, {
+      removeLogo: req.body.removeLogo === true || req.body.removeLogo === 'true'
+    });
+
+    await AuditService.record(req, {
+      action: 'design.update',
+      targetType: 'design',
+      targetId: design._id,
+      before,
+      after: designSnapshot(design)
+    });
+
+    res.json({ success: true, message: 'Design updated', data: { design: designSnapshot(design) } });
+  } catch (error) {
+    console.error('Update design error:', error);
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+// Delete a design and clear its assignments
+router.delete('/designs/:id', auth, authorize('designs:manage'), async (req, res) => {
+  try {
+    const design = await QRDesignService.deleteDesign(req.params.id);
+
+    await AuditService.record(req, {
+      action: 'design.delete',
+      targetType: 'design',
+      targetId: design._id,
+      before: designSnapshot(design)
+    });
+
+    res.json({ success: true, message: 'Design deleted' });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+// Preview a design as a PNG (optionally for a specific code)
+router.get('/designs/:id/preview', auth, authorize('designs:manage'), async (req, res) => {
+  try {
+    const design = await QRDesign.findById(req.params.id).select('+logo.data');
+    if (!design) {
+      return res.status(404).json({ success: false, message: 'Design not found' });
+    }
+
+    const code = req.query.code || 'PREVIEW';
+    const qrUrl = `${process.env.QR_CODE_BASE_URL || 'https://scanback.vercel.app/scan'}/${code}`;
+    const width = Math.min(parseInt(req.query.width) || 600, 2000);
+
+    const buffer = await QRDesignService.renderPNG(qrUrl, design, { width });
+
+    res.set({ 'Content-Type': 'image/png', 'Cache-Control': 'no-store' });
+    res.send(buffer);
+  } catch (error) {
+    console.error('Preview design error:', error);
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+// Assign a design to users, batches and/or individual codes
+router.post('/designs/:id/assign', auth, authorize('designs:manage'), async (req, res) => {
+  try {
+    const { userIds, batchIds, codes } = req.body;
+    const result = await QRDesignService.assign(req.params.id, { userIds, batchIds, codes });
+
+    await AuditService.record(req, {
+      action: 'design.assign',
+      targetType: 'design',
+      targetId: req.params.id,
+      metadata: { userIds, batchIds, codes, ...result }
+    });
+
+    res.json({ success: true, data: result });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,156 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const ApiKeyService = require('../services/apiKeyService');
+const AuditService = require('../services/auditService');
+const auth = require('../middleware/auth');
+const blockImpersonation = require('../middleware/blockImpersonation');
+const { API_KEY_SCOPES } = require('../config/apiKeyScopes');
+const router = express.Router();
+
+/**
+ * Shape an API key document for responses (never includes the secret)
+ */
+const formatApiKey = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  lastUsedAt: apiKey.lastUsedAt || null,
+  lastUsedIp: apiKey.lastUsedIp || null,
+  expiresAt: apiKey.expiresAt,
+  revokedAt: apiKey.revokedAt || null,
+  isActive: !apiKey.revokedAt && apiKey.expiresAt > new Date(),
+  createdAt: apiKey.createdAt
+});
+
+/**
+ * @route   GET /api/api-keys/scopes
+ * @desc    List the scopes an API key can be granted
+ * @access  Private
+ */
+router.get('/scopes', auth, (req, res) => {
+  res.json({
+    success: true,
+    data: { scopes: API_KEY_SCOPES }
+  });
+});
+
+/**
+ * @route   GET /api/api-keys
+ * @desc    List the current user's API keys
+ * @access  Private
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const apiKeys = await ApiKeyService.listKeys(req.user.id);
+
+    res.json({
+      success: true,
+      data: { apiKeys: apiKeys.map(formatApiKey) }
+    });
+  } catch (error) {
+    console.error('List API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list API keys'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/api-keys
+ * @desc    Create a named, scoped API key (the key is only shown once)
+ * @access  Private
+ */
+router.post('/', auth, blockImpersonation, [
+  body('name').trim().notEmpty().withMessage('Name is required')
+    .isLength({ max: 100 }).withMessage('Name must be at most 100 characters'),
+  body('scopes').isArray({ min: 1 }).withMessage('At least one scope is required'),
+  body('scopes.*').isIn(Object.keys(API_KEY_SCOPES)).withMessage('Unknown scope'),
+  body('expiresInDays').optional().isInt({ min: 1, max: 365 }).withMessage('Expiry must be between 1 and 365 days')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, scopes, expiresInDays } = req.body;
+
+    let result;
+    try {
+      result = await ApiKeyService.createKey(req.user.id, { name, scopes, expiresInDays });
+    } catch (limitError) {
+      return res.status(400).json({
+        success: false,
+        message: limitError.message
+      });
+    }
+
+    await AuditService.record(req, {
+      action: 'api_key.create',
+      targetType: 'api_key',
+      targetId: result.apiKey._id,
+      after: { name: result.apiKey.name, scopes: result.apiKey.scopes, expiresAt: result.apiKey.expiresAt }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now - it will not be shown again.',
+      data: {
+        apiKey: formatApiKey(result.apiKey),
+        key: result.key
+      }
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create API key'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/api-keys/:keyId
+ * @desc    Revoke an API key
+ * @access  Private
+ */
+router.delete('/:keyId', auth, blockImpersonation, async (req, res) => {
+  try {
+    const apiKey = await ApiKeyService.revokeKey(req.user.id, req.params.keyId);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    await AuditService.record(req, {
+      action: 'api_key.revoke',
+      targetType: 'api_key',
+      targetId: apiKey._id,
+      before: { revokedAt: null },
+      after: { revokedAt: apiKey.revokedAt }
+    });
+
+    res.json({
+      success: true,
+      message: 'API key revoked',
+      data: { apiKey: formatApiKey(apiKey) }
+    });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke API key'
+    });
+  }
+});
+
+module.exports = router;
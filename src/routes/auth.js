@@ -4,9 +4,88 @@ const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const emailService = require('../services/emailService');
+const TokenService = require('../services/tokenService');
+const LockoutService = require('../services/lockoutService');
+const InviteService = require('../services/inviteService');
+const MagicLinkService = require('../services/magicLinkService');
+const AccountService = require('../services/accountService');
+const AuditService = require('../services/auditService');
+const TOTPService = require('../services/totpService');
+const QRService = require('../services/qrService');
 const auth = require('../middleware/auth');
+const blockImpersonation = require('../middleware/blockImpersonation');
 const router = express.Router();
 
+/**
+ * Shape a user document for auth responses
+ */
+const formatUser = (user) => ({
+  id: user._id,
+  email: user.email,
+  name: user.name,
+  phone: user.phone,
+  role: user.role,
+  isEmailVerified: user.isEmailVerified,
+  twoFactorEnabled: !!user.twoFactor?.enabled,
+  deletionScheduledFor: user.deletion?.scheduledFor || null,
+  stats: user.stats
+});
+
+/**
+ * Turn away suspended or deactivated accounts; returns true if it responded
+ */
+const rejectInactive = (user, res) => {
+  if (user.status === 'active') return false;
+
+  res.status(403).json({
+    success: false,
+    message: 'This account is not active',
+    code: 'ACCOUNT_INACTIVE'
+  });
+  return true;
+};
+
+/**
+ * Finish a login once the first factor is proven: accounts with 2FA get a
+ * short-lived challenge, everyone else gets a new session
+ */
+const completeLogin = async (user, req, res, message = 'Login successful') => {
+  if (rejectInactive(user, res)) return;
+
+  if (user.twoFactor?.enabled) {
+    const challengeToken = TokenService.signPurposeToken(
+      { userId: user._id },
+      '2fa_challenge',
+      '5m'
+    );
+
+    return res.json({
+      success: true,
+      message: 'Two-factor authentication required',
+      data: {
+        twoFactorRequired: true,
+        challengeToken
+      }
+    });
+  }
+
+  user.resetAuthFailures();
+  await user.save();
+
+  // Start a session for this device
+  const { token, refreshToken } = await TokenService.createSession(user, req);
+
+  res.json({
+    success: true,
+    message,
+    data: {
+      user: formatUser(user),
+      token,
+      refreshToken
+    }
+  });
+};
+
 /**
  * @route   POST /api/auth/register
  * @desc    Register a new user
@@ -41,41 +120,28 @@ router.post('/register', [
       });
     }
 
-    // Generate temporary password first
-    const tempPassword = Math.random().toString(36).slice(-8).toUpperCase();
-
-    // Create new user with temporary password
+    // Create the account without a password; the owner chooses one from the emailed link
     const user = new User({
       email,
       phone,
-      name,
-      password: tempPassword // Will be hashed by pre-save hook
+      name
     });
 
-    // Set temp password fields
-    user.tempPassword = tempPassword;
-    user.tempPasswordExpires = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
-    
     await user.save();
 
-    // Send welcome email with temp password
-    try {
-      await emailService.sendTempPasswordEmail(email, name, tempPassword);
-    } catch (emailError) {
-      console.error('Failed to send welcome email:', emailError);
-      // Don't fail registration if email fails
-    }
+    await AuditService.record(req, {
+      action: 'user.register',
+      targetType: 'user',
+      targetId: user._id,
+      actor: user
+    });
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET || 'fallback-secret',
-      { expiresIn: process.env.JWT_EXPIRE || '7d' }
-    );
+    // Send welcome email with a single-use set-password link
+    await InviteService.sendInvite(user);
 
     res.status(201).json({
       success: true,
-      message: 'User registered successfully. Check your email for temporary password.',
+      message: 'User registered successfully. Check your email for a link to set your password.',
       data: {
         user: {
           id: user._id,
@@ -83,9 +149,7 @@ router.post('/register', [
           name: user.name,
           phone: user.phone,
           isEmailVerified: user.isEmailVerified
-        },
-        token,
-        tempPassword // Only for development/testing
+        }
       }
     });
   } catch (error) {
@@ -119,7 +183,6 @@ router.post('/login', [
     const { email, password } = req.body;
 
     console.log('Login attempt for email:', email);
-    console.log('Password provided:', password);
 
     // Find user by email
     const user = await User.findOne({ email });
@@ -131,50 +194,198 @@ router.post('/login', [
       });
     }
 
-    console.log('User found:', user.email, user.name);
-    console.log('Stored password hash:', user.password);
+    if (user.isLocked()) {
+      return res.status(423).json(LockoutService.lockedResponse(user));
+    }
 
-    // Check password using direct bcrypt comparison
-    const bcrypt = require('bcryptjs');
-    const isPasswordValid = await bcrypt.compare(password, user.password);
-    console.log('Direct bcrypt comparison result:', isPasswordValid);
-    
-    // Also test the model method
-    const modelComparison = await user.comparePassword(password);
-    console.log('Model method comparison result:', modelComparison);
+    const isPasswordValid = await user.comparePassword(password);
     
     if (!isPasswordValid) {
       console.log('Password validation failed');
+      const locked = await LockoutService.recordFailure(user);
+      if (locked) {
+        return res.status(423).json(LockoutService.lockedResponse(user));
+      }
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET || 'fallback-secret',
-      { expiresIn: process.env.JWT_EXPIRE || '7d' }
-    );
+    await completeLogin(user, req, res);
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/login/2fa
+ * @desc    Complete login with a TOTP code or recovery code
+ * @access  Public
+ */
+router.post('/login/2fa', [
+  body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+  body('code').optional().isLength({ min: 6, max: 6 }).withMessage('Code must be 6 digits'),
+  body('recoveryCode').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    let decoded;
+    try {
+      decoded = TokenService.verifyPurposeToken(challengeToken, '2fa_challenge');
+    } catch (tokenError) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge has expired. Please log in again.'
+      });
+    }
+
+    const user = await User.findById(decoded.userId)
+      .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    if (user.isLocked()) {
+      return res.status(423).json(LockoutService.lockedResponse(user));
+    }
+
+    if (!user.verifySecondFactor({ code, recoveryCode })) {
+      const locked = await LockoutService.recordFailure(user);
+      if (locked) {
+        return res.status(423).json(LockoutService.lockedResponse(user));
+      }
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    if (rejectInactive(user, res)) return;
+
+    user.resetAuthFailures();
+    await user.save();
+
+    const { token, refreshToken } = await TokenService.createSession(user, req);
 
     res.json({
       success: true,
       message: 'Login successful',
       data: {
-        user: {
-          id: user._id,
-          email: user.email,
-          name: user.name,
-          phone: user.phone,
-          isEmailVerified: user.isEmailVerified,
-          stats: user.stats
-        },
-        token
+        user: formatUser(user),
+        token,
+        refreshToken,
+        ...(recoveryCode && { recoveryCodesRemaining: user.twoFactor.recoveryCodes.length })
       }
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('2FA login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/magic-link
+ * @desc    Email a single-use login link
+ * @access  Public
+ */
+router.post('/magic-link', [
+  body('email').isEmail().withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+
+    if (user && user.status === 'active' && !user.isLocked()) {
+      const sent = await MagicLinkService.sendLoginLink(user);
+      if (!sent) {
+        console.log('Magic link throttled for email:', user.email);
+      }
+    }
+
+    // Don't reveal if user exists or not
+    res.json({
+      success: true,
+      message: 'If an account exists with that email, a login link has been sent'
+    });
+  } catch (error) {
+    console.error('Magic link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending login link'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/magic-link/verify
+ * @desc    Exchange a login link for a session
+ * @access  Public
+ */
+router.post('/magic-link/verify', [
+  body('token').notEmpty().withMessage('Token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let user;
+    try {
+      user = await MagicLinkService.consumeLoginLink(req.body.token);
+    } catch (linkError) {
+      return res.status(401).json({
+        success: false,
+        message: 'This login link is invalid or has expired. Please request a new one.'
+      });
+    }
+
+    if (user.isLocked()) {
+      return res.status(423).json(LockoutService.lockedResponse(user));
+    }
+
+    // The link was delivered to this address, so it is verified, even if
+    // the login still has to pass a 2FA challenge
+    user.isEmailVerified = true;
+    await user.save();
+
+    await completeLogin(user, req, res);
+  } catch (error) {
+    console.error('Magic link login error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error during login'
@@ -187,7 +398,7 @@ router.post('/login', [
  * @desc    Change user password
  * @access  Private
  */
-router.post('/change-password', auth, [
+router.post('/change-password', auth, blockImpersonation, [
   body('currentPassword').notEmpty().withMessage('Current password is required'),
   body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
 ], async (req, res) => {
@@ -223,13 +434,24 @@ router.post('/change-password', auth, [
 
     // Update password
     user.password = newPassword;
-    user.tempPassword = null; // Clear temp password
-    user.tempPasswordExpires = null;
     await user.save();
 
+    // Sign out every device, then give this one a fresh session
+    await TokenService.revokeAllSessions(user._id, 'password_change');
+    await AuditService.record(req, {
+      action: 'user.password.change',
+      targetType: 'user',
+      targetId: user._id
+    });
+    const { token, refreshToken } = await TokenService.createSession(user, req);
+
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully. All other sessions have been signed out.',
+      data: {
+        token,
+        refreshToken
+      }
     });
   } catch (error) {
     console.error('Change password error:', error);
@@ -330,12 +552,17 @@ router.post('/send-reset-otp', [
       });
     }
 
+    if (user.isLocked()) {
+      return res.status(423).json(LockoutService.lockedResponse(user));
+    }
+
     // Generate 6-digit OTP
     const otp = Math.floor(100000 + Math.random() * 900000).toString();
     
     // Store OTP with expiration (10 minutes)
     user.passwordResetOTP = otp;
     user.passwordResetOTPExpires = new Date(Date.now() + 10 * 60 * 1000);
+    user.passwordResetOTPAttempts = 0;
     await user.save();
 
     // Send OTP email
@@ -389,6 +616,10 @@ router.post('/verify-reset-otp', [
       });
     }
 
+    if (user.isLocked()) {
+      return res.status(423).json(LockoutService.lockedResponse(user));
+    }
+
     // Check if OTP exists and is not expired
     if (!user.passwordResetOTP || !user.passwordResetOTPExpires || 
         user.passwordResetOTPExpires < new Date()) {
@@ -400,9 +631,16 @@ router.post('/verify-reset-otp', [
 
     // Verify OTP
     if (user.passwordResetOTP !== otp) {
+      const invalidated = user.registerFailedResetOTP();
+      const locked = await LockoutService.recordFailure(user);
+      if (locked) {
+        return res.status(423).json(LockoutService.lockedResponse(user));
+      }
       return res.status(400).json({
         success: false,
-        message: 'Invalid OTP'
+        message: invalidated
+          ? 'Too many incorrect attempts. Please request a new code.'
+          : 'Invalid OTP'
       });
     }
 
@@ -449,6 +687,10 @@ router.post('/reset-password', [
       });
     }
 
+    if (user.isLocked()) {
+      return res.status(423).json(LockoutService.lockedResponse(user));
+    }
+
     // Check if OTP exists and is not expired
     if (!user.passwordResetOTP || !user.passwordResetOTPExpires || 
         user.passwordResetOTPExpires < new Date()) {
@@ -460,9 +702,16 @@ router.post('/reset-password', [
 
     // Verify OTP
     if (user.passwordResetOTP !== otp) {
+      const invalidated = user.registerFailedResetOTP();
+      const locked = await LockoutService.recordFailure(user);
+      if (locked) {
+        return res.status(423).json(LockoutService.lockedResponse(user));
+      }
       return res.status(400).json({
         success: false,
-        message: 'Invalid OTP'
+        message: invalidated
+          ? 'Too many incorrect attempts. Please request a new code.'
+          : 'Invalid OTP'
       });
     }
 
@@ -470,10 +719,19 @@ router.post('/reset-password', [
     user.password = newPassword;
     user.passwordResetOTP = null;
     user.passwordResetOTPExpires = null;
-    user.tempPassword = null; // Clear temp password
-    user.tempPasswordExpires = null;
+    user.passwordResetOTPAttempts = 0;
+    user.resetAuthFailures();
     await user.save();
 
+    // A reset means the old password may be compromised, so sign out everywhere
+    await TokenService.revokeAllSessions(user._id, 'password_reset');
+    await AuditService.record(req, {
+      action: 'user.password.reset',
+      targetType: 'user',
+      targetId: user._id,
+      actor: user
+    });
+
     res.json({
       success: true,
       message: 'Password reset successfully'
@@ -488,51 +746,80 @@ router.post('/reset-password', [
 });
 
 /**
- * @route   GET /api/auth/me
- * @desc    Get current user
- * @access  Private
+ * @route   POST /api/auth/set-password
+ * @desc    Choose a password using the single-use link from the invite email
+ * @access  Public
  */
-router.get('/me', auth, async (req, res) => {
+router.post('/set-password', [
+  body('token').notEmpty().withMessage('Token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
   try {
-    const user = await User.findById(req.user.id).select('-password');
-    if (!user) {
-      return res.status(404).json({
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         success: false,
-        message: 'User not found'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    res.json({
-      success: true,
-      data: {
-        user: {
-          id: user._id,
-          email: user.email,
-          name: user.name,
-          phone: user.phone,
-          isEmailVerified: user.isEmailVerified,
-          stats: user.stats,
-          profile: user.profile
-        }
-      }
+    const { token, password } = req.body;
+
+    let decoded;
+    try {
+      decoded = TokenService.verifyPurposeToken(token, 'set_password');
+    } catch (tokenError) {
+      return res.status(400).json({
+        success: false,
+        message: 'This link is invalid or has expired. Please request a new one.'
+      });
+    }
+
+    const user = await User.findById(decoded.userId);
+
+    try {
+      if (!user) throw new Error('User not found');
+      InviteService.verifyInvite(token, user);
+    } catch (inviteError) {
+      return res.status(400).json({
+        success: false,
+        message: 'This link is invalid or has expired. Please request a new one.'
+      });
+    }
+
+    user.password = password;
+    user.passwordSetupToken = undefined;
+    user.passwordSetupExpires = undefined;
+    // The link was delivered to this address, so it is verified
+    user.isEmailVerified = true;
+    await user.save();
+
+    await TokenService.revokeAllSessions(user._id, 'password_set');
+    await AuditService.record(req, {
+      action: 'user.password.set',
+      targetType: 'user',
+      targetId: user._id,
+      actor: user
     });
+
+    await completeLogin(user, req, res, 'Password set successfully');
   } catch (error) {
-    console.error('Get user error:', error);
+    console.error('Set password error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error'
+      message: 'Server error while setting password'
     });
   }
 });
 
 /**
- * @route   PUT /api/auth/profile
- * @desc    Update user profile
- * @access  Private
+ * @route   POST /api/auth/resend-invite
+ * @desc    Email a new set-password link to an account that has not chosen a password
+ * @access  Public
  */
-router.put('/profile', auth, [
-  body('name').optional().notEmpty().withMessage('Name cannot be empty'),
-  body('phone').optional().isMobilePhone().withMessage('Valid phone number is required')
+router.post('/resend-invite', [
+  body('email').isEmail().withMessage('Please provide a valid email')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -544,27 +831,784 @@ router.put('/profile', auth, [
       });
     }
 
-    const { name, phone, profile } = req.body;
-    const userId = req.user.id;
+    const user = await User.findOne({ email: req.body.email });
 
-    const updateData = {};
-    if (name) updateData.name = name;
-    if (phone) updateData.phone = phone;
-    if (profile) updateData.profile = profile;
+    // Only accounts still waiting on a password, at most once a minute
+    if (user && !user.password &&
+        !(user.passwordSetupSentAt && Date.now() - user.passwordSetupSentAt.getTime() < 60 * 1000)) {
+      await InviteService.sendInvite(user);
+    }
 
-    const user = await User.findByIdAndUpdate(
-      userId,
-      updateData,
-      { new: true, select: '-password' }
-    );
+    // Don't reveal if user exists or not
+    res.json({
+      success: true,
+      message: 'If that account is waiting for a password, a new link has been sent'
+    });
+  } catch (error) {
+    console.error('Resend invite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending invite'
+    });
+  }
+});
 
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Verify email address using the emailed token
+ * @access  Public
+ */
+router.post('/verify-email', [
+  body('token').notEmpty().withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({
+      emailVerificationToken: TokenService.hashToken(req.body.token),
+      emailVerificationExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    user.isEmailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during email verification'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Send a new email verification link
+ * @access  Private
+ */
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    // Allow one resend per minute
+    if (user.emailVerificationSentAt &&
+        Date.now() - user.emailVerificationSentAt.getTime() < 60 * 1000) {
+      return res.status(429).json({
+        success: false,
+        message: 'Please wait a minute before requesting another verification email'
+      });
+    }
+
+    const verificationToken = user.generateEmailVerificationToken();
+    await user.save();
+
+    await emailService.sendEmailVerification(user.email, user.name, verificationToken);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send verification email'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access/refresh token pair
+ * @access  Public
+ */
+router.post('/refresh', [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { token, refreshToken } = await TokenService.refreshSession(req.body.refreshToken, req);
+
+    res.json({
+      success: true,
+      data: {
+        token,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(401).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List active sessions for the current user
+ * @access  Private
+ */
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await TokenService.listSessions(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          id: session._id,
+          userAgent: session.userAgent,
+          ipAddress: session.ipAddress,
+          createdAt: session.createdAt,
+          lastUsedAt: session.lastUsedAt,
+          expiresAt: session.expiresAt,
+          current: session._id.toString() === req.sessionId
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get sessions'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @desc    Log out a single session
+ * @access  Private
+ */
+router.delete('/sessions/:sessionId', auth, blockImpersonation, async (req, res) => {
+  try {
+    const revoked = await TokenService.revokeSession(req.user.id, req.params.sessionId);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await AuditService.record(req, {
+      action: 'session.revoke',
+      targetType: 'session',
+      targetId: req.params.sessionId
+    });
+
+    res.json({
+      success: true,
+      message: 'Session logged out'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to log out session'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Log out the current session
+ * @access  Private
+ */
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await TokenService.revokeSession(req.user.id, req.sessionId);
+
+    if (req.impersonator) {
+      await AuditService.record(req, {
+        action: 'impersonation.end',
+        targetType: 'user',
+        targetId: req.user._id,
+        metadata: { sessionId: req.sessionId }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Log out every session of the current user
+ * @access  Private
+ */
+router.post('/logout-all', auth, blockImpersonation, async (req, res) => {
+  try {
+    const count = await TokenService.revokeAllSessions(req.user.id);
+
+    await AuditService.record(req, {
+      action: 'session.revoke_all',
+      targetType: 'user',
+      targetId: req.user._id,
+      metadata: { count }
+    });
+
+    res.json({
+      success: true,
+      message: 'All sessions logged out',
+      data: { count }
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Get two-factor authentication status
+ * @access  Private
+ */
+router.get('/2fa', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+twoFactor.recoveryCodes');
+
+    res.json({
+      success: true,
+      data: {
+        enabled: !!user.twoFactor?.enabled,
+        required: !!user.twoFactor?.required,
+        enabledAt: user.twoFactor?.enabledAt,
+        recoveryCodesRemaining: user.twoFactor?.recoveryCodes?.length || 0
+      }
+    });
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start 2FA enrollment - returns a secret and QR code for the authenticator app
+ * @access  Private
+ */
+router.post('/2fa/setup', auth, blockImpersonation, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = TOTPService.generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    const otpauthUrl = TOTPService.getOtpauthUrl(user.email, secret);
+    const qrImageDataURL = await QRService.generateQRImage(otpauthUrl);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUrl,
+        qrImageDataURL
+      }
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during 2FA setup'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm enrollment with a code and receive recovery codes
+ * @access  Private
+ */
+router.post('/2fa/enable', auth, blockImpersonation, [
+  body('code').isLength({ min: 6, max: 6 }).withMessage('Code must be 6 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+twoFactor.pendingSecret');
+
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start 2FA setup first'
+      });
+    }
+
+    const step = TOTPService.verifyToken(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    await AuditService.record(req, {
+      action: 'user.2fa.enable',
+      targetType: 'user',
+      targetId: user._id,
+      before: { twoFactor: { enabled: false } },
+      after: { twoFactor: { enabled: true } }
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while enabling 2FA'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn off 2FA (requires password and a current code)
+ * @access  Private
+ */
+router.post('/2fa/disable', auth, blockImpersonation, [
+  body('password').notEmpty().withMessage('Password is required'),
+  body('code').optional().isLength({ min: 6, max: 6 }).withMessage('Code must be 6 digits'),
+  body('recoveryCode').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { password, code, recoveryCode } = req.body;
+    const user = await User.findById(req.user.id)
+      .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (user.twoFactor.required) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your account and cannot be disabled'
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid || !user.verifySecondFactor({ code, recoveryCode })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid password or authentication code'
+      });
+    }
+
+    user.twoFactor.enabled = false;
+    user.twoFactor.secret = undefined;
+    user.twoFactor.recoveryCodes = [];
+    user.twoFactor.lastUsedStep = undefined;
+    user.twoFactor.enabledAt = undefined;
+    await user.save();
+
+    await AuditService.record(req, {
+      action: 'user.2fa.disable',
+      targetType: 'user',
+      targetId: user._id,
+      before: { twoFactor: { enabled: true } },
+      after: { twoFactor: { enabled: false } }
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while disabling 2FA'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Regenerate recovery codes (invalidates the old ones)
+ * @access  Private
+ */
+router.post('/2fa/recovery-codes', auth, blockImpersonation, [
+  body('code').isLength({ min: 6, max: 6 }).withMessage('Code must be 6 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.id)
+      .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+    if (!user.verifySecondFactor({ code: req.body.code })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    await AuditService.record(req, {
+      action: 'user.2fa.recovery_codes',
+      targetType: 'user',
+      targetId: user._id
+    });
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/export
+ * @desc    Download a zip archive of everything held about the current user
+ * @access  Private
+ */
+router.get('/export', auth, blockImpersonation, async (req, res) => {
+  try {
+    const archive = await AccountService.createExportArchive(req.user.id);
+
+    await AuditService.record(req, {
+      action: 'user.export',
+      targetType: 'user',
+      targetId: req.user._id
+    });
+    const filename = `scanback-export-${new Date().toISOString().slice(0, 10)}.zip`;
+
+    archive.on('error', (archiveError) => {
+      console.error('Export archive error:', archiveError);
+      res.destroy(archiveError);
+    });
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    archive.pipe(res);
+  } catch (error) {
+    console.error('Export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting data'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/account
+ * @desc    Schedule the current account for deletion after a grace period
+ * @access  Private
+ */
+router.delete('/account', auth, blockImpersonation, [
+  body('password').notEmpty().withMessage('Password is required'),
+  body('code').optional().isLength({ min: 6, max: 6 }).withMessage('Code must be 6 digits'),
+  body('recoveryCode').optional().isString(),
+  body('reason').optional().isString().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { password, code, recoveryCode, reason } = req.body;
+    const user = await User.findById(req.user.id)
+      .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+    if (user.deletion?.scheduledFor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account deletion is already scheduled'
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    const isSecondFactorValid = !user.twoFactor?.enabled || user.verifySecondFactor({ code, recoveryCode });
+    if (!isPasswordValid || !isSecondFactorValid) {
+      return res.status(400).json({
+        success: false,
+        message: user.twoFactor?.enabled
+          ? 'Invalid password or authentication code'
+          : 'Password is incorrect'
+      });
+    }
+
+    const scheduledFor = await AccountService.scheduleDeletion(user, reason);
+
+    await AuditService.record(req, {
+      action: 'user.deletion.schedule',
+      targetType: 'user',
+      targetId: user._id,
+      after: { deletion: { scheduledFor } }
+    });
+
+    try {
+      await emailService.sendAccountDeletionScheduledEmail(user.email, user.name, scheduledFor);
+    } catch (emailError) {
+      console.error('Failed to send account deletion email:', emailError);
     }
 
+    res.json({
+      success: true,
+      message: 'Your account will be deleted after the grace period. Log in and restore it before then to cancel.',
+      data: {
+        deletionScheduledFor: scheduledFor
+      }
+    });
+  } catch (error) {
+    console.error('Account deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting account'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/account/restore
+ * @desc    Cancel a pending account deletion
+ * @access  Private
+ */
+router.post('/account/restore', auth, blockImpersonation, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user.deletion?.scheduledFor) {
+      return res.status(400).json({
+        success: false,
+        message: 'No account deletion is scheduled'
+      });
+    }
+
+    const before = { deletion: { scheduledFor: user.deletion.scheduledFor } };
+    await AccountService.cancelDeletion(user);
+
+    await AuditService.record(req, {
+      action: 'user.deletion.cancel',
+      targetType: 'user',
+      targetId: user._id,
+      before,
+      after: null
+    });
+
+    res.json({
+      success: true,
+      message: 'Account deletion cancelled'
+    });
+  } catch (error) {
+    console.error('Account restore error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while restoring account'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/me
+ * @desc    Get current user
+ * @access  Private
+ */
+router.get('/me', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('-password');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        user: {
+          id: user._id,
+          email: user.email,
+          name: user.name,
+          phone: user.phone,
+          role: user.role,
+          isEmailVerified: user.isEmailVerified,
+          twoFactorEnabled: !!user.twoFactor?.enabled,
+          twoFactorRequired: !!user.twoFactor?.required,
+          deletionScheduledFor: user.deletion?.scheduledFor || null,
+          stats: user.stats,
+          profile: user.profile
+        },
+        impersonatedBy: req.impersonator
+          ? { id: req.impersonator._id, name: req.impersonator.name, email: req.impersonator.email }
+          : null
+      }
+    });
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/auth/profile
+ * @desc    Update user profile
+ * @access  Private
+ */
+router.put('/profile', auth, [
+  body('name').optional().notEmpty().withMessage('Name cannot be empty'),
+  body('phone').optional().isMobilePhone().withMessage('Valid phone number is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, phone, profile } = req.body;
+    const userId = req.user.id;
+
+    const updateData = {};
+    if (name) updateData.name = name;
+    if (phone) updateData.phone = phone;
+    if (profile) updateData.profile = profile;
+
+    const before = await User.findById(userId).select('name phone profile').lean();
+    const user = await User.findByIdAndUpdate(
+      userId,
+      updateData,
+      { new: true, select: '-password' }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await AuditService.record(req, {
+      action: 'user.profile.update',
+      targetType: 'user',
+      targetId: user._id,
+      before,
+      after: AuditService.pick(user, ['name', 'phone', 'profile'])
+    });
+
     res.json({
       success: true,
       message: 'Profile updated successfully',
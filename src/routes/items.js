@@ -1,15 +1,25 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const QRService = require('../services/qrService');
+const ProxyNumberService = require('../services/proxyNumberService');
 const auth = require('../middleware/auth');
+const requireVerifiedEmail = require('../middleware/requireVerifiedEmail');
+const blockImpersonation = require('../middleware/blockImpersonation');
+const AuditService = require('../services/auditService');
 const router = express.Router();
 
+// :id is the tag's code; accept it as typed, like the /api/qr routes do
+router.param('id', (req, res, next, id) => {
+  req.params.id = QRService.normalizeCode(id);
+  next();
+});
+
 /**
  * @route   POST /api/items/create
  * @desc    Create a new item QR code
  * @access  Private
  */
-router.post('/create', auth, [
+router.post('/create', auth.scoped('qr:write'), [
   body('name').notEmpty().withMessage('Item name is required'),
   body('description').optional().isString(),
   body('category').optional().isString(),
@@ -63,12 +73,19 @@ router.post('/create', auth, [
 
     const result = await QRService.createQRCode(req.user.id, 'item', details, contact);
 
+    await AuditService.record(req, {
+      action: 'qrcode.create',
+      targetType: 'qrcode',
+      targetId: result.qrCode.code,
+      after: AuditService.pick(result.qrCode, ['type', 'details', 'contact'])
+    });
+
     res.status(201).json({
       success: true,
       message: 'Item QR code created successfully',
       data: {
         qrCode: result.qrCode,
-        qrImageDataURL: result.qrImageDataURL,
+        qrImageUrl: result.qrImageUrl,
         qrUrl: result.qrUrl
       }
     });
@@ -86,7 +103,7 @@ router.post('/create', auth, [
  * @desc    Get user's items
  * @access  Private
  */
-router.get('/', auth, async (req, res) => {
+router.get('/', auth.scoped('qr:read'), async (req, res) => {
   try {
     const items = await QRService.getUserQRCodes(req.user.id, 'item');
 
@@ -108,13 +125,13 @@ router.get('/', auth, async (req, res) => {
  * @desc    Get specific item
  * @access  Private
  */
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth.scoped('qr:read'), async (req, res) => {
   try {
     const { id } = req.params;
     const item = await QRService.getQRCodeByCode(id);
 
-    // Check ownership
-    if (item.owner.toString() !== req.user.id) {
+    // Check ownership or group membership
+    if (!(await QRService.canAccess(item, req.user.id, 'read'))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -139,7 +156,7 @@ router.get('/:id', auth, async (req, res) => {
  * @desc    Update item details
  * @access  Private
  */
-router.put('/:id', auth, [
+router.put('/:id', auth.scoped('qr:write'), requireVerifiedEmail.when(req => !!req.body.contact), [
   body('name').optional().notEmpty().withMessage('Name cannot be empty'),
   body('description').optional().isString(),
   body('category').optional().isString(),
@@ -167,9 +184,9 @@ router.put('/:id', auth, [
     const { id } = req.params;
     const updateData = req.body;
 
-    // Verify ownership
+    // Verify ownership or group write access
     const item = await QRService.getQRCodeByCode(id);
-    if (item.owner.toString() !== req.user.id) {
+    if (!(await QRService.canAccess(item, req.user.id, 'write'))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -178,6 +195,14 @@ router.put('/:id', auth, [
 
     const updatedItem = await QRService.updateQRCode(id, updateData);
 
+    await AuditService.record(req, {
+      action: 'qrcode.update',
+      targetType: 'qrcode',
+      targetId: id,
+      before: AuditService.pick(item, ['details', 'contact', 'settings']),
+      after: AuditService.pick(updatedItem, ['details', 'contact', 'settings'])
+    });
+
     res.json({
       success: true,
       message: 'Item updated successfully',
@@ -197,13 +222,13 @@ router.put('/:id', auth, [
  * @desc    Deactivate item
  * @access  Private
  */
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth.scoped('qr:write'), blockImpersonation, async (req, res) => {
   try {
     const { id } = req.params;
 
-    // Verify ownership
+    // Verify ownership or group write access
     const item = await QRService.getQRCodeByCode(id);
-    if (item.owner.toString() !== req.user.id) {
+    if (!(await QRService.canAccess(item, req.user.id, 'write'))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -212,6 +237,14 @@ router.delete('/:id', auth, async (req, res) => {
 
     const deactivatedItem = await QRService.deactivateQRCode(id);
 
+    await AuditService.record(req, {
+      action: 'qrcode.deactivate',
+      targetType: 'qrcode',
+      targetId: id,
+      before: { status: item.status },
+      after: { status: deactivatedItem.status }
+    });
+
     res.json({
       success: true,
       message: 'Item deactivated successfully',
@@ -237,7 +270,8 @@ router.post('/:id/scan', async (req, res) => {
     const scanData = {
       ipAddress: req.ip || req.connection.remoteAddress,
       userAgent: req.get('User-Agent'),
-      location: req.body.location || 'Unknown'
+      location: req.body.location || 'Unknown',
+      geo: req.body.geo
     };
 
     const result = await QRService.handleScan(id, scanData);
@@ -282,12 +316,21 @@ router.post('/:id/found', [
     const finderDetails = req.body;
 
     const item = await QRService.reportFound(id, finderDetails);
+    const proxySession = await ProxyNumberService.getActiveSession(item._id);
+
+    await AuditService.record(req, {
+      action: 'qrcode.found',
+      targetType: 'qrcode',
+      targetId: id,
+      after: { status: item.status },
+      metadata: { foundLocation: finderDetails.foundLocation }
+    });
 
     res.json({
       success: true,
       message: 'Item reported as found successfully',
       data: {
-        item,
+        item: QRService.toFinderView(item, proxySession),
         finderDetails
       }
     });
@@ -2,15 +2,51 @@ const express = require('express');
 const Notification = require('../models/Notification');
 const QRCode = require('../models/QRCode');
 const emailService = require('../services/emailService');
+const OrganizationService = require('../services/organizationService');
 const auth = require('../middleware/auth');
 const router = express.Router();
 
+/**
+ * Create a notification for the QR code's owner and every member of its
+ * group, emailing each of them. Returns the notifications in recipient order.
+ */
+const notifyRecipients = async (qrCode, notificationData, sendEmail, label) => {
+  const recipients = await OrganizationService.getNotificationRecipients(qrCode);
+
+  return Promise.all(recipients.map(async (recipient) => {
+    const notification = new Notification({
+      ...notificationData,
+      owner: recipient._id,
+      channels: [{
+        type: 'email',
+        status: 'pending'
+      }]
+    });
+
+    await notification.save();
+
+    // Send email notification
+    try {
+      await sendEmail(recipient);
+
+      notification.addChannelStatus('email', 'sent');
+      await notification.save();
+    } catch (emailError) {
+      console.error(`Failed to send ${label} notification email:`, emailError);
+      notification.addChannelStatus('email', 'failed', emailError.message);
+      await notification.save();
+    }
+
+    return notification;
+  }));
+};
+
 /**
  * @route   GET /api/notifications
  * @desc    Get user's notifications
  * @access  Private
  */
-router.get('/', auth, async (req, res) => {
+router.get('/', auth.scoped('notifications:read'), async (req, res) => {
   try {
     const { page = 1, limit = 20, type, isRead } = req.query;
     const skip = (page - 1) * limit;
@@ -52,7 +88,7 @@ router.get('/', auth, async (req, res) => {
  * @desc    Get unread notifications count
  * @access  Private
  */
-router.get('/unread-count', auth, async (req, res) => {
+router.get('/unread-count', auth.scoped('notifications:read'), async (req, res) => {
   try {
     const count = await Notification.countDocuments({
       owner: req.user.id,
@@ -77,7 +113,7 @@ router.get('/unread-count', auth, async (req, res) => {
  * @desc    Mark notification as read
  * @access  Private
  */
-router.put('/:id/read', auth, async (req, res) => {
+router.put('/:id/read', auth.scoped('notifications:write'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -115,7 +151,7 @@ router.put('/:id/read', auth, async (req, res) => {
  * @desc    Mark all notifications as read
  * @access  Private
  */
-router.put('/read-all', auth, async (req, res) => {
+router.put('/read-all', auth.scoped('notifications:write'), async (req, res) => {
   try {
     const result = await Notification.updateMany(
       { owner: req.user.id, isRead: false },
@@ -141,7 +177,7 @@ router.put('/read-all', auth, async (req, res) => {
  * @desc    Delete notification
  * @access  Private
  */
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth.scoped('notifications:write'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -187,10 +223,9 @@ router.post('/send-scan-notification', auth, async (req, res) => {
       });
     }
 
-    // Create notification
-    const notification = new Notification({
+    // Notify the owner and everyone sharing the code
+    const notifications = await notifyRecipients(qrCode, {
       qrCode: qrCodeId,
-      owner: qrCode.owner._id,
       type: 'scan',
       title: `QR Code Scanned`,
       message: `Someone scanned your ${qrCode.type === 'pet' ? 'pet' : 'item'} tag`,
@@ -199,39 +234,22 @@ router.post('/send-scan-notification', auth, async (req, res) => {
         petName: qrCode.details.name,
         qrCode: qrCode.code,
         scanLocation: scanData.location
+      }
+    }, (recipient) => emailService.sendScanNotification(
+      recipient.email,
+      recipient.name,
+      {
+        name: qrCode.details.name,
+        type: qrCode.type
       },
-      channels: [{
-        type: 'email',
-        status: 'pending'
-      }]
-    });
-
-    await notification.save();
-
-    // Send email notification
-    try {
-      await emailService.sendScanNotification(
-        qrCode.owner.email,
-        qrCode.owner.name,
-        {
-          name: qrCode.details.name,
-          type: qrCode.type
-        },
-        scanData
-      );
-
-      notification.addChannelStatus('email', 'sent');
-      await notification.save();
-    } catch (emailError) {
-      console.error('Failed to send scan notification email:', emailError);
-      notification.addChannelStatus('email', 'failed', emailError.message);
-      await notification.save();
-    }
+      scanData
+    ), 'scan');
 
     res.json({
       success: true,
       message: 'Scan notification sent',
-      data: notification
+      data: notifications[0],
+      recipientCount: notifications.length
     });
   } catch (error) {
     console.error('Send scan notification error:', error);
@@ -259,10 +277,9 @@ router.post('/send-found-notification', auth, async (req, res) => {
       });
     }
 
-    // Create notification
-    const notification = new Notification({
+    // Notify the owner and everyone sharing the code
+    const notifications = await notifyRecipients(qrCode, {
       qrCode: qrCodeId,
-      owner: qrCode.owner._id,
       type: 'found',
       title: `🎉 ${qrCode.type === 'pet' ? 'Pet' : 'Item'} Found!`,
       message: `Great news! Your ${qrCode.type === 'pet' ? 'pet' : 'item'} has been found`,
@@ -275,42 +292,25 @@ router.post('/send-found-notification', auth, async (req, res) => {
         finderEmail: finderDetails.finderEmail,
         foundLocation: finderDetails.foundLocation
       },
-      channels: [{
-        type: 'email',
-        status: 'pending'
-      }],
       priority: 'high'
-    });
-
-    await notification.save();
-
-    // Send email notification
-    try {
-      await emailService.sendItemFoundNotification(
-        qrCode.owner.email,
-        qrCode.owner.name,
-        {
-          name: qrCode.details.name,
-          type: qrCode.type,
-          description: qrCode.details.description,
-          breed: qrCode.details.breed,
-          brand: qrCode.details.brand
-        },
-        finderDetails
-      );
-
-      notification.addChannelStatus('email', 'sent');
-      await notification.save();
-    } catch (emailError) {
-      console.error('Failed to send found notification email:', emailError);
-      notification.addChannelStatus('email', 'failed', emailError.message);
-      await notification.save();
-    }
+    }, (recipient) => emailService.sendItemFoundNotification(
+      recipient.email,
+      recipient.name,
+      {
+        name: qrCode.details.name,
+        type: qrCode.type,
+        description: qrCode.details.description,
+        breed: qrCode.details.breed,
+        brand: qrCode.details.brand
+      },
+      finderDetails
+    ), 'found');
 
     res.json({
       success: true,
       message: 'Found notification sent',
-      data: notification
+      data: notifications[0],
+      recipientCount: notifications.length
     });
   } catch (error) {
     console.error('Send found notification error:', error);
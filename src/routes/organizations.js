@@ -0,0 +1,427 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Organization = require('../models/Organization');
+const QRCodeModel = require('../models/QRCode');
+const OrganizationService = require('../services/organizationService');
+const QRService = require('../services/qrService');
+const AuditService = require('../services/auditService');
+const auth = require('../middleware/auth');
+const blockImpersonation = require('../middleware/blockImpersonation');
+const router = express.Router();
+
+/**
+ * Send validation errors back in the usual shape; returns true if it responded
+ */
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+/**
+ * @route   POST /api/organizations
+ * @desc    Create a household or organization (you become its owner)
+ * @access  Private
+ */
+router.post('/', auth, [
+  body('name').trim().notEmpty().withMessage('Name is required')
+    .isLength({ max: 100 }).withMessage('Name must be at most 100 characters'),
+  body('kind').optional().isIn(['household', 'organization']).withMessage('Kind must be household or organization')
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const organization = await OrganizationService.createOrganization(req.user, req.body);
+
+    await AuditService.record(req, {
+      action: 'organization.create',
+      targetType: 'organization',
+      targetId: organization._id,
+      after: { name: organization.name, kind: organization.kind }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Organization created successfully',
+      data: { organization }
+    });
+  } catch (error) {
+    console.error('Create organization error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/organizations
+ * @desc    List the households and organizations you belong to
+ * @access  Private
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const organizations = await OrganizationService.getUserOrganizations(req.user.id);
+
+    res.json({
+      success: true,
+      data: { organizations }
+    });
+  } catch (error) {
+    console.error('List organizations error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/organizations/:id
+ * @desc    Get an organization and its members
+ * @access  Private (members)
+ */
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const organization = await OrganizationService.getForMember(req.params.id, req.user.id);
+    await organization.populate('members.user', 'name email');
+
+    res.json({
+      success: true,
+      data: {
+        organization,
+        role: organization.roleOf(req.user.id)
+      }
+    });
+  } catch (error) {
+    console.error('Get organization error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/organizations/:id
+ * @desc    Rename an organization
+ * @access  Private (owners)
+ */
+router.put('/:id', auth, [
+  body('name').trim().notEmpty().withMessage('Name is required')
+    .isLength({ max: 100 }).withMessage('Name must be at most 100 characters')
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const organization = await OrganizationService.getForMember(req.params.id, req.user.id, ['owner']);
+    const before = { name: organization.name };
+
+    organization.name = req.body.name;
+    await organization.save();
+
+    await AuditService.record(req, {
+      action: 'organization.update',
+      targetType: 'organization',
+      targetId: organization._id,
+      before,
+      after: { name: organization.name }
+    });
+
+    res.json({
+      success: true,
+      message: 'Organization updated successfully',
+      data: { organization }
+    });
+  } catch (error) {
+    console.error('Update organization error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/organizations/:id
+ * @desc    Delete an organization; its QR codes stay with their owners
+ * @access  Private (owners)
+ */
+router.delete('/:id', auth, blockImpersonation, async (req, res) => {
+  try {
+    const organization = await OrganizationService.getForMember(req.params.id, req.user.id, ['owner']);
+
+    await OrganizationService.deleteOrganization(organization);
+
+    await AuditService.record(req, {
+      action: 'organization.delete',
+      targetType: 'organization',
+      targetId: organization._id,
+      before: { name: organization.name, memberCount: organization.members.length },
+      after: null
+    });
+
+    res.json({
+      success: true,
+      message: 'Organization deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete organization error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/organizations/:id/members
+ * @desc    Add an existing account as a member
+ * @access  Private (owners)
+ */
+router.post('/:id/members', auth, [
+  body('email').isEmail().withMessage('Please provide a valid email'),
+  body('role').isIn(Organization.ROLES).withMessage(`Role must be one of: ${Organization.ROLES.join(', ')}`)
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const organization = await OrganizationService.getForMember(req.params.id, req.user.id, ['owner']);
+    const member = await OrganizationService.addMember(organization, req.body.email, req.body.role, req.user);
+
+    await AuditService.record(req, {
+      action: 'organization.member.add',
+      targetType: 'organization',
+      targetId: organization._id,
+      after: { member: member._id, role: req.body.role }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${member.name} added as ${req.body.role}`,
+      data: {
+        member: { id: member._id, name: member.name, email: member.email, role: req.body.role }
+      }
+    });
+  } catch (error) {
+    console.error('Add member error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/organizations/:id/members/:userId
+ * @desc    Change a member's role
+ * @access  Private (owners)
+ */
+router.put('/:id/members/:userId', auth, [
+  body('role').isIn(Organization.ROLES).withMessage(`Role must be one of: ${Organization.ROLES.join(', ')}`)
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const organization = await OrganizationService.getForMember(req.params.id, req.user.id, ['owner']);
+    const previousRole = await OrganizationService.updateMemberRole(organization, req.params.userId, req.body.role);
+
+    await AuditService.record(req, {
+      action: 'organization.member.role',
+      targetType: 'organization',
+      targetId: organization._id,
+      before: { member: req.params.userId, role: previousRole },
+      after: { member: req.params.userId, role: req.body.role }
+    });
+
+    res.json({
+      success: true,
+      message: 'Member role updated'
+    });
+  } catch (error) {
+    console.error('Update member role error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/organizations/:id/members/:userId
+ * @desc    Remove a member (owners), or leave the organization (yourself)
+ * @access  Private (owners, or the member themselves)
+ */
+router.delete('/:id/members/:userId', auth, async (req, res) => {
+  try {
+    const leaving = req.params.userId === req.user.id;
+    const organization = await OrganizationService.getForMember(
+      req.params.id,
+      req.user.id,
+      leaving ? Organization.ROLES : ['owner']
+    );
+
+    const role = await OrganizationService.removeMember(organization, req.params.userId);
+
+    await AuditService.record(req, {
+      action: leaving ? 'organization.member.leave' : 'organization.member.remove',
+      targetType: 'organization',
+      targetId: organization._id,
+      before: { member: req.params.userId, role },
+      after: null
+    });
+
+    res.json({
+      success: true,
+      message: leaving ? 'You have left the organization' : 'Member removed'
+    });
+  } catch (error) {
+    console.error('Remove member error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/organizations/:id/qr-codes
+ * @desc    List the QR codes shared with an organization
+ * @access  Private (members)
+ */
+router.get('/:id/qr-codes', auth, async (req, res) => {
+  try {
+    const organization = await OrganizationService.getForMember(req.params.id, req.user.id);
+
+    const qrCodes = await QRCodeModel.find({ organization: organization._id })
+      .select('-updateOTP')
+      .populate('owner', 'name email')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: qrCodes
+    });
+  } catch (error) {
+    console.error('List organization QR codes error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/organizations/:id/qr-codes
+ * @desc    Share a QR code you own with an organization
+ * @access  Private (owners and managers; the code must be yours or in a group you own)
+ */
+router.post('/:id/qr-codes', auth, [
+  body('code').notEmpty().withMessage('QR code is required')
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const organization = await OrganizationService.getForMember(req.params.id, req.user.id, ['owner', 'manager']);
+    const qrCode = await QRCodeModel.findOne({ code: req.body.code }).lean();
+    if (!qrCode) {
+      return res.status(404).json({
+        success: false,
+        message: 'QR code not found'
+      });
+    }
+
+    // Managers can edit a group's codes but not move them to another group
+    if (!(await QRService.canAccess(qrCode, req.user.id, 'owner'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    await QRCodeModel.updateOne({ _id: qrCode._id }, { $set: { organization: organization._id } });
+    QRService.clearCachedCode(qrCode.code);
+
+    await AuditService.record(req, {
+      action: 'qrcode.organization.assign',
+      targetType: 'qrcode',
+      targetId: qrCode.code,
+      before: { organization: qrCode.organization || null },
+      after: { organization: organization._id }
+    });
+
+    res.json({
+      success: true,
+      message: `QR code shared with ${organization.name}`
+    });
+  } catch (error) {
+    console.error('Assign QR code error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/organizations/:id/qr-codes/:code
+ * @desc    Stop sharing a QR code with an organization
+ * @access  Private (owners and managers, or the code's owner)
+ */
+router.delete('/:id/qr-codes/:code', auth, async (req, res) => {
+  try {
+    const organization = await OrganizationService.getForMember(req.params.id, req.user.id);
+    const qrCode = await QRCodeModel.findOne({ code: req.params.code }).lean();
+    if (!qrCode) {
+      return res.status(404).json({
+        success: false,
+        message: 'QR code not found'
+      });
+    }
+
+    if (!qrCode.organization || qrCode.organization.toString() !== organization._id.toString()) {
+      return res.status(404).json({
+        success: false,
+        message: 'QR code is not shared with this organization'
+      });
+    }
+
+    if (!(await QRService.canAccess(qrCode, req.user.id, 'write'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    await QRCodeModel.updateOne({ _id: qrCode._id }, { $unset: { organization: 1 } });
+    QRService.clearCachedCode(qrCode.code);
+
+    await AuditService.record(req, {
+      action: 'qrcode.organization.unassign',
+      targetType: 'qrcode',
+      targetId: qrCode.code,
+      before: { organization: organization._id },
+      after: { organization: null }
+    });
+
+    res.json({
+      success: true,
+      message: `QR code is no longer shared with ${organization.name}`
+    });
+  } catch (error) {
+    console.error('Unassign QR code error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,25 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const QRService = require('../services/qrService');
+const ProxyNumberService = require('../services/proxyNumberService');
 const auth = require('../middleware/auth');
+const requireVerifiedEmail = require('../middleware/requireVerifiedEmail');
+const blockImpersonation = require('../middleware/blockImpersonation');
+const AuditService = require('../services/auditService');
 const router = express.Router();
 
+// :id is the tag's code; accept it as typed, like the /api/qr routes do
+router.param('id', (req, res, next, id) => {
+  req.params.id = QRService.normalizeCode(id);
+  next();
+});
+
 /**
  * @route   POST /api/pets/create
  * @desc    Create a new pet QR code
  * @access  Private
  */
-router.post('/create', auth, [
+router.post('/create', auth.scoped('qr:write'), [
   body('name').notEmpty().withMessage('Pet name is required'),
   body('species').notEmpty().withMessage('Species is required'),
   body('breed').optional().isString(),
@@ -54,12 +64,19 @@ router.post('/create', auth, [
 
     const result = await QRService.createQRCode(req.user.id, 'pet', details, contact);
 
+    await AuditService.record(req, {
+      action: 'qrcode.create',
+      targetType: 'qrcode',
+      targetId: result.qrCode.code,
+      after: AuditService.pick(result.qrCode, ['type', 'details', 'contact'])
+    });
+
     res.status(201).json({
       success: true,
       message: 'Pet QR code created successfully',
       data: {
         qrCode: result.qrCode,
-        qrImageDataURL: result.qrImageDataURL,
+        qrImageUrl: result.qrImageUrl,
         qrUrl: result.qrUrl
       }
     });
@@ -77,7 +94,7 @@ router.post('/create', auth, [
  * @desc    Get user's pets
  * @access  Private
  */
-router.get('/', auth, async (req, res) => {
+router.get('/', auth.scoped('qr:read'), async (req, res) => {
   try {
     const pets = await QRService.getUserQRCodes(req.user.id, 'pet');
 
@@ -99,13 +116,13 @@ router.get('/', auth, async (req, res) => {
  * @desc    Get specific pet
  * @access  Private
  */
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth.scoped('qr:read'), async (req, res) => {
   try {
     const { id } = req.params;
     const pet = await QRService.getQRCodeByCode(id);
 
-    // Check ownership
-    if (pet.owner.toString() !== req.user.id) {
+    // Check ownership or group membership
+    if (!(await QRService.canAccess(pet, req.user.id, 'read'))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -130,7 +147,7 @@ router.get('/:id', auth, async (req, res) => {
  * @desc    Update pet details
  * @access  Private
  */
-router.put('/:id', auth, [
+router.put('/:id', auth.scoped('qr:write'), requireVerifiedEmail.when(req => !!req.body.contact), [
   body('name').optional().notEmpty().withMessage('Name cannot be empty'),
   body('species').optional().notEmpty().withMessage('Species cannot be empty'),
   body('breed').optional().isString(),
@@ -155,9 +172,9 @@ router.put('/:id', auth, [
     const { id } = req.params;
     const updateData = req.body;
 
-    // Verify ownership
+    // Verify ownership or group write access
     const pet = await QRService.getQRCodeByCode(id);
-    if (pet.owner.toString() !== req.user.id) {
+    if (!(await QRService.canAccess(pet, req.user.id, 'write'))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -166,6 +183,14 @@ router.put('/:id', auth, [
 
     const updatedPet = await QRService.updateQRCode(id, updateData);
 
+    await AuditService.record(req, {
+      action: 'qrcode.update',
+      targetType: 'qrcode',
+      targetId: id,
+      before: AuditService.pick(pet, ['details', 'contact', 'settings']),
+      after: AuditService.pick(updatedPet, ['details', 'contact', 'settings'])
+    });
+
     res.json({
       success: true,
       message: 'Pet updated successfully',
@@ -185,13 +210,13 @@ router.put('/:id', auth, [
  * @desc    Deactivate pet
  * @access  Private
  */
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth.scoped('qr:write'), blockImpersonation, async (req, res) => {
   try {
     const { id } = req.params;
 
-    // Verify ownership
+    // Verify ownership or group write access
     const pet = await QRService.getQRCodeByCode(id);
-    if (pet.owner.toString() !== req.user.id) {
+    if (!(await QRService.canAccess(pet, req.user.id, 'write'))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -200,6 +225,14 @@ router.delete('/:id', auth, async (req, res) => {
 
     const deactivatedPet = await QRService.deactivateQRCode(id);
 
+    await AuditService.record(req, {
+      action: 'qrcode.deactivate',
+      targetType: 'qrcode',
+      targetId: id,
+      before: { status: pet.status },
+      after: { status: deactivatedPet.status }
+    });
+
     res.json({
       success: true,
       message: 'Pet deactivated successfully',
@@ -225,7 +258,8 @@ router.post('/:id/scan', async (req, res) => {
     const scanData = {
       ipAddress: req.ip || req.connection.remoteAddress,
       userAgent: req.get('User-Agent'),
-      location: req.body.location || 'Unknown'
+      location: req.body.location || 'Unknown',
+      geo: req.body.geo
     };
 
     const result = await QRService.handleScan(id, scanData);
@@ -270,12 +304,21 @@ router.post('/:id/found', [
     const finderDetails = req.body;
 
     const pet = await QRService.reportFound(id, finderDetails);
+    const proxySession = await ProxyNumberService.getActiveSession(pet._id);
+
+    await AuditService.record(req, {
+      action: 'qrcode.found',
+      targetType: 'qrcode',
+      targetId: id,
+      after: { status: pet.status },
+      metadata: { foundLocation: finderDetails.foundLocation }
+    });
 
     res.json({
       success: true,
       message: 'Pet reported as found successfully',
       data: {
-        pet,
+        pet: QRService.toFinderView(pet, proxySession),
         finderDetails
       }
     });
@@ -0,0 +1,57 @@
+const express = require('express');
+const ProxyNumberProvider = require('../services/proxyNumberProvider');
+const ProxyNumberService = require('../services/proxyNumberService');
+const router = express.Router();
+
+// Reject webhooks the configured carrier didn't send
+const verifyCarrier = (req, res, next) => {
+  if (!ProxyNumberProvider.driver().verifyInbound(req)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Invalid webhook signature'
+    });
+  }
+  next();
+};
+
+/**
+ * @route   POST /api/proxy/voice
+ * @desc    Incoming call to a masked number; bridges finder and owner
+ * @access  Public (carrier webhook)
+ */
+router.post('/voice', verifyCarrier, async (req, res) => {
+  try {
+    const call = ProxyNumberProvider.driver().parseInbound(req.body);
+    const answer = await ProxyNumberService.routeCall(call);
+
+    res.type(answer.contentType).send(answer.body);
+  } catch (error) {
+    console.error('Proxy voice webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/proxy/sms
+ * @desc    Incoming text to a masked number; forwarded to the other side
+ * @access  Public (carrier webhook)
+ */
+router.post('/sms', verifyCarrier, async (req, res) => {
+  try {
+    const message = ProxyNumberProvider.driver().parseInbound(req.body);
+    const answer = await ProxyNumberService.routeSms(message);
+
+    res.type(answer.contentType).send(answer.body);
+  } catch (error) {
+    console.error('Proxy SMS webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,83 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const QRService = require('../services/qrService');
+const InventoryService = require('../services/inventoryService');
+const QRRenderService = require('../services/qrRenderService');
+const QRDesignService = require('../services/qrDesignService');
+const NfcService = require('../services/nfcService');
+const RelayService = require('../services/relayService');
+const ProxyNumberService = require('../services/proxyNumberService');
+const ScanAnalyticsService = require('../services/scanAnalyticsService');
+const QRCodeModel = require('../models/QRCode');
+const LockoutService = require('../services/lockoutService');
+const AuditService = require('../services/auditService');
 const auth = require('../middleware/auth');
+const requireVerifiedEmail = require('../middleware/requireVerifiedEmail');
+const blockImpersonation = require('../middleware/blockImpersonation');
 const router = express.Router();
 
+// What a finder sees, whether they scanned the QR or tapped an NFC chip
+const sendFinderView = async (res, qrCode) => {
+  // Check if QR code is inactive
+  if (qrCode.status === 'inactive') {
+    return res.status(403).json({
+      success: false,
+      message: 'This QR code is currently inactive. The owner has temporarily disabled it.',
+      status: 'inactive'
+    });
+  }
+
+  // Masked numbers are only lent out while the code is found
+  const proxySession = qrCode.settings?.maskPhone && qrCode.status === 'found'
+    ? await ProxyNumberService.getActiveSession(qrCode._id)
+    : null;
+
+  res.json({
+    success: true,
+    data: {
+      code: qrCode.code,
+      type: qrCode.type,
+      isActivated: qrCode.isActivated,
+      requiresClaimPin: !!qrCode.batch && !qrCode.isActivated,
+      status: qrCode.status,
+      details: qrCode.details,
+      contact: QRService.getFinderContact(qrCode, proxySession),
+      phoneMasked: !!qrCode.settings?.maskPhone,
+      messageRelay: !!qrCode.settings?.messageRelay,
+      settings: qrCode.settings,
+      qrUrl: qrCode.qrUrl
+    }
+  });
+};
+
+// Send scan analytics as JSON, or as a CSV download with format=csv
+const sendAnalytics = async (res, qrCodeIds, query, filename) => {
+  if (query.format === 'csv') {
+    const csv = await ScanAnalyticsService.toCSV(qrCodeIds, query);
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+    return res.send(csv);
+  }
+
+  const analytics = await ScanAnalyticsService.getAnalytics(qrCodeIds, query);
+  res.json({
+    success: true,
+    data: analytics
+  });
+};
+
+// Codes may arrive typed by hand: ignore case, spaces and dashes everywhere
+router.param('code', (req, res, next, code) => {
+  req.params.code = QRService.normalizeCode(code);
+  next();
+});
+
 /**
  * @route   POST /api/qr/generate
  * @desc    Generate a new QR code
  * @access  Private
  */
-router.post('/generate', auth, [
+router.post('/generate', auth.scoped('qr:write'), [
   body('type').isIn(['item', 'pet', 'emergency']).withMessage('Type must be either item, pet, or emergency'),
   body('details.name').notEmpty().withMessage('Name is required'),
   body('contact.phone').isMobilePhone().withMessage('Valid phone number is required'),
@@ -30,12 +98,19 @@ router.post('/generate', auth, [
 
     const result = await QRService.createQRCode(ownerId, type, details, contact);
 
+    await AuditService.record(req, {
+      action: 'qrcode.create',
+      targetType: 'qrcode',
+      targetId: result.qrCode.code,
+      after: AuditService.pick(result.qrCode, ['type', 'details', 'contact'])
+    });
+
     res.status(201).json({
       success: true,
       message: 'QR code generated successfully',
       data: {
         qrCode: result.qrCode,
-        qrImageDataURL: result.qrImageDataURL,
+        qrImageUrl: result.qrImageUrl,
         qrUrl: result.qrUrl
       }
     });
@@ -48,12 +123,32 @@ router.post('/generate', auth, [
   }
 });
 
+/**
+ * @route   GET /api/qr/analytics
+ * @desc    Scan analytics across every code the user can see
+ * @access  Private
+ */
+router.get('/analytics', auth.scoped('qr:read'), async (req, res) => {
+  try {
+    const filter = await QRService.getAccessibleFilter(req.user.id);
+    const qrCodeIds = await QRCodeModel.find(filter).distinct('_id');
+
+    await sendAnalytics(res, qrCodeIds, req.query, 'scan-analytics.csv');
+  } catch (error) {
+    console.error('Account analytics error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 /**
  * @route   GET /api/qr/user
  * @desc    Get user's QR codes
  * @access  Private
  */
-router.get('/user', auth, async (req, res) => {
+router.get('/user', auth.scoped('qr:read'), async (req, res) => {
   try {
     const qrCodes = await QRService.getUserQRCodes(req.user.id);
     
@@ -70,6 +165,80 @@ router.get('/user', auth, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/qr/lookup?code=
+ * @desc    Find a code typed in by a finder when the QR can't be scanned
+ * @access  Public
+ */
+router.get('/lookup', async (req, res) => {
+  try {
+    const code = QRService.normalizeCode(req.query.code);
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Code is required'
+      });
+    }
+
+    if (!QRService.isValidCode(code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'That code doesn\'t look right. Check each character and try again.'
+      });
+    }
+
+    let qrCode;
+    try {
+      qrCode = await QRService.getQRCodeByCodePublic(code);
+    } catch (lookupError) {
+      return res.status(404).json({
+        success: false,
+        message: 'No tag found with that code'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        code: qrCode.code,
+        formattedCode: QRService.formatCode(qrCode.code),
+        type: qrCode.type,
+        isActivated: qrCode.isActivated,
+        status: qrCode.status,
+        qrUrl: QRService.getQRUrl(qrCode.code),
+        // Opening this records the visit as a typed-in code
+        scanUrl: `${QRService.getQRUrl(qrCode.code)}?src=typed`
+      }
+    });
+  } catch (error) {
+    console.error('QR lookup error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/qr/by-nfc/:uid
+ * @desc    Get the QR code details for a tapped NFC chip
+ * @access  Public
+ */
+router.get('/by-nfc/:uid', async (req, res) => {
+  try {
+    const qrCode = await NfcService.getQRCodeByUid(req.params.uid);
+
+    await sendFinderView(res, qrCode);
+  } catch (error) {
+    console.error('Get QR code by NFC error:', error);
+    res.status(error.status || 404).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 /**
  * @route   GET /api/qr/:code
  * @desc    Get QR code details by code
@@ -80,30 +249,277 @@ router.get('/:code', async (req, res) => {
     const { code } = req.params;
     const qrCode = await QRService.getQRCodeByCodePublic(code);
 
-    // Check if QR code is inactive
-    if (qrCode.status === 'inactive') {
+    await sendFinderView(res, qrCode);
+  } catch (error) {
+    console.error('Get QR code error:', error);
+    res.status(404).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/qr/:code/analytics
+ * @desc    Scan analytics for one code
+ * @access  Private
+ */
+router.get('/:code/analytics', auth.scoped('qr:read'), async (req, res) => {
+  try {
+    const { code } = req.params;
+
+    // Verify ownership or group access
+    const qrCode = await QRService.getQRCodeByCodeForOwnership(code);
+    if (!(await QRService.canAccess(qrCode, req.user.id, 'read'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    await sendAnalytics(res, [qrCode._id], req.query, `scan-analytics-${qrCode.code}.csv`);
+  } catch (error) {
+    console.error('QR analytics error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/qr/:code/trail
+ * @desc    GeoJSON trail of where the code was scanned and found
+ * @access  Private
+ */
+router.get('/:code/trail', auth.scoped('qr:read'), async (req, res) => {
+  try {
+    const { code } = req.params;
+
+    // Verify ownership or group access
+    const qrCode = await QRService.getQRCodeByCodeForOwnership(code);
+    if (!(await QRService.canAccess(qrCode, req.user.id, 'read'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const trail = await ScanAnalyticsService.getTrail(qrCode, req.query);
+
+    res.json({
+      success: true,
+      data: trail
+    });
+  } catch (error) {
+    console.error('QR trail error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/qr/:code/proxy-number
+ * @desc    The masked number lent to the code while it is found
+ * @access  Private
+ */
+router.get('/:code/proxy-number', auth.scoped('qr:read'), async (req, res) => {
+  try {
+    const { code } = req.params;
+
+    // Verify ownership or group access
+    const qrCode = await QRService.getQRCodeByCodeForOwnership(code);
+    if (!(await QRService.canAccess(qrCode, req.user.id, 'read'))) {
       return res.status(403).json({
         success: false,
-        message: 'This QR code is currently inactive. The owner has temporarily disabled it.',
-        status: 'inactive'
+        message: 'Access denied'
       });
     }
 
+    const session = await ProxyNumberService.getActiveSession(qrCode._id);
+
     res.json({
       success: true,
+      data: session ? ProxyNumberService.toOwnerView(session) : null
+    });
+  } catch (error) {
+    console.error('Get proxy number error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/qr/:code/ndef
+ * @desc    NDEF URI record to write to the code's NFC chips
+ * @access  Public
+ */
+router.get('/:code/ndef', async (req, res) => {
+  try {
+    const qrCode = await QRService.getQRCodeByCodePublic(req.params.code);
+
+    res.json({
+      success: true,
+      data: NfcService.getNdefPayload(qrCode.code)
+    });
+  } catch (error) {
+    console.error('NDEF payload error:', error);
+    res.status(404).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/qr/:code/nfc-tags
+ * @desc    Link an NFC chip to a QR code
+ * @access  Private
+ */
+router.post('/:code/nfc-tags', auth.scoped('qr:write'), [
+  body('uid').notEmpty().withMessage('Chip UID is required'),
+  body('label').optional().isLength({ max: 50 }).withMessage('Label must be at most 50 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { code } = req.params;
+
+    // Verify ownership or group write access
+    const qrCode = await QRService.getQRCodeByCodeForOwnership(code);
+    if (!(await QRService.canAccess(qrCode, req.user.id, 'write'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const updated = await NfcService.linkTag(code, req.body.uid, {
+      label: req.body.label,
+      userId: req.user.id
+    });
+
+    await AuditService.record(req, {
+      action: 'qrcode.nfc.link',
+      targetType: 'qrcode',
+      targetId: code,
+      metadata: { uid: NfcService.normalizeUid(req.body.uid), label: req.body.label }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'NFC chip linked successfully',
       data: {
-        code: qrCode.code,
-        type: qrCode.type,
-        isActivated: qrCode.isActivated,
-        status: qrCode.status,
-        details: qrCode.details,
-        contact: qrCode.contact,
-        settings: qrCode.settings,
-        qrUrl: qrCode.qrUrl
+        nfcTags: updated.nfcTags,
+        ndef: NfcService.getNdefPayload(code)
       }
     });
   } catch (error) {
-    console.error('Get QR code error:', error);
+    console.error('Link NFC chip error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/qr/:code/nfc-tags/:uid
+ * @desc    Unlink an NFC chip from a QR code
+ * @access  Private
+ */
+router.delete('/:code/nfc-tags/:uid', auth.scoped('qr:write'), async (req, res) => {
+  try {
+    const { code, uid } = req.params;
+
+    // Verify ownership or group write access
+    const qrCode = await QRService.getQRCodeByCodeForOwnership(code);
+    if (!(await QRService.canAccess(qrCode, req.user.id, 'write'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const updated = await NfcService.unlinkTag(code, uid);
+
+    await AuditService.record(req, {
+      action: 'qrcode.nfc.unlink',
+      targetType: 'qrcode',
+      targetId: code,
+      metadata: { uid: NfcService.normalizeUid(uid) }
+    });
+
+    res.json({
+      success: true,
+      message: 'NFC chip unlinked successfully',
+      data: { nfcTags: updated.nfcTags }
+    });
+  } catch (error) {
+    console.error('Unlink NFC chip error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/qr/:code/image
+ * @desc    Download the QR image as png, svg, pdf or eps for printing or engraving
+ * @access  Public
+ */
+router.get('/:code/image', async (req, res) => {
+  try {
+    let options;
+    try {
+      options = QRRenderService.normalizeOptions(req.query);
+    } catch (optionsError) {
+      return res.status(400).json({
+        success: false,
+        message: optionsError.message
+      });
+    }
+
+    const { code } = req.params;
+    const qrCode = await QRService.getQRCodeByCodePublic(code);
+    const qrUrl = `${process.env.QR_CODE_BASE_URL || 'https://scanback.vercel.app/scan'}/${qrCode.code}`;
+
+    // Branded designs only apply to PNG; vector formats stay plain for engraving
+    if (options.format === 'png' && req.query.branded !== 'false') {
+      options.design = await QRDesignService.resolveDesign(qrCode);
+    }
+
+    const image = await QRRenderService.render(qrUrl, options);
+
+    if (req.get('If-None-Match') === image.etag) {
+      return res.status(304).end();
+    }
+
+    res.set({
+      'Content-Type': image.contentType,
+      'Cache-Control': 'public, max-age=86400',
+      ETag: image.etag
+    });
+
+    if (req.query.download === 'true') {
+      res.attachment(`scanback-${qrCode.code}.${options.format}`);
+    }
+
+    res.send(image.buffer);
+  } catch (error) {
+    console.error('QR image error:', error);
     res.status(404).json({
       success: false,
       message: error.message
@@ -120,7 +536,8 @@ router.post('/:code/activate', [
   body('contact.name').notEmpty().withMessage('Full name is required'),
   body('contact.phone').notEmpty().withMessage('Phone number is required'),
   body('contact.email').isEmail().withMessage('Valid email is required'),
-  body('details.name').notEmpty().withMessage('Item/Pet name is required')
+  body('details.name').notEmpty().withMessage('Item/Pet name is required'),
+  body('claimPin').optional().isString().withMessage('Claim PIN must be a string')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -135,42 +552,36 @@ router.post('/:code/activate', [
     const { code } = req.params;
     const activationData = req.body;
 
+    // Pre-printed tags can only be claimed with the PIN printed next to the code
+    try {
+      await InventoryService.verifyClaimPin(code, activationData.claimPin);
+    } catch (claimError) {
+      return res.status(claimError.status || 400).json({
+        success: false,
+        message: claimError.message
+      });
+    }
+
     // Find or create user account first
     const User = require('../models/User');
     let user = await User.findOne({ email: activationData.contact.email });
-    let tempPassword = null;
+    let isNewUser = false;
     
     if (!user) {
-      // Generate temporary password first
-      tempPassword = Math.random().toString(36).slice(-8).toUpperCase();
-      
-      // Create new user with the temporary password (pre-save hook will hash it)
+      // Create the account without a password; the owner chooses one from the emailed link
       user = new User({
         name: activationData.contact.name || activationData.details.name,
         email: activationData.contact.email,
         phone: activationData.contact.phone,
-        password: tempPassword, // Will be hashed by pre-save hook
-        isEmailVerified: true,
         role: 'user'
       });
       
-      // Set temp password fields
-      user.tempPassword = tempPassword;
-      user.tempPasswordExpires = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
-      
       await user.save();
+      isNewUser = true;
       
-      // Send welcome email with temporary password
-      try {
-        const emailService = require('../services/emailService');
-        await emailService.sendTempPasswordEmail(
-          activationData.contact.email,
-          activationData.contact.name || activationData.details.name,
-          tempPassword
-        );
-      } catch (emailError) {
-        console.error('Failed to send welcome email:', emailError);
-      }
+      // Send welcome email with a single-use set-password link
+      const InviteService = require('../services/inviteService');
+      await InviteService.sendInvite(user);
     } else {
       // Send email with existing credentials to existing user
       try {
@@ -198,13 +609,10 @@ router.post('/:code/activate', [
           data: {
             qrCode: existingQRCode,
             qrUrl: existingQRCode.qrUrl,
-            tempPassword: tempPassword, // Only for new users
-            isNewUser: !!tempPassword,
+            isNewUser, // New users must set a password from the emailed link
             user: {
               email: user.email,
-              name: user.name,
-              // For existing users, return their temp password if it exists, otherwise indicate they should use their existing password
-              existingPassword: !tempPassword ? (user.tempPassword || 'Your existing password') : null
+              name: user.name
             }
           }
         });
@@ -218,6 +626,16 @@ router.post('/:code/activate', [
 
     // Now activate the QR code with the user ID
     const qrCode = await QRService.activateQRCode(code, activationData, user._id);
+
+    await AuditService.record(req, {
+      action: 'qrcode.activate',
+      targetType: 'qrcode',
+      targetId: code,
+      actor: user,
+      before: AuditService.pick(existingQRCode, ['owner', 'isActivated', 'details', 'contact']),
+      after: AuditService.pick(qrCode, ['owner', 'isActivated', 'details', 'contact']),
+      metadata: { isNewUser }
+    });
     
     res.json({
       success: true,
@@ -225,13 +643,10 @@ router.post('/:code/activate', [
       data: {
         qrCode,
         qrUrl: qrCode.qrUrl,
-        tempPassword: tempPassword, // Only for new users
-        isNewUser: !!tempPassword,
+        isNewUser, // New users must set a password from the emailed link
         user: {
           email: user.email,
-          name: user.name,
-          // For existing users, return their temp password if it exists, otherwise indicate they should use their existing password
-          existingPassword: !tempPassword ? (user.tempPassword || 'Your existing password') : null
+          name: user.name
         }
       }
     });
@@ -255,7 +670,9 @@ router.post('/:code/scan', async (req, res) => {
     const scanData = {
       ipAddress: req.ip || req.connection.remoteAddress,
       userAgent: req.get('User-Agent'),
-      location: req.body.location || 'Unknown'
+      location: req.body.location || 'Unknown',
+      geo: req.body.geo,
+      medium: req.body.medium
     };
 
     const result = await QRService.handleScan(code, scanData);
@@ -298,12 +715,21 @@ router.post('/:code/found', [
     const finderDetails = req.body;
 
     const qrCode = await QRService.reportFound(code, finderDetails);
+    const proxySession = await ProxyNumberService.getActiveSession(qrCode._id);
+
+    await AuditService.record(req, {
+      action: 'qrcode.found',
+      targetType: 'qrcode',
+      targetId: code,
+      after: { status: qrCode.status },
+      metadata: { foundLocation: finderDetails.foundLocation }
+    });
 
     res.json({
       success: true,
       message: 'Item/Pet reported as found successfully',
       data: {
-        qrCode,
+        qrCode: QRService.toFinderView(qrCode, proxySession),
         finderDetails
       }
     });
@@ -316,12 +742,61 @@ router.post('/:code/found', [
   }
 });
 
+/**
+ * @route   POST /api/qr/:code/messages
+ * @desc    Message the owner through the relay without seeing their contact details
+ * @access  Public
+ */
+router.post('/:code/messages', [
+  body('name').optional().trim().isLength({ max: 100 }).withMessage('Name can be at most 100 characters'),
+  body('email').optional({ checkFalsy: true }).isEmail().withMessage('Valid email is required'),
+  body('message').trim().notEmpty().withMessage('Message is required')
+    .isLength({ max: 2000 }).withMessage('Messages can be at most 2000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { code } = req.params;
+    const { thread, token } = await RelayService.startThread(code, {
+      name: req.body.name,
+      email: req.body.email || undefined,
+      message: req.body.message
+    }, {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('User-Agent')
+    });
+
+    // The token is only shown here (and emailed to the finder, if they gave an address)
+    res.status(201).json({
+      success: true,
+      message: 'Message sent to the owner',
+      data: {
+        token,
+        conversation: RelayService.finderView(thread, null)
+      }
+    });
+  } catch (error) {
+    console.error('Start relay thread error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 /**
  * @route   GET /api/qr/user/:userId
  * @desc    Get user's QR codes
  * @access  Private
  */
-router.get('/user/:userId', auth, async (req, res) => {
+router.get('/user/:userId', auth.scoped('qr:read'), async (req, res) => {
   try {
     const { userId } = req.params;
     const { type } = req.query;
@@ -354,13 +829,15 @@ router.get('/user/:userId', auth, async (req, res) => {
  * @desc    Update QR code details
  * @access  Private
  */
-router.put('/:code', auth, [
+router.put('/:code', auth.scoped('qr:write'), requireVerifiedEmail.when(req => !!req.body.contact), [
   body('details.name').optional().notEmpty().withMessage('Name cannot be empty'),
   body('contact.phone').optional().isMobilePhone().withMessage('Valid phone number is required'),
   body('contact.email').optional().isEmail().withMessage('Valid email is required'),
   body('settings.instantAlerts').optional().isBoolean().withMessage('Instant alerts must be boolean'),
   body('settings.locationSharing').optional().isBoolean().withMessage('Location sharing must be boolean'),
-  body('settings.showContactOnFinderPage').optional().isBoolean().withMessage('Show contact on finder page must be boolean')
+  body('settings.showContactOnFinderPage').optional().isBoolean().withMessage('Show contact on finder page must be boolean'),
+  body('settings.messageRelay').optional().isBoolean().withMessage('Message relay must be boolean'),
+  body('settings.maskPhone').optional().isBoolean().withMessage('Mask phone must be boolean')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -375,9 +852,9 @@ router.put('/:code', auth, [
     const { code } = req.params;
     const updateData = req.body;
 
-    // Verify ownership
+    // Verify ownership or group write access
     const qrCode = await QRService.getQRCodeByCodeForOwnership(code);
-    if (qrCode.owner.toString() !== req.user.id) {
+    if (!(await QRService.canAccess(qrCode, req.user.id, 'write'))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -386,6 +863,14 @@ router.put('/:code', auth, [
 
     const updatedQRCode = await QRService.updateQRCode(code, updateData);
 
+    await AuditService.record(req, {
+      action: 'qrcode.update',
+      targetType: 'qrcode',
+      targetId: code,
+      before: AuditService.pick(qrCode, ['details', 'contact', 'settings']),
+      after: AuditService.pick(updatedQRCode, ['details', 'contact', 'settings'])
+    });
+
     res.json({
       success: true,
       message: 'QR code updated successfully',
@@ -405,13 +890,13 @@ router.put('/:code', auth, [
  * @desc    Deactivate QR code
  * @access  Private
  */
-router.delete('/:code', auth, async (req, res) => {
+router.delete('/:code', auth.scoped('qr:write'), blockImpersonation, async (req, res) => {
   try {
     const { code } = req.params;
 
-    // Verify ownership
+    // Verify ownership; group managers can deactivate but not delete
     const qrCode = await QRService.getQRCodeByCodeForOwnership(code);
-    if (qrCode.owner.toString() !== req.user.id) {
+    if (!(await QRService.canAccess(qrCode, req.user.id, 'owner'))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -419,8 +904,15 @@ router.delete('/:code', auth, async (req, res) => {
     }
 
     // Actually delete the QR code
-    const QRCodeModel = require('../models/QRCode');
-    await QRCodeModel.findOneAndDelete({ code });
+    await QRService.deleteQRCode(code);
+
+    await AuditService.record(req, {
+      action: 'qrcode.delete',
+      targetType: 'qrcode',
+      targetId: code,
+      before: AuditService.pick(qrCode, ['owner', 'type', 'status', 'details', 'contact']),
+      after: null
+    });
 
     res.json({
       success: true,
@@ -440,7 +932,7 @@ router.delete('/:code', auth, async (req, res) => {
  * @desc    Send OTP for contact information update
  * @access  Private
  */
-router.post('/:code/send-update-otp', auth, [
+router.post('/:code/send-update-otp', auth, requireVerifiedEmail, [
   body('newEmail').optional().isEmail().withMessage('Valid email is required'),
   body('newPhone').optional().isMobilePhone().withMessage('Valid phone number is required')
 ], async (req, res) => {
@@ -457,15 +949,19 @@ router.post('/:code/send-update-otp', auth, [
     const { code } = req.params;
     const { newEmail, newPhone } = req.body;
 
-    // Verify ownership
+    // Verify ownership or group write access
     const qrCode = await QRService.getQRCodeByCodeForOwnership(code);
-    if (qrCode.owner.toString() !== req.user.id) {
+    if (!(await QRService.canAccess(qrCode, req.user.id, 'write'))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
       });
     }
 
+    if (req.user.isLocked()) {
+      return res.status(423).json(LockoutService.lockedResponse(req.user));
+    }
+
     // Generate 6-digit OTP
     const otp = Math.floor(100000 + Math.random() * 900000).toString();
     const otpExpires = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
@@ -508,7 +1004,7 @@ router.post('/:code/send-update-otp', auth, [
  * @desc    Verify OTP and update contact information
  * @access  Private
  */
-router.post('/:code/verify-update-otp', auth, [
+router.post('/:code/verify-update-otp', auth, requireVerifiedEmail, [
   body('otp').isLength({ min: 6, max: 6 }).withMessage('OTP must be 6 digits'),
   body('updateData').isObject().withMessage('Update data is required')
 ], async (req, res) => {
@@ -525,21 +1021,31 @@ router.post('/:code/verify-update-otp', auth, [
     const { code } = req.params;
     const { otp, updateData } = req.body;
 
-    // Verify ownership
+    // Verify ownership or group write access
     const qrCode = await QRService.getQRCodeByCodeForOwnership(code);
-    if (qrCode.owner.toString() !== req.user.id) {
+    if (!(await QRService.canAccess(qrCode, req.user.id, 'write'))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
       });
     }
 
+    if (req.user.isLocked()) {
+      return res.status(423).json(LockoutService.lockedResponse(req.user));
+    }
+
     // Verify OTP
-    const isOTPValid = await QRService.verifyUpdateOTP(code, otp);
-    if (!isOTPValid) {
+    const { valid, invalidated } = await QRService.verifyUpdateOTP(code, otp);
+    if (!valid) {
+      const locked = await LockoutService.recordFailure(req.user);
+      if (locked) {
+        return res.status(423).json(LockoutService.lockedResponse(req.user));
+      }
       return res.status(400).json({
         success: false,
-        message: 'Invalid or expired OTP'
+        message: invalidated
+          ? 'Too many incorrect attempts. Please request a new code.'
+          : 'Invalid or expired OTP'
       });
     }
 
@@ -549,6 +1055,14 @@ router.post('/:code/verify-update-otp', auth, [
     // Clear OTP after successful update
     await QRService.clearUpdateOTP(code);
 
+    await AuditService.record(req, {
+      action: 'qrcode.contact.update',
+      targetType: 'qrcode',
+      targetId: code,
+      before: AuditService.pick(qrCode, ['details', 'contact', 'settings']),
+      after: AuditService.pick(updatedQRCode, ['details', 'contact', 'settings'])
+    });
+
     res.json({
       success: true,
       message: 'Contact information updated successfully',
@@ -569,13 +1083,13 @@ router.post('/:code/verify-update-otp', auth, [
  * @desc    Toggle QR code active/inactive status
  * @access  Private
  */
-router.patch('/:code/toggle-status', auth, async (req, res) => {
+router.patch('/:code/toggle-status', auth.scoped('qr:write'), async (req, res) => {
   try {
     const { code } = req.params;
 
-    // Verify ownership
+    // Verify ownership or group write access
     const qrCode = await QRService.getQRCodeByCodeForOwnership(code);
-    if (qrCode.owner.toString() !== req.user.id) {
+    if (!(await QRService.canAccess(qrCode, req.user.id, 'write'))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -586,6 +1100,14 @@ router.patch('/:code/toggle-status', auth, async (req, res) => {
     const newStatus = qrCode.status === 'active' ? 'inactive' : 'active';
     const updatedQRCode = await QRService.toggleQRCodeStatus(code, newStatus);
 
+    await AuditService.record(req, {
+      action: 'qrcode.status.update',
+      targetType: 'qrcode',
+      targetId: code,
+      before: { status: qrCode.status },
+      after: { status: updatedQRCode.status }
+    });
+
     res.json({
       success: true,
       message: `QR code ${newStatus === 'active' ? 'activated' : 'deactivated'} successfully`,
@@ -616,7 +1138,9 @@ router.post('/:code/track-scan', async (req, res) => {
     const scanData = {
       ipAddress: req.ip || req.connection.remoteAddress,
       userAgent: req.get('User-Agent'),
-      location: req.body.location || 'unknown'
+      location: req.body.location || 'unknown',
+      geo: req.body.geo,
+      medium: req.body.medium
     };
 
     const result = await QRService.trackScan(code, scanData);
@@ -0,0 +1,276 @@
+const express = require('express');
+const multer = require('multer');
+const { body, validationResult } = require('express-validator');
+const RelayService = require('../services/relayService');
+const AuditService = require('../services/auditService');
+const auth = require('../middleware/auth');
+const router = express.Router();
+
+// Inbound email arrives as multipart form data; attachments are read and ignored
+const inboundForm = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024, files: 10 }
+}).any();
+
+const parseInbound = (req, res, next) => {
+  inboundForm(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    next();
+  });
+};
+
+/**
+ * Send validation errors back in the usual shape; returns true if it responded
+ */
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const messageRules = [
+  body('message').trim().notEmpty().withMessage('Message is required')
+    .isLength({ max: 2000 }).withMessage('Messages can be at most 2000 characters')
+];
+
+/**
+ * @route   POST /api/relay/inbound
+ * @desc    Emailed replies from the inbound mail provider (SendGrid Inbound Parse or Mailgun)
+ * @access  Public (shared secret in the `secret` query parameter or X-Relay-Secret header)
+ */
+router.post('/inbound', parseInbound, async (req, res) => {
+  try {
+    if (!RelayService.verifyInboundSecret(req.get('X-Relay-Secret') || req.query.secret)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid relay secret'
+      });
+    }
+
+    // Dropped mail still gets a 200 so the provider doesn't retry it
+    const result = await RelayService.handleInbound(req.body);
+    if (!result.accepted) {
+      console.log('Relay inbound email dropped:', result.reason);
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Relay inbound error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/relay/finder/view
+ * @desc    Read a conversation from the finder's link
+ * @access  Public (link holder)
+ */
+router.post('/finder/view', [
+  body('token').notEmpty().withMessage('Token is required')
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const thread = await RelayService.findByFinderToken(req.body.token);
+    const qrCode = await RelayService.getThreadCode(thread);
+
+    res.json({
+      success: true,
+      data: RelayService.finderView(thread, qrCode)
+    });
+  } catch (error) {
+    console.error('View relay thread error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/relay/finder/messages
+ * @desc    Send the owner another message from the finder's link
+ * @access  Public (link holder)
+ */
+router.post('/finder/messages', [
+  body('token').notEmpty().withMessage('Token is required'),
+  ...messageRules
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const thread = await RelayService.findByFinderToken(req.body.token);
+    await RelayService.addMessage(thread, 'finder', req.body.message);
+    const qrCode = await RelayService.getThreadCode(thread);
+
+    res.status(201).json({
+      success: true,
+      message: 'Message sent',
+      data: RelayService.finderView(thread, qrCode)
+    });
+  } catch (error) {
+    console.error('Send finder message error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/relay/threads
+ * @desc    Conversations with finders on your codes and codes shared with you
+ * @access  Private
+ */
+router.get('/threads', auth.scoped('qr:read'), async (req, res) => {
+  try {
+    const { code, status, page = 1, limit = 20 } = req.query;
+    const result = await RelayService.listThreads(req.user.id, { code, status, page, limit });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('List relay threads error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/relay/threads/:id
+ * @desc    Read a conversation; marks it read
+ * @access  Private
+ */
+router.get('/threads/:id', auth.scoped('qr:read'), async (req, res) => {
+  try {
+    const { thread } = await RelayService.getThreadForUser(req.params.id, req.user.id, 'read');
+    await RelayService.markRead(thread);
+
+    res.json({
+      success: true,
+      data: RelayService.ownerView(thread)
+    });
+  } catch (error) {
+    console.error('Get relay thread error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/relay/threads/:id/messages
+ * @desc    Reply to the finder in-app
+ * @access  Private (owner or group manager)
+ */
+router.post('/threads/:id/messages', auth.scoped('qr:write'), messageRules, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const { thread } = await RelayService.getThreadForUser(req.params.id, req.user.id, 'write');
+    await RelayService.addMessage(thread, 'owner', req.body.message, { channel: 'app', user: req.user });
+
+    res.status(201).json({
+      success: true,
+      message: 'Reply sent',
+      data: RelayService.ownerView(thread)
+    });
+  } catch (error) {
+    console.error('Reply to relay thread error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/relay/threads/:id/reveal
+ * @desc    Share real contact details with the finder (and see theirs)
+ * @access  Private (owner or group manager)
+ */
+router.post('/threads/:id/reveal', auth.scoped('qr:write'), async (req, res) => {
+  try {
+    const { thread } = await RelayService.getThreadForUser(req.params.id, req.user.id, 'write');
+    const alreadyRevealed = !!thread.revealedAt;
+    await RelayService.reveal(thread, req.user);
+
+    if (!alreadyRevealed) {
+      await AuditService.record(req, {
+        action: 'qrcode.relay.reveal',
+        targetType: 'qrcode',
+        targetId: thread.code,
+        metadata: { threadId: thread._id }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Contact details shared with the finder',
+      data: RelayService.ownerView(thread)
+    });
+  } catch (error) {
+    console.error('Reveal relay contact error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/relay/threads/:id/close
+ * @desc    Close a conversation; `block: true` also stops the finder starting new ones on this code
+ * @access  Private (owner or group manager)
+ */
+router.post('/threads/:id/close', auth.scoped('qr:write'), [
+  body('block').optional().isBoolean().withMessage('block must be true or false')
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const block = req.body.block === true || req.body.block === 'true';
+    const { thread } = await RelayService.getThreadForUser(req.params.id, req.user.id, 'write');
+    await RelayService.close(thread, { block });
+
+    await AuditService.record(req, {
+      action: block ? 'qrcode.relay.block' : 'qrcode.relay.close',
+      targetType: 'qrcode',
+      targetId: thread.code,
+      metadata: { threadId: thread._id }
+    });
+
+    res.json({
+      success: true,
+      message: block ? 'Conversation closed and finder blocked' : 'Conversation closed',
+      data: RelayService.ownerView(thread)
+    });
+  } catch (error) {
+    console.error('Close relay thread error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,229 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const TransferService = require('../services/transferService');
+const AuditService = require('../services/auditService');
+const auth = require('../middleware/auth');
+const blockImpersonation = require('../middleware/blockImpersonation');
+const router = express.Router();
+
+/**
+ * Send validation errors back in the usual shape; returns true if it responded
+ */
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+/**
+ * @route   POST /api/transfers
+ * @desc    Start transferring an activated QR code to someone else
+ * @access  Private (the code's owner)
+ */
+router.post('/', auth, blockImpersonation, [
+  body('code').notEmpty().withMessage('QR code is required'),
+  body('toEmail').isEmail().withMessage('Please provide a valid recipient email'),
+  body('resetDetails').optional().isBoolean().withMessage('resetDetails must be true or false'),
+  body('scanHistory').optional().isIn(['keep', 'scrub']).withMessage('scanHistory must be keep or scrub')
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const transfer = await TransferService.startTransfer(req.user, req.body.code, {
+      toEmail: req.body.toEmail,
+      resetDetails: req.body.resetDetails === true || req.body.resetDetails === 'true',
+      scanHistory: req.body.scanHistory
+    });
+
+    await AuditService.record(req, {
+      action: 'qrcode.transfer.start',
+      targetType: 'qrcode',
+      targetId: transfer.code,
+      metadata: {
+        transferId: transfer._id,
+        toEmail: transfer.toEmail,
+        resetDetails: transfer.resetDetails,
+        scanHistory: transfer.scanHistory
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Transfer request sent to ${transfer.toEmail}`,
+      data: {
+        transfer: {
+          id: transfer._id,
+          code: transfer.code,
+          toEmail: transfer.toEmail,
+          resetDetails: transfer.resetDetails,
+          scanHistory: transfer.scanHistory,
+          expiresAt: transfer.expiresAt
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Start transfer error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/transfers
+ * @desc    List transfers you started and open transfers sent to you
+ * @access  Private
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const transfers = await TransferService.listTransfers(req.user);
+
+    res.json({
+      success: true,
+      data: transfers
+    });
+  } catch (error) {
+    console.error('List transfers error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/transfers/preview
+ * @desc    Show what a transfer link hands over, before accepting
+ * @access  Public (link holder)
+ */
+router.post('/preview', [
+  body('token').notEmpty().withMessage('Token is required')
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const preview = await TransferService.getPreview(req.body.token);
+
+    res.json({
+      success: true,
+      data: preview
+    });
+  } catch (error) {
+    console.error('Preview transfer error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/transfers/accept
+ * @desc    Accept a transfer; the code moves to your account
+ * @access  Private (the recipient)
+ */
+router.post('/accept', auth, blockImpersonation, [
+  body('token').notEmpty().withMessage('Token is required')
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const { transfer, qrCode, before } = await TransferService.acceptTransfer(req.body.token, req.user);
+
+    await AuditService.record(req, {
+      action: 'qrcode.transfer.accept',
+      targetType: 'qrcode',
+      targetId: qrCode.code,
+      before,
+      after: { owner: qrCode.owner, scanCount: qrCode.scanCount },
+      metadata: {
+        transferId: transfer._id,
+        resetDetails: transfer.resetDetails,
+        scanHistory: transfer.scanHistory
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Transfer accepted. The QR code is now yours.',
+      data: { qrCode }
+    });
+  } catch (error) {
+    console.error('Accept transfer error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/transfers/decline
+ * @desc    Decline a transfer from its link
+ * @access  Public (link holder)
+ */
+router.post('/decline', [
+  body('token').notEmpty().withMessage('Token is required')
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const transfer = await TransferService.declineTransfer(req.body.token);
+
+    await AuditService.record(req, {
+      action: 'qrcode.transfer.decline',
+      targetType: 'qrcode',
+      targetId: transfer.code,
+      metadata: { transferId: transfer._id, toEmail: transfer.toEmail }
+    });
+
+    res.json({
+      success: true,
+      message: 'Transfer declined'
+    });
+  } catch (error) {
+    console.error('Decline transfer error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/transfers/:id
+ * @desc    Cancel a pending transfer you started
+ * @access  Private
+ */
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const transfer = await TransferService.cancelTransfer(req.params.id, req.user._id);
+
+    await AuditService.record(req, {
+      action: 'qrcode.transfer.cancel',
+      targetType: 'qrcode',
+      targetId: transfer.code,
+      metadata: { transferId: transfer._id, toEmail: transfer.toEmail }
+    });
+
+    res.json({
+      success: true,
+      message: 'Transfer cancelled'
+    });
+  } catch (error) {
+    console.error('Cancel transfer error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
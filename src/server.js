@@ -34,8 +34,37 @@ const qrLimiter = rateLimit({
   legacyHeaders: false
 });
 
+// Stricter limit on failed credential and OTP guesses per IP
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20,
+  message: 'Too many failed attempts from this IP, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: true
+});
+
+// Finder messages through the relay; the relay also throttles per finder and thread
+const relayLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30,
+  message: 'Too many messages from this IP, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
 app.use('/api/', limiter);
 app.use('/api/qr/', qrLimiter);
+app.use([
+  '/api/auth/login',
+  '/api/auth/magic-link/verify',
+  '/api/auth/verify-reset-otp',
+  '/api/auth/reset-password',
+  '/api/qr/:code/verify-update-otp',
+  '/api/qr/:code/activate',
+  '/api/qr/lookup'
+], authLimiter);
+app.use(['/api/qr/:code/messages', '/api/relay/finder'], relayLimiter);
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
@@ -90,6 +119,11 @@ app.use('/api/items', require('./routes/items'));
 app.use('/api/pets', require('./routes/pets'));
 app.use('/api/notifications', require('./routes/notifications'));
 app.use('/api/admin', require('./routes/admin'));
+app.use('/api/api-keys', require('./routes/apiKeys'));
+app.use('/api/organizations', require('./routes/organizations'));
+app.use('/api/transfers', require('./routes/transfers'));
+app.use('/api/relay', require('./routes/relay'));
+app.use('/api/proxy', require('./routes/proxy'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,250 @@
+const archiver = require('archiver');
+const User = require('../models/User');
+const QRCodeModel = require('../models/QRCode');
+const Notification = require('../models/Notification');
+const ScanEvent = require('../models/ScanEvent');
+const RelayThread = require('../models/RelayThread');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const Organization = require('../models/Organization');
+const OwnershipTransfer = require('../models/OwnershipTransfer');
+const QRService = require('./qrService');
+const ProxyNumberService = require('./proxyNumberService');
+const QRRenderService = require('./qrRenderService');
+const TokenService = require('./tokenService');
+const OrganizationService = require('./organizationService');
+
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+
+// Credentials and one-time secrets that never leave the database
+const PRIVATE_USER_FIELDS = [
+  'password',
+  'emailVerificationToken',
+  'passwordResetToken',
+  'passwordResetOTP',
+  'passwordSetupToken',
+  'magicLinkToken',
+  'magicLinkRequests'
+];
+
+class AccountService {
+  /**
+   * Collect everything we hold about a user
+   */
+  static async collectExportData(userId) {
+    try {
+      const user = await User.findById(userId).lean();
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      PRIVATE_USER_FIELDS.forEach(field => delete user[field]);
+      if (user.twoFactor) {
+        user.twoFactor = { enabled: user.twoFactor.enabled, enabledAt: user.twoFactor.enabledAt };
+      }
+
+      const qrCodes = await QRCodeModel.find({ owner: userId })
+        .select('-updateOTP')
+        .lean();
+
+      // Scans made while the user owned the code (kept history follows a transfer)
+      const scanHistory = await ScanEvent.find({ owner: userId })
+        .select('-_id -__v -owner -qrCode -expiresAt')
+        .sort({ scannedAt: -1 })
+        .lean();
+
+      const notifications = await Notification.find({ owner: userId })
+        .sort({ createdAt: -1 })
+        .lean();
+
+      const messages = await RelayThread.find({ owner: userId })
+        .select('code finder.name status messages.from messages.body messages.channel messages.sentAt revealedAt closedAt createdAt')
+        .sort({ createdAt: -1 })
+        .lean();
+
+      const sessions = await Session.find({ user: userId })
+        .select('userAgent ipAddress createdAt lastUsedAt expiresAt revokedAt revokedReason')
+        .lean();
+
+      const apiKeys = await ApiKey.find({ user: userId })
+        .select('name prefix scopes lastUsedAt lastUsedIp expiresAt revokedAt createdAt')
+        .lean();
+
+      const organizations = await Organization.find({ 'members.user': userId })
+        .select('name kind members.user members.role members.addedAt createdAt')
+        .lean();
+
+      const transfers = await OwnershipTransfer.find({
+        $or: [{ fromUser: userId }, { toUser: userId }]
+      })
+        .sort({ createdAt: -1 })
+        .lean();
+
+      return { user, qrCodes, scanHistory, notifications, messages, sessions, apiKeys, organizations, transfers };
+    } catch (error) {
+      throw new Error(`Failed to collect export data: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build a zip archive of a user's data. The caller pipes the returned stream.
+   */
+  static async createExportArchive(userId) {
+    const { user, qrCodes, scanHistory, notifications, messages, sessions, apiKeys, organizations, transfers } = await this.collectExportData(userId);
+
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    const foundReports = qrCodes
+      .filter(qrCode => qrCode.foundBy && qrCode.foundBy.foundDate)
+      .map(qrCode => ({ code: qrCode.code, ...qrCode.foundBy }));
+
+    archive.append(JSON.stringify(user, null, 2), { name: 'account.json' });
+    archive.append(JSON.stringify(qrCodes, null, 2), { name: 'qr-codes.json' });
+    archive.append(JSON.stringify(scanHistory, null, 2), { name: 'scan-history.json' });
+    archive.append(JSON.stringify(foundReports, null, 2), { name: 'found-reports.json' });
+    archive.append(JSON.stringify(notifications, null, 2), { name: 'notifications.json' });
+    archive.append(JSON.stringify(messages, null, 2), { name: 'messages.json' });
+    archive.append(JSON.stringify(sessions, null, 2), { name: 'sessions.json' });
+    archive.append(JSON.stringify(apiKeys, null, 2), { name: 'api-keys.json' });
+    archive.append(JSON.stringify(organizations, null, 2), { name: 'organizations.json' });
+    archive.append(JSON.stringify(transfers, null, 2), { name: 'transfers.json' });
+
+    // Images aren't stored on the codes; render the standard PNG for each
+    const imageOptions = QRRenderService.normalizeOptions();
+    for (const qrCode of qrCodes) {
+      const image = await QRRenderService.render(QRService.getQRUrl(qrCode.code), imageOptions);
+      archive.append(image.buffer, { name: `qr-images/${qrCode.code}.png` });
+    }
+
+    archive.finalize();
+    return archive;
+  }
+
+  /**
+   * Schedule an account for deletion after the grace period and sign out every device
+   */
+  static async scheduleDeletion(user, reason) {
+    const scheduledFor = new Date(Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+    user.deletion = {
+      requestedAt: new Date(),
+      scheduledFor,
+      reason
+    };
+    await user.save();
+
+    await TokenService.revokeAllSessions(user._id, 'account_deletion');
+    await ApiKey.updateMany(
+      { user: user._id, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    return scheduledFor;
+  }
+
+  /**
+   * Cancel a pending deletion during the grace period
+   */
+  static async cancelDeletion(user) {
+    user.deletion = undefined;
+    await user.save();
+  }
+
+  /**
+   * Permanently remove an account, its QR codes, their scan history and finder conversations, and its notifications.
+   * Finder details this person left on other owners' codes are scrubbed.
+   */
+  static async purgeAccount(userId) {
+    try {
+      const user = await User.findById(userId);
+      if (!user) {
+        return false;
+      }
+
+      const qrCodes = await QRCodeModel.find({ owner: user._id }).select('code').lean();
+      const qrCodeIds = qrCodes.map(qrCode => qrCode._id);
+
+      await Notification.deleteMany({
+        $or: [{ owner: user._id }, { qrCode: { $in: qrCodeIds } }]
+      });
+      await QRCodeModel.deleteMany({ _id: { $in: qrCodeIds } });
+      await ScanEvent.deleteMany({ $or: [{ owner: user._id }, { qrCode: { $in: qrCodeIds } }] });
+      await RelayThread.deleteMany({ $or: [{ owner: user._id }, { qrCode: { $in: qrCodeIds } }] });
+      for (const qrCodeId of qrCodeIds) {
+        await ProxyNumberService.endSessions(qrCodeId, 'deleted');
+      }
+      qrCodes.forEach(qrCode => QRService.clearCachedCode(qrCode.code));
+      await Promise.all(qrCodes.map(qrCode => QRRenderService.deleteStored(QRService.getQRUrl(qrCode.code))));
+
+      await QRCodeModel.updateMany(
+        { 'foundBy.finderEmail': user.email },
+        { $unset: { 'foundBy.finderName': 1, 'foundBy.finderPhone': 1, 'foundBy.finderEmail': 1 } }
+      );
+      await RelayThread.updateMany(
+        { 'finder.email': user.email },
+        { $unset: { 'finder.name': 1, 'finder.email': 1 } }
+      );
+      await Notification.updateMany(
+        { 'data.finderEmail': user.email },
+        { $unset: { 'data.finderName': 1, 'data.finderPhone': 1, 'data.finderEmail': 1 } }
+      );
+
+      await Session.deleteMany({ user: user._id });
+      await ApiKey.deleteMany({ user: user._id });
+      await this.leaveOrganizations(user._id);
+      await OwnershipTransfer.deleteMany({ $or: [{ fromUser: user._id }, { toEmail: user.email }] });
+      await User.deleteOne({ _id: user._id });
+
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to purge account: ${error.message}`);
+    }
+  }
+
+  /**
+   * Take a user out of every group they belong to. Groups left without an
+   * owner hand it to their longest-standing member; empty groups are deleted.
+   */
+  static async leaveOrganizations(userId) {
+    const organizations = await Organization.find({ 'members.user': userId });
+
+    for (const organization of organizations) {
+      organization.members = organization.members.filter(m => m.user.toString() !== userId.toString());
+
+      if (organization.members.length === 0) {
+        await OrganizationService.deleteOrganization(organization);
+        continue;
+      }
+
+      if (organization.ownerCount() === 0) {
+        [...organization.members].sort((a, b) => a.addedAt - b.addedAt)[0].role = 'owner';
+      }
+      await organization.save();
+    }
+  }
+
+  /**
+   * Purge every account whose grace period has ended
+   */
+  static async purgeDueAccounts() {
+    const due = await User.find({ 'deletion.scheduledFor': { $lte: new Date() } })
+      .select('_id email')
+      .lean();
+
+    let purged = 0;
+    for (const { _id, email } of due) {
+      try {
+        if (await this.purgeAccount(_id)) {
+          purged++;
+          console.log('✅ Purged account:', email);
+        }
+      } catch (error) {
+        console.error('❌ Failed to purge account:', email, error.message);
+      }
+    }
+
+    return { due: due.length, purged };
+  }
+}
+
+module.exports = AccountService;
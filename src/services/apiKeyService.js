@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const TokenService = require('./tokenService');
+
+const KEY_PREFIX = 'sbk';
+const DEFAULT_EXPIRE_DAYS = 90;
+const MAX_EXPIRE_DAYS = 365;
+const MAX_ACTIVE_KEYS = 10;
+// Only write lastUsedAt this often, so busy scripts don't cause a write per request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+class ApiKeyService {
+  /**
+   * Check whether a bearer credential looks like an API key rather than a JWT
+   */
+  static isApiKey(token) {
+    return typeof token === 'string' && token.startsWith(`${KEY_PREFIX}_`);
+  }
+
+  /**
+   * Create a key for a user. The plaintext key is returned once and never stored.
+   */
+  static async createKey(userId, { name, scopes, expiresInDays = DEFAULT_EXPIRE_DAYS }) {
+    const activeCount = await ApiKey.countDocuments({
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+
+    if (activeCount >= MAX_ACTIVE_KEYS) {
+      throw new Error(`You can have at most ${MAX_ACTIVE_KEYS} active API keys`);
+    }
+
+    const days = Math.min(Math.max(parseInt(expiresInDays) || DEFAULT_EXPIRE_DAYS, 1), MAX_EXPIRE_DAYS);
+    const prefix = crypto.randomBytes(4).toString('hex');
+    const secret = crypto.randomBytes(24).toString('hex');
+
+    const apiKey = await ApiKey.create({
+      user: userId,
+      name,
+      prefix,
+      keyHash: TokenService.hashToken(secret),
+      scopes: [...new Set(scopes)],
+      expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+    });
+
+    return {
+      apiKey,
+      key: `${KEY_PREFIX}_${prefix}_${secret}`
+    };
+  }
+
+  /**
+   * Resolve a presented key to its active ApiKey document, or null
+   */
+  static async authenticate(key, req) {
+    const [marker, prefix, secret] = key.split('_');
+    if (marker !== KEY_PREFIX || !prefix || !secret) {
+      return null;
+    }
+
+    const apiKey = await ApiKey.findOne({ prefix }).select('+keyHash');
+    if (!apiKey || !apiKey.isActive()) {
+      return null;
+    }
+
+    const presentedHash = Buffer.from(TokenService.hashToken(secret));
+    const storedHash = Buffer.from(apiKey.keyHash);
+    if (presentedHash.length !== storedHash.length ||
+        !crypto.timingSafeEqual(presentedHash, storedHash)) {
+      return null;
+    }
+
+    if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+      await ApiKey.updateOne(
+        { _id: apiKey._id },
+        { $set: { lastUsedAt: new Date(), lastUsedIp: req.ip || req.connection?.remoteAddress } }
+      );
+    }
+
+    return apiKey;
+  }
+
+  /**
+   * List a user's keys, newest first
+   */
+  static async listKeys(userId) {
+    return ApiKey.find({ user: userId })
+      .sort({ createdAt: -1 })
+      .lean();
+  }
+
+  /**
+   * Revoke one of a user's keys
+   */
+  static async revokeKey(userId, keyId) {
+    return ApiKey.findOneAndUpdate(
+      { _id: keyId, user: userId, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+  }
+}
+
+module.exports = ApiKeyService;
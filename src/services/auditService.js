@@ -0,0 +1,160 @@
+const AuditLog = require('../models/AuditLog');
+const CsvService = require('./csvService');
+
+// Fields that are recorded as changed but never with their values
+const REDACTED_PATHS = [
+  'password',
+  'emailVerificationToken',
+  'passwordResetToken',
+  'passwordResetOTP',
+  'passwordSetupToken',
+  'magicLinkToken',
+  'twoFactor.secret',
+  'twoFactor.pendingSecret',
+  'twoFactor.recoveryCodes',
+  'updateOTP.code'
+];
+
+// Bookkeeping fields that would only add noise to a diff
+const IGNORED_PATHS = ['_id', '__v', 'createdAt', 'updatedAt', 'qrImageData'];
+
+class AuditService {
+  /**
+   * Flatten a document into dotted paths, keeping arrays as leaf values
+   */
+  static flatten(value, prefix = '', result = {}) {
+    if (value && typeof value.toObject === 'function') {
+      value = value.toObject();
+    }
+
+    const isPlainObject = value && typeof value === 'object' && !Array.isArray(value) &&
+      !(value instanceof Date) && !Buffer.isBuffer(value) && value._bsontype === undefined;
+
+    if (!isPlainObject) {
+      if (prefix) result[prefix] = value;
+      return result;
+    }
+
+    Object.keys(value).forEach(key => {
+      this.flatten(value[key], prefix ? `${prefix}.${key}` : key, result);
+    });
+    return result;
+  }
+
+  /**
+   * Take a snapshot of selected top-level fields of a document
+   */
+  static pick(doc, fields) {
+    if (!doc) return null;
+    const source = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+    return fields.reduce((snapshot, field) => {
+      snapshot[field] = source[field];
+      return snapshot;
+    }, {});
+  }
+
+  /**
+   * List the paths that differ between two snapshots
+   */
+  static diff(before, after) {
+    const flatBefore = this.flatten(before || {});
+    const flatAfter = this.flatten(after || {});
+    const paths = new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]);
+    const changes = [];
+
+    paths.forEach(path => {
+      if (IGNORED_PATHS.some(ignored => path === ignored || path.startsWith(`${ignored}.`))) return;
+      if (JSON.stringify(flatBefore[path]) === JSON.stringify(flatAfter[path])) return;
+
+      const redacted = REDACTED_PATHS.some(secret => path === secret || path.startsWith(`${secret}.`));
+      changes.push({
+        path,
+        before: redacted ? '[redacted]' : flatBefore[path],
+        after: redacted ? '[redacted]' : flatAfter[path]
+      });
+    });
+
+    return changes;
+  }
+
+  /**
+   * Write an audit entry for a request. Never throws, so a logging failure
+   * cannot break the action being audited.
+   */
+  static async record(req, { action, targetType, targetId, before, after, metadata, actor }) {
+    try {
+      const actingUser = actor || req?.user;
+
+      await AuditLog.create({
+        actor: actingUser?._id,
+        actorEmail: actingUser?.email,
+        actorRole: actingUser?.role,
+        impersonator: req?.impersonator?._id,
+        apiKey: req?.apiKey?._id,
+        action,
+        targetType,
+        targetId: targetId && targetId.toString(),
+        changes: this.diff(before, after),
+        metadata,
+        ipAddress: req?.ip || req?.connection?.remoteAddress,
+        userAgent: req?.get?.('User-Agent')
+      });
+    } catch (error) {
+      console.error('❌ Failed to write audit log:', action, error.message);
+    }
+  }
+
+  /**
+   * Build a query filter from admin search parameters
+   */
+  static buildFilter({ actor, impersonator, action, targetType, targetId, from, to }) {
+    const filter = {};
+
+    if (actor) filter.actor = actor;
+    if (impersonator) filter.impersonator = impersonator;
+    if (action) {
+      // "qrcode.*" matches every qrcode action
+      filter.action = action.endsWith('*')
+        ? { $regex: `^${action.slice(0, -1).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` }
+        : action;
+    }
+    if (targetType) filter.targetType = targetType;
+    if (targetId) filter.targetId = targetId;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    return filter;
+  }
+
+  /**
+   * Render audit entries as CSV
+   */
+  static toCSV(logs) {
+    const escape = (value) => {
+      if (value === undefined || value === null) return '';
+      return CsvService.escapeCell(typeof value === 'object' && !value._bsontype ? JSON.stringify(value) : value);
+    };
+
+    return [
+      'Timestamp,Actor,Actor Email,Actor Role,Impersonator,Action,Target Type,Target ID,Changes,IP Address,User Agent',
+      ...logs.map(log => [
+        new Date(log.createdAt).toISOString(),
+        log.actor,
+        log.actorEmail,
+        log.actorRole,
+        log.impersonator,
+        log.action,
+        log.targetType,
+        log.targetId,
+        log.changes && log.changes.length ? log.changes : '',
+        log.ipAddress,
+        log.userAgent
+      ].map(escape).join(','))
+    ].join('\n');
+  }
+}
+
+module.exports = AuditService;
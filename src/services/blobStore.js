@@ -0,0 +1,96 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Stores files outside MongoDB. Drivers implement:
+ *   put(key, buffer) -> void
+ *   get(key)         -> Buffer, or null when missing
+ *   delete(key)      -> void (missing keys are fine)
+ *
+ * `local` (files under BLOB_STORE_PATH) is the default. Other drivers, such
+ * as an S3 bucket, are added with BlobStore.registerDriver() and picked with
+ * BLOB_STORE_DRIVER.
+ */
+class LocalBlobStore {
+  constructor(root) {
+    this.root = path.resolve(root);
+  }
+
+  // Keys are slash-separated; never let one climb out of the root
+  resolve(key) {
+    const file = path.resolve(this.root, key);
+    if (!file.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid blob key: ${key}`);
+    }
+    return file;
+  }
+
+  async put(key, buffer) {
+    const file = this.resolve(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+
+    // Write then rename so readers never see half a file
+    const temp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(temp, buffer);
+    await fs.rename(temp, file);
+  }
+
+  async get(key) {
+    try {
+      return await fs.readFile(this.resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await fs.rm(this.resolve(key), { force: true });
+  }
+}
+
+const drivers = {
+  local: () => new LocalBlobStore(process.env.BLOB_STORE_PATH || 'storage')
+};
+
+let instance = null;
+
+class BlobStore {
+  /**
+   * Make a driver available under a name
+   */
+  static registerDriver(name, factory) {
+    drivers[name] = factory;
+    instance = null;
+  }
+
+  /**
+   * The configured driver, created on first use
+   */
+  static driver() {
+    if (!instance) {
+      const name = process.env.BLOB_STORE_DRIVER || 'local';
+      if (!drivers[name]) {
+        throw new Error(`Unknown blob store driver: ${name}`);
+      }
+      instance = drivers[name]();
+    }
+    return instance;
+  }
+
+  static put(key, buffer) {
+    return this.driver().put(key, buffer);
+  }
+
+  static get(key) {
+    return this.driver().get(key);
+  }
+
+  static delete(key) {
+    return this.driver().delete(key);
+  }
+}
+
+BlobStore.LocalBlobStore = LocalBlobStore;
+
+module.exports = BlobStore;
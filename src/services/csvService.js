@@ -0,0 +1,13 @@
+class CsvService {
+  /**
+   * One CSV cell. Text starting with =, +, -, @, a tab or a carriage return
+   * gets a leading quote so spreadsheets don't run it as a formula.
+   */
+  static escapeCell(value) {
+    if (value === undefined || value === null) return '';
+    const text = /^[=+\-@\t\r]/.test(String(value)) ? `'${value}` : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+}
+
+module.exports = CsvService;
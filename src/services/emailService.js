@@ -1,5 +1,13 @@
 const nodemailer = require('nodemailer');
 
+// For text written by finders and owners, which ends up inside HTML emails
+const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 class EmailService {
   constructor() {
     this.transporter = nodemailer.createTransport({
@@ -17,22 +25,26 @@ class EmailService {
   }
 
   /**
-   * Send email with temporary password
+   * Send welcome email with a single-use link to set a password
    */
-  async sendTempPasswordEmail(userEmail, userName, tempPassword) {
+  async sendSetPasswordInvite(userEmail, userName, setPasswordToken, options = {}) {
+    const setPasswordUrl = `${process.env.FRONTEND_URL}/set-password?token=${setPasswordToken}`;
+
     const mailOptions = {
       from: process.env.EMAIL_FROM || 'ScanBack <noreply@scanback.co.za>',
       to: userEmail,
-      subject: 'Welcome to ScanBack - Your Temporary Password',
-      html: this.getTempPasswordEmailTemplate(userName, tempPassword)
+      subject: options.existingAccount
+        ? 'Action Required - Set a New ScanBack Password'
+        : 'Welcome to ScanBack - Set Your Password',
+      html: this.getSetPasswordInviteEmailTemplate(userName, setPasswordUrl, options)
     };
 
     try {
       const result = await this.transporter.sendMail(mailOptions);
-      console.log('✅ Temp password email sent:', result.messageId);
+      console.log('✅ Set password invite sent:', result.messageId);
       return { success: true, messageId: result.messageId };
     } catch (error) {
-      console.error('❌ Failed to send temp password email:', error);
+      console.error('❌ Failed to send set password invite:', error);
       throw new Error(`Failed to send email: ${error.message}`);
     }
   }
@@ -103,22 +115,21 @@ class EmailService {
   }
 
   /**
-   * Temp password email template
+   * Set password invite email template
    */
-  getTempPasswordEmailTemplate(userName, tempPassword) {
+  getSetPasswordInviteEmailTemplate(userName, setPasswordUrl, { existingAccount = false, expiresInHours = 72 } = {}) {
     return `
       <!DOCTYPE html>
       <html>
       <head>
         <meta charset="utf-8">
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Welcome to ScanBack</title>
+        <title>${existingAccount ? 'Set a New Password' : 'Welcome to ScanBack'}</title>
         <style>
           body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
           .container { max-width: 600px; margin: 0 auto; padding: 20px; }
           .header { background: linear-gradient(135deg, #14b8a6, #0f766e); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
           .content { background: #f8fafc; padding: 30px; border-radius: 0 0 10px 10px; }
-          .password-box { background: #1e293b; color: #fbbf24; padding: 20px; border-radius: 8px; text-align: center; font-size: 24px; font-weight: bold; margin: 20px 0; }
           .button { display: inline-block; background: #14b8a6; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
           .footer { text-align: center; margin-top: 30px; color: #64748b; font-size: 14px; }
         </style>
@@ -126,29 +137,22 @@ class EmailService {
       <body>
         <div class="container">
           <div class="header">
-            <h1>🎉 Welcome to ScanBack!</h1>
-            <p>Your QR code stickers are ready to protect your valuables</p>
+            ${existingAccount
+              ? '<h1>🔐 Set a New Password</h1><p>We\'ve upgraded how ScanBack accounts are secured</p>'
+              : '<h1>🎉 Welcome to ScanBack!</h1><p>Your QR code stickers are ready to protect your valuables</p>'}
           </div>
           <div class="content">
             <h2>Hello ${userName}!</h2>
-            <p>Thank you for joining ScanBack! Your account has been created successfully.</p>
-            
-            <p><strong>Your temporary password is:</strong></p>
-            <div class="password-box">${tempPassword}</div>
+            ${existingAccount
+              ? '<p>Temporary passwords are no longer supported, so the one we emailed you earlier has been switched off. Please choose your own password to keep using your account.</p>'
+              : '<p>Thank you for joining ScanBack! Your account has been created successfully. Choose a password to finish setting it up.</p>'}
             
-            <p>Please use this password to log in and change it to something more secure.</p>
+            <a href="${setPasswordUrl}" class="button">Set Your Password</a>
             
-            <a href="${process.env.FRONTEND_URL}/auth/login" class="button">Login to Your Account</a>
-            
-            <h3>What's Next?</h3>
-            <ul>
-              <li>📱 Login with your email and temporary password</li>
-              <li>🔐 Change your password to something secure</li>
-              <li>🏷️ Create your first QR code stickers</li>
-              <li>📧 Verify your email address</li>
-            </ul>
+            <p>If the button doesn't work, copy and paste this link into your browser:</p>
+            <p style="word-break: break-all; color: #64748b;">${setPasswordUrl}</p>
             
-            <p><strong>Important:</strong> This temporary password expires in 24 hours. Please change it as soon as possible.</p>
+            <p><strong>Important:</strong> This link can only be used once and expires in ${expiresInHours} hours. You can request a new one from the login page.</p>
           </div>
           <div class="footer">
             <p>© 2025 ScanBack Technologies. All rights reserved.</p>
@@ -620,6 +624,438 @@ class EmailService {
       </html>
     `;
   }
+
+  /**
+   * Send account locked alert
+   */
+  async sendAccountLockedEmail(userEmail, userName, lockUntil) {
+    const mailOptions = {
+      from: process.env.EMAIL_FROM || 'ScanBack <noreply@scanback.co.za>',
+      to: userEmail,
+      subject: '🔒 Your ScanBack Account Has Been Temporarily Locked',
+      html: this.getAccountLockedEmailTemplate(userName, lockUntil)
+    };
+
+    try {
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log('✅ Account locked email sent:', result.messageId);
+      return { success: true, messageId: result.messageId };
+    } catch (error) {
+      console.error('❌ Failed to send account locked email:', error);
+      throw new Error(`Failed to send email: ${error.message}`);
+    }
+  }
+
+  /**
+   * Account locked email template
+   */
+  getAccountLockedEmailTemplate(userName, lockUntil) {
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Account Temporarily Locked - ScanBack</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #ef4444, #b91c1c); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f8fafc; padding: 30px; border-radius: 0 0 10px 10px; }
+          .warning { background: #fee2e2; border: 1px solid #ef4444; padding: 15px; border-radius: 8px; margin: 20px 0; }
+          .button { display: inline-block; background: #ef4444; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 30px; color: #64748b; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>🔒 Account Locked</h1>
+            <p>Too many failed sign-in attempts</p>
+          </div>
+          <div class="content">
+            <h2>Hello ${userName}!</h2>
+            <p>We noticed several failed attempts to sign in to your ScanBack account or use a verification code, so we've temporarily locked it to keep it safe.</p>
+
+            <div class="warning">
+              <p><strong>Locked until:</strong> ${new Date(lockUntil).toLocaleString()}</p>
+            </div>
+
+            <p>If this was you, simply wait and try again. If it wasn't, we recommend resetting your password once the lock expires.</p>
+
+            <a href="${process.env.FRONTEND_URL}/forgot-password" class="button">Reset Password</a>
+          </div>
+          <div class="footer">
+            <p>© 2025 ScanBack Technologies. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+  /**
+   * Send a single-use login link
+   */
+  async sendMagicLinkEmail(userEmail, userName, loginToken, expiresInMinutes) {
+    const loginUrl = `${process.env.FRONTEND_URL}/magic-login?token=${loginToken}`;
+
+    const mailOptions = {
+      from: process.env.EMAIL_FROM || 'ScanBack <noreply@scanback.co.za>',
+      to: userEmail,
+      subject: 'Your ScanBack Login Link',
+      html: this.getMagicLinkEmailTemplate(userName, loginUrl, expiresInMinutes)
+    };
+
+    try {
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log('✅ Magic link email sent:', result.messageId);
+      return { success: true, messageId: result.messageId };
+    } catch (error) {
+      console.error('❌ Failed to send magic link email:', error);
+      throw new Error(`Failed to send email: ${error.message}`);
+    }
+  }
+
+  /**
+   * Magic link email template
+   */
+  getMagicLinkEmailTemplate(userName, loginUrl, expiresInMinutes) {
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Log In to ScanBack</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #14b8a6, #0f766e); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f8fafc; padding: 30px; border-radius: 0 0 10px 10px; }
+          .button { display: inline-block; background: #14b8a6; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 30px; color: #64748b; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>🔑 Log In to ScanBack</h1>
+            <p>No password needed</p>
+          </div>
+          <div class="content">
+            <h2>Hello ${userName}!</h2>
+            <p>Click the button below to log in to your ScanBack account.</p>
+            
+            <a href="${loginUrl}" class="button">Log In</a>
+            
+            <p>If the button doesn't work, copy and paste this link into your browser:</p>
+            <p style="word-break: break-all; color: #64748b;">${loginUrl}</p>
+            
+            <p><strong>Important:</strong> This link can only be used once and expires in ${expiresInMinutes} minutes.</p>
+          </div>
+          <div class="footer">
+            <p>© 2025 ScanBack Technologies. All rights reserved.</p>
+            <p>If you didn't request this link, you can safely ignore this email.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+  /**
+   * Send account deletion confirmation with the restore deadline
+   */
+  async sendAccountDeletionScheduledEmail(userEmail, userName, scheduledFor) {
+    const mailOptions = {
+      from: process.env.EMAIL_FROM || 'ScanBack <noreply@scanback.co.za>',
+      to: userEmail,
+      subject: 'Your ScanBack Account Is Scheduled for Deletion',
+      html: this.getAccountDeletionScheduledEmailTemplate(userName, scheduledFor)
+    };
+
+    try {
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log('✅ Account deletion email sent:', result.messageId);
+      return { success: true, messageId: result.messageId };
+    } catch (error) {
+      console.error('❌ Failed to send account deletion email:', error);
+      throw new Error(`Failed to send email: ${error.message}`);
+    }
+  }
+
+  /**
+   * Account deletion scheduled email template
+   */
+  getAccountDeletionScheduledEmailTemplate(userName, scheduledFor) {
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Account Deletion Scheduled - ScanBack</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #64748b, #334155); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f8fafc; padding: 30px; border-radius: 0 0 10px 10px; }
+          .warning { background: #fef3c7; border: 1px solid #f59e0b; padding: 15px; border-radius: 8px; margin: 20px 0; }
+          .button { display: inline-block; background: #14b8a6; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 30px; color: #64748b; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>👋 Sorry to See You Go</h1>
+            <p>Your account deletion request has been received</p>
+          </div>
+          <div class="content">
+            <h2>Hello ${userName}!</h2>
+            <p>Your ScanBack account, QR codes, scan history and notifications will be permanently deleted on the date below. You have been signed out of every device.</p>
+
+            <div class="warning">
+              <p><strong>Deletion date:</strong> ${new Date(scheduledFor).toLocaleString()}</p>
+            </div>
+
+            <p>Changed your mind? Log in and restore your account before then.</p>
+
+            <a href="${process.env.FRONTEND_URL}/login" class="button">Restore My Account</a>
+          </div>
+          <div class="footer">
+            <p>© 2025 ScanBack Technologies. All rights reserved.</p>
+            <p>If you didn't request this, log in now and change your password.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Send a QR code transfer request with its accept link
+   */
+  async sendTransferRequestEmail(recipientEmail, fromName, qrCodeDetails, transferToken, options = {}) {
+    const transferUrl = `${process.env.FRONTEND_URL}/transfer?token=${transferToken}`;
+
+    const mailOptions = {
+      from: process.env.EMAIL_FROM || 'ScanBack <noreply@scanback.co.za>',
+      to: recipientEmail,
+      subject: `${fromName} Wants to Transfer a ScanBack Tag to You`,
+      html: this.getTransferRequestEmailTemplate(fromName, qrCodeDetails, transferUrl, options)
+    };
+
+    try {
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log('✅ Transfer request email sent:', result.messageId);
+      return { success: true, messageId: result.messageId };
+    } catch (error) {
+      console.error('❌ Failed to send transfer request email:', error);
+      throw new Error(`Failed to send email: ${error.message}`);
+    }
+  }
+
+  /**
+   * Transfer request email template
+   */
+  getTransferRequestEmailTemplate(fromName, qrCodeDetails, transferUrl, { hasAccount = false, expiresInDays = 7 } = {}) {
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>QR Code Transfer - ScanBack</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #14b8a6, #0f766e); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f8fafc; padding: 30px; border-radius: 0 0 10px 10px; }
+          .details { background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #14b8a6; }
+          .button { display: inline-block; background: #14b8a6; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 30px; color: #64748b; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>🔁 A Tag Is Coming Your Way</h1>
+            <p>${escapeHtml(fromName)} wants to hand over a ScanBack tag</p>
+          </div>
+          <div class="content">
+            <h2>Hello!</h2>
+            <p>${escapeHtml(fromName)} has asked to transfer their ScanBack ${qrCodeDetails.type === 'pet' ? 'pet' : 'item'} tag to you. Once you accept, anyone who scans it will reach you instead.</p>
+
+            <div class="details">
+              <p><strong>Name:</strong> ${escapeHtml(qrCodeDetails.details?.name || 'Unnamed')}</p>
+              <p><strong>Code:</strong> ${escapeHtml(qrCodeDetails.code)}</p>
+            </div>
+
+            ${hasAccount
+              ? '<p>Log in with this email address to accept the transfer.</p>'
+              : '<p>You will need a free ScanBack account using this email address to accept the transfer.</p>'}
+
+            <a href="${transferUrl}" class="button">Review Transfer</a>
+
+            <p>This link expires in ${expiresInDays} days.</p>
+          </div>
+          <div class="footer">
+            <p>© 2025 ScanBack Technologies. All rights reserved.</p>
+            <p>Not expecting this? You can ignore this email or decline the transfer from the link above.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Send confirmation that a QR code has changed owner
+   */
+  async sendTransferCompletedEmail(userEmail, userName, transferDetails) {
+    const mailOptions = {
+      from: process.env.EMAIL_FROM || 'ScanBack <noreply@scanback.co.za>',
+      to: userEmail,
+      subject: transferDetails.role === 'new'
+        ? `${transferDetails.name} Is Now Yours on ScanBack`
+        : `${transferDetails.name} Has Been Transferred`,
+      html: this.getTransferCompletedEmailTemplate(userName, transferDetails)
+    };
+
+    try {
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log('✅ Transfer completed email sent:', result.messageId);
+      return { success: true, messageId: result.messageId };
+    } catch (error) {
+      console.error('❌ Failed to send transfer completed email:', error);
+      throw new Error(`Failed to send email: ${error.message}`);
+    }
+  }
+
+  /**
+   * Transfer completed email template
+   */
+  getTransferCompletedEmailTemplate(userName, { name, code, role, otherName }) {
+    const isNewOwner = role === 'new';
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Transfer Complete - ScanBack</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #14b8a6, #0f766e); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f8fafc; padding: 30px; border-radius: 0 0 10px 10px; }
+          .details { background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #14b8a6; }
+          .button { display: inline-block; background: #14b8a6; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 30px; color: #64748b; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>✅ Transfer Complete</h1>
+            <p>${escapeHtml(name)} has a new owner</p>
+          </div>
+          <div class="content">
+            <h2>Hello ${escapeHtml(userName)}!</h2>
+            ${isNewOwner
+              ? `<p>${escapeHtml(otherName || 'The previous owner')} has transferred this tag to you. Anyone who scans it now reaches you. Check the details and contact information in your dashboard.</p>`
+              : `<p>${escapeHtml(otherName || 'The new owner')} accepted your transfer. Finders who scan this tag will no longer see your contact details.</p>`}
+
+            <div class="details">
+              <p><strong>Name:</strong> ${escapeHtml(name)}</p>
+              <p><strong>Code:</strong> ${escapeHtml(code)}</p>
+            </div>
+
+            <a href="${process.env.FRONTEND_URL}/dashboard" class="button">Go to Dashboard</a>
+          </div>
+          <div class="footer">
+            <p>© 2025 ScanBack Technologies. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Pass on a relayed message. Replies go to the relay address, so neither
+   * side sees the other's real email.
+   */
+  async sendRelayMessageEmail(toEmail, recipientName, relayMessage) {
+    const mailOptions = {
+      from: process.env.EMAIL_FROM || 'ScanBack <noreply@scanback.co.za>',
+      to: toEmail,
+      replyTo: relayMessage.replyTo,
+      subject: relayMessage.subject,
+      html: this.getRelayMessageEmailTemplate(recipientName, relayMessage)
+    };
+
+    try {
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log('✅ Relay message email sent:', result.messageId);
+      return { success: true, messageId: result.messageId };
+    } catch (error) {
+      console.error('❌ Failed to send relay message email:', error);
+      throw new Error(`Failed to send email: ${error.message}`);
+    }
+  }
+
+  /**
+   * Relayed message email template
+   */
+  getRelayMessageEmailTemplate(recipientName, { heading, intro, senderLabel, body, contact, threadUrl, canReply = true }) {
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>New Message - ScanBack</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #14b8a6, #0f766e); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f8fafc; padding: 30px; border-radius: 0 0 10px 10px; }
+          .details { background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #14b8a6; white-space: pre-wrap; }
+          .button { display: inline-block; background: #14b8a6; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 30px; color: #64748b; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>💬 ${escapeHtml(heading)}</h1>
+          </div>
+          <div class="content">
+            <h2>Hello${recipientName ? ` ${escapeHtml(recipientName)}` : ''}!</h2>
+            <p>${escapeHtml(intro)}</p>
+
+            ${body ? `<p><strong>${escapeHtml(senderLabel)} wrote:</strong></p>
+            <div class="details">${escapeHtml(body)}</div>` : ''}
+
+            ${contact ? `<div class="details">
+              <p><strong>Name:</strong> ${escapeHtml(contact.name || 'Not given')}</p>
+              ${contact.phone ? `<p><strong>Phone:</strong> ${escapeHtml(contact.phone)}</p>` : ''}
+              ${contact.email ? `<p><strong>Email:</strong> ${escapeHtml(contact.email)}</p>` : ''}
+            </div>` : ''}
+
+            ${threadUrl ? `<a href="${threadUrl}" class="button">Open Conversation</a>` : ''}
+          </div>
+          <div class="footer">
+            <p>© 2025 ScanBack Technologies. All rights reserved.</p>
+            ${canReply ? '<p>Reply to this email to answer. Your email address stays private.</p>' : ''}
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
 }
 
 module.exports = new EmailService();
@@ -0,0 +1,251 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Batch = require('../models/Batch');
+const QRCodeModel = require('../models/QRCode');
+const QRService = require('./qrService');
+
+// No 0/O, 1/I/L: the PIN is read off a small printed tag
+const CLAIM_PIN_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+const CLAIM_PIN_LENGTH = 8;
+const MAX_CLAIM_ATTEMPTS = 5;
+const CLAIM_LOCK_MS = 15 * 60 * 1000; // 15 minutes
+const MAX_BATCH_SIZE = 500;
+
+// Which states each stock move may start from
+const TRANSITIONS = {
+  shipped: ['unassigned'],
+  sold: ['shipped']
+};
+
+// States in which the holder of the tag may claim it
+const CLAIMABLE_STATUSES = ['shipped', 'sold'];
+
+const statusError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+class InventoryService {
+  /**
+   * Generate a random claim PIN
+   */
+  static generateClaimPin() {
+    let pin = '';
+    for (let i = 0; i < CLAIM_PIN_LENGTH; i++) {
+      pin += CLAIM_PIN_ALPHABET[crypto.randomInt(CLAIM_PIN_ALPHABET.length)];
+    }
+    return pin;
+  }
+
+  /**
+   * Normalise a PIN as typed: case, spaces and dashes don't matter
+   */
+  static normalizeClaimPin(pin) {
+    return String(pin || '').toUpperCase().replace(/[\s-]/g, '');
+  }
+
+  /**
+   * Create a print batch and its unclaimed codes. Returns each code with its
+   * claim PIN so the tags can be printed.
+   */
+  static async createBatch(admin, { sku, printRun, distributor, type, quantity, notes }) {
+    if (!quantity || quantity < 1 || quantity > MAX_BATCH_SIZE) {
+      throw statusError(`Quantity must be between 1 and ${MAX_BATCH_SIZE}`, 400);
+    }
+
+    try {
+      const batch = await Batch.create({
+        sku,
+        printRun,
+        distributor,
+        type,
+        quantity,
+        notes,
+        createdBy: admin._id
+      });
+
+      const documents = [];
+      for (let i = 0; i < quantity; i++) {
+        documents.push(new QRCodeModel({
+          code: QRService.generateUniqueCode(),
+          type,
+          batch: batch._id,
+          inventory: { status: 'unassigned' },
+          claimPin: this.generateClaimPin(),
+          isActivated: false
+        }));
+      }
+
+      // Codes that collide get new ones, so read them back only after inserting
+      await QRService.insertWithUniqueCodes(documents);
+
+      const qrCodes = documents.map(qrCode => ({
+        qrCode,
+        qrImageUrl: QRService.getImageUrl(qrCode.code),
+        qrUrl: QRService.getQRUrl(qrCode.code),
+        claimPin: qrCode.claimPin
+      }));
+
+      return { batch, qrCodes };
+    } catch (error) {
+      throw new Error(`Failed to create batch: ${error.message}`);
+    }
+  }
+
+  /**
+   * Count a batch's codes by stock state
+   */
+  static async countByStatus(batchIds) {
+    const counts = await QRCodeModel.aggregate([
+      { $match: { batch: { $in: batchIds.map(id => new mongoose.Types.ObjectId(id)) } } },
+      { $group: { _id: { batch: '$batch', status: '$inventory.status' }, count: { $sum: 1 } } }
+    ]);
+
+    const byBatch = {};
+    counts.forEach(({ _id, count }) => {
+      const key = _id.batch.toString();
+      byBatch[key] = byBatch[key] || Object.fromEntries(QRCodeModel.INVENTORY_STATUSES.map(s => [s, 0]));
+      byBatch[key][_id.status] = count;
+    });
+    return byBatch;
+  }
+
+  /**
+   * List batches with their stock counts
+   */
+  static async listBatches({ page = 1, limit = 20, sku, distributor } = {}) {
+    const filter = {};
+    if (sku) filter.sku = sku.toUpperCase();
+    if (distributor) filter.distributor = distributor;
+
+    const batches = await Batch.find(filter)
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .lean();
+
+    const counts = await this.countByStatus(batches.map(batch => batch._id));
+    batches.forEach(batch => { batch.stock = counts[batch._id.toString()] || {}; });
+
+    const total = await Batch.countDocuments(filter);
+
+    return {
+      batches,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      total
+    };
+  }
+
+  /**
+   * Get a batch and its codes. Claim PINs are only included when asked for.
+   */
+  static async getBatch(batchId, { includeClaimPins = false } = {}) {
+    const batch = await Batch.findById(batchId).populate('createdBy', 'name email').lean();
+    if (!batch) {
+      throw statusError('Batch not found', 404);
+    }
+
+    let query = QRCodeModel.find({ batch: batch._id })
+      .select('code type status isActivated inventory owner createdAt')
+      .sort({ _id: 1 }); // insertion order, which is print order
+    if (includeClaimPins) {
+      query = query.select('+claimPin');
+    }
+
+    const qrCodes = await query.lean();
+    batch.stock = (await this.countByStatus([batch._id]))[batch._id.toString()] || {};
+
+    return { batch, qrCodes };
+  }
+
+  /**
+   * Move a batch's stock to 'shipped' or 'sold'. Only codes in the state the
+   * move starts from are touched; pass codes to move part of a batch.
+   */
+  static async updateStockStatus(batchId, status, { codes, distributor } = {}) {
+    if (!TRANSITIONS[status]) {
+      throw statusError(`Status must be one of: ${Object.keys(TRANSITIONS).join(', ')}`, 400);
+    }
+
+    const batch = await Batch.findById(batchId);
+    if (!batch) {
+      throw statusError('Batch not found', 404);
+    }
+
+    const filter = { batch: batch._id, 'inventory.status': { $in: TRANSITIONS[status] } };
+    if (Array.isArray(codes) && codes.length > 0) {
+      filter.code = { $in: codes };
+    }
+
+    const result = await QRCodeModel.updateMany(filter, {
+      $set: {
+        'inventory.status': status,
+        [`inventory.${status}At`]: new Date()
+      }
+    });
+
+    if (distributor && distributor !== batch.distributor) {
+      batch.distributor = distributor;
+      await batch.save();
+    }
+
+    return { batch, moved: result.modifiedCount };
+  }
+
+  /**
+   * Check the PIN printed on a pre-printed tag before it is activated. Repeated
+   * wrong guesses lock the code for a while.
+   */
+  static async verifyClaimPin(code, pin) {
+    const qrCode = await QRCodeModel.findOne({ code }).select('+claimPin batch inventory isActivated');
+    if (!qrCode) {
+      throw statusError('QR code not found', 404);
+    }
+
+    // Codes owners created themselves have nothing to claim
+    if (!qrCode.batch || qrCode.isActivated) {
+      return qrCode;
+    }
+
+    if (!CLAIMABLE_STATUSES.includes(qrCode.inventory?.status)) {
+      throw statusError('This tag has not been released for sale yet', 409);
+    }
+
+    // Take an attempt before looking at the PIN, so parallel guesses can't
+    // all read the same count. $not also matches codes with no count yet.
+    const reserved = await QRCodeModel.findOneAndUpdate(
+      {
+        _id: qrCode._id,
+        'inventory.claimAttempts': { $not: { $gte: MAX_CLAIM_ATTEMPTS } },
+        'inventory.claimLockedUntil': { $not: { $gt: new Date() } }
+      },
+      { $inc: { 'inventory.claimAttempts': 1 } },
+      { new: true }
+    ).select('inventory.claimAttempts');
+
+    if (!reserved) {
+      throw statusError('Too many incorrect PINs. Please try again later.', 429);
+    }
+
+    const expected = Buffer.from(qrCode.claimPin || '');
+    const given = Buffer.from(this.normalizeClaimPin(pin));
+
+    if (expected.length === 0 || expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+      if (reserved.inventory.claimAttempts >= MAX_CLAIM_ATTEMPTS) {
+        await QRCodeModel.updateOne(
+          { _id: qrCode._id, 'inventory.claimAttempts': { $gte: MAX_CLAIM_ATTEMPTS } },
+          { $set: { 'inventory.claimLockedUntil': new Date(Date.now() + CLAIM_LOCK_MS), 'inventory.claimAttempts': 0 } }
+        );
+      }
+
+      throw statusError('The claim PIN does not match this tag', 403);
+    }
+
+    return qrCode;
+  }
+}
+
+module.exports = InventoryService;
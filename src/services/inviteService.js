@@ -0,0 +1,45 @@
+const TokenService = require('./tokenService');
+const emailService = require('./emailService');
+
+const INVITE_EXPIRE_HOURS = parseInt(process.env.INVITE_EXPIRE_HOURS) || 72;
+
+class InviteService {
+  /**
+   * Issue a fresh single-use set-password link for a user and email it.
+   * Any earlier link for the same user stops working.
+   */
+  static async sendInvite(user, { existingAccount = false } = {}) {
+    const { token, jtiHash } = TokenService.issueSingleUseToken(
+      user._id,
+      'set_password',
+      `${INVITE_EXPIRE_HOURS}h`
+    );
+
+    user.passwordSetupToken = jtiHash;
+    user.passwordSetupExpires = new Date(Date.now() + INVITE_EXPIRE_HOURS * 60 * 60 * 1000);
+    user.passwordSetupSentAt = new Date();
+    await user.save();
+
+    try {
+      await emailService.sendSetPasswordInvite(user.email, user.name, token, {
+        existingAccount,
+        expiresInHours: INVITE_EXPIRE_HOURS
+      });
+    } catch (emailError) {
+      console.error('Failed to send set-password invite:', emailError);
+    }
+  }
+
+  /**
+   * Consume a set-password link, returning the user id it was issued for
+   */
+  static verifyInvite(token, user) {
+    if (!user.passwordSetupExpires || user.passwordSetupExpires < new Date()) {
+      throw new Error('Link has expired');
+    }
+
+    return TokenService.verifySingleUseToken(token, 'set_password', user.passwordSetupToken);
+  }
+}
+
+module.exports = InviteService;
@@ -0,0 +1,39 @@
+const emailService = require('./emailService');
+
+class LockoutService {
+  /**
+   * Record a failed password, 2FA or OTP attempt against an account.
+   * Emails the owner when the failure locks the account.
+   */
+  static async recordFailure(user) {
+    const locked = user.registerAuthFailure();
+    await user.save();
+
+    if (locked) {
+      console.log('Account locked after repeated failures:', user.email);
+      try {
+        await emailService.sendAccountLockedEmail(user.email, user.name, user.lockUntil);
+      } catch (emailError) {
+        console.error('Failed to send account locked email:', emailError);
+      }
+    }
+
+    return locked;
+  }
+
+  /**
+   * Build the 423 response body for a locked account
+   */
+  static lockedResponse(user) {
+    const minutes = Math.max(1, Math.ceil((user.lockUntil - Date.now()) / 60000));
+
+    return {
+      success: false,
+      message: `Account temporarily locked due to too many failed attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+      code: 'ACCOUNT_LOCKED',
+      lockUntil: user.lockUntil
+    };
+  }
+}
+
+module.exports = LockoutService;
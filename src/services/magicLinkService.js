@@ -0,0 +1,65 @@
+const User = require('../models/User');
+const TokenService = require('./tokenService');
+const emailService = require('./emailService');
+
+const MAGIC_LINK_EXPIRE_MINUTES = parseInt(process.env.MAGIC_LINK_EXPIRE_MINUTES) || 15;
+
+class MagicLinkService {
+  /**
+   * Email a single-use login link, replacing any earlier link.
+   * Returns false without sending when the email is being throttled.
+   */
+  static async sendLoginLink(user) {
+    if (!user.registerMagicLinkRequest()) {
+      await user.save();
+      return false;
+    }
+
+    const { token, jtiHash } = TokenService.issueSingleUseToken(
+      user._id,
+      'magic_link',
+      `${MAGIC_LINK_EXPIRE_MINUTES}m`
+    );
+
+    user.magicLinkToken = jtiHash;
+    user.magicLinkExpires = new Date(Date.now() + MAGIC_LINK_EXPIRE_MINUTES * 60 * 1000);
+    await user.save();
+
+    try {
+      await emailService.sendMagicLinkEmail(user.email, user.name, token, MAGIC_LINK_EXPIRE_MINUTES);
+    } catch (emailError) {
+      console.error('Failed to send magic link email:', emailError);
+    }
+
+    return true;
+  }
+
+  /**
+   * Consume a login link and return its user.
+   * The stored hash is cleared atomically so a link can only be exchanged once.
+   */
+  static async consumeLoginLink(token) {
+    const decoded = TokenService.verifyPurposeToken(token, 'magic_link');
+    if (!decoded.jti) {
+      throw new Error('Link has already been used or is no longer valid');
+    }
+
+    const user = await User.findOneAndUpdate(
+      {
+        _id: decoded.userId,
+        magicLinkToken: TokenService.hashToken(decoded.jti),
+        magicLinkExpires: { $gt: new Date() }
+      },
+      { $unset: { magicLinkToken: 1, magicLinkExpires: 1 } },
+      { new: true }
+    );
+
+    if (!user) {
+      throw new Error('Link has already been used or is no longer valid');
+    }
+
+    return user;
+  }
+}
+
+module.exports = MagicLinkService;
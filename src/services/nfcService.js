@@ -0,0 +1,180 @@
+const QRCodeModel = require('../models/QRCode');
+const QRService = require('./qrService');
+
+// NFC Forum URI record prefix codes (URI RTD, table 3); longest first
+const URI_PREFIXES = [
+  [0x02, 'https://www.'],
+  [0x01, 'http://www.'],
+  [0x04, 'https://'],
+  [0x03, 'http://']
+];
+
+// Usable NDEF bytes on common chips, to warn before encoding fails
+const CHIP_CAPACITY = {
+  NTAG213: 144,
+  NTAG215: 504,
+  NTAG216: 888
+};
+
+// 4, 7 and 10 byte UIDs (single, double and triple size)
+const UID_LENGTHS = [8, 14, 20];
+
+const MAX_TAGS_PER_CODE = 10;
+
+const statusError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+class NfcService {
+  /**
+   * Normalise a chip UID as read by a phone or encoder: 04:A2:2B:... or 04a22b...
+   */
+  static normalizeUid(uid) {
+    return String(uid || '').toUpperCase().replace(/[\s:-]/g, '');
+  }
+
+  /**
+   * Whether a (normalised) UID is 4, 7 or 10 bytes of hex
+   */
+  static isValidUid(uid) {
+    return /^[0-9A-F]+$/.test(uid) && UID_LENGTHS.includes(uid.length);
+  }
+
+  /**
+   * URL written to a code's chips. `src=nfc` tells the finder page to record
+   * the scan as a tap rather than a camera scan.
+   */
+  static getTagUrl(code) {
+    return `${QRService.getQRUrl(code)}?src=nfc`;
+  }
+
+  /**
+   * Build an NDEF message holding a single URI record
+   */
+  static buildUriMessage(uri) {
+    const [prefixCode, prefix] = URI_PREFIXES.find(([, value]) => uri.startsWith(value)) || [0x00, ''];
+    const payload = Buffer.concat([Buffer.from([prefixCode]), Buffer.from(uri.slice(prefix.length), 'utf8')]);
+    const type = Buffer.from('U');
+    const shortRecord = payload.length < 256;
+
+    // MB | ME | (SR) | TNF well-known
+    const header = 0x80 | 0x40 | (shortRecord ? 0x10 : 0) | 0x01;
+    const payloadLength = shortRecord
+      ? Buffer.from([payload.length])
+      : Buffer.from([(payload.length >>> 24) & 0xff, (payload.length >>> 16) & 0xff, (payload.length >>> 8) & 0xff, payload.length & 0xff]);
+
+    return Buffer.concat([Buffer.from([header, type.length]), payloadLength, type, payload]);
+  }
+
+  /**
+   * Wrap an NDEF message in the TLV block Type 2 tags (NTAG) expect in memory
+   */
+  static wrapTlv(message) {
+    const length = message.length < 0xff
+      ? Buffer.from([message.length])
+      : Buffer.from([0xff, (message.length >> 8) & 0xff, message.length & 0xff]);
+
+    return Buffer.concat([Buffer.from([0x03]), length, message, Buffer.from([0xfe])]);
+  }
+
+  /**
+   * Everything an encoder app or production line needs to write a code's chips
+   */
+  static getNdefPayload(code) {
+    const uri = this.getTagUrl(code);
+    const message = this.buildUriMessage(uri);
+    const tlv = this.wrapTlv(message);
+
+    return {
+      uri,
+      recordType: 'U',
+      ndefMessage: {
+        hex: message.toString('hex').toUpperCase(),
+        base64: message.toString('base64'),
+        bytes: message.length
+      },
+      type2Tlv: {
+        hex: tlv.toString('hex').toUpperCase(),
+        bytes: tlv.length
+      },
+      fitsOn: Object.keys(CHIP_CAPACITY).filter(chip => tlv.length <= CHIP_CAPACITY[chip])
+    };
+  }
+
+  /**
+   * Link a chip to a code. A chip belongs to one code at a time.
+   */
+  static async linkTag(code, uid, { label, userId } = {}) {
+    const normalized = this.normalizeUid(uid);
+    if (!this.isValidUid(normalized)) {
+      throw statusError('UID must be a 4, 7 or 10 byte hex value', 400);
+    }
+
+    const existing = await QRCodeModel.findOne({ 'nfcTags.uid': normalized }).select('code').lean();
+    if (existing) {
+      throw statusError(existing.code === code
+        ? 'This chip is already linked to this code'
+        : 'This chip is already linked to another code', 409);
+    }
+
+    let qrCode;
+    try {
+      qrCode = await QRCodeModel.findOneAndUpdate(
+        { code, [`nfcTags.${MAX_TAGS_PER_CODE - 1}`]: { $exists: false } },
+        { $push: { nfcTags: { uid: normalized, label, linkedAt: new Date(), linkedBy: userId } } },
+        { new: true }
+      ).select('code nfcTags');
+    } catch (error) {
+      // Linked elsewhere between the check above and this update
+      if (error.code === 11000) {
+        throw statusError('This chip is already linked to another code', 409);
+      }
+      throw error;
+    }
+
+    if (!qrCode) {
+      throw statusError(`A code can have at most ${MAX_TAGS_PER_CODE} NFC chips`, 409);
+    }
+
+    return qrCode;
+  }
+
+  /**
+   * Unlink a chip from a code
+   */
+  static async unlinkTag(code, uid) {
+    const normalized = this.normalizeUid(uid);
+    const qrCode = await QRCodeModel.findOneAndUpdate(
+      { code, 'nfcTags.uid': normalized },
+      { $pull: { nfcTags: { uid: normalized } } },
+      { new: true }
+    ).select('code nfcTags');
+
+    if (!qrCode) {
+      throw statusError('NFC chip not linked to this code', 404);
+    }
+
+    return qrCode;
+  }
+
+  /**
+   * Find the code a chip is linked to, with the same public data as a QR scan
+   */
+  static async getQRCodeByUid(uid) {
+    const normalized = this.normalizeUid(uid);
+    if (!this.isValidUid(normalized)) {
+      throw statusError('UID must be a 4, 7 or 10 byte hex value', 400);
+    }
+
+    const linked = await QRCodeModel.findOne({ 'nfcTags.uid': normalized }).select('code').lean();
+    if (!linked) {
+      throw statusError('No tag is linked to this NFC chip', 404);
+    }
+
+    return QRService.getQRCodeByCodePublic(linked.code);
+  }
+}
+
+module.exports = NfcService;
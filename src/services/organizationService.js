@@ -0,0 +1,175 @@
+const Organization = require('../models/Organization');
+const QRCodeModel = require('../models/QRCode');
+const User = require('../models/User');
+const QRService = require('./qrService');
+
+class OrganizationService {
+  /**
+   * Create a household or organization with the creator as its first owner
+   */
+  static async createOrganization(user, { name, kind }) {
+    try {
+      return await Organization.create({
+        name,
+        kind,
+        createdBy: user._id,
+        members: [{ user: user._id, role: 'owner', addedBy: user._id }]
+      });
+    } catch (error) {
+      throw new Error(`Failed to create organization: ${error.message}`);
+    }
+  }
+
+  /**
+   * List the groups a user belongs to along with their role in each
+   */
+  static async getUserOrganizations(userId) {
+    const organizations = await Organization.find({ 'members.user': userId })
+      .sort({ name: 1 });
+
+    return Promise.all(organizations.map(async organization => ({
+      id: organization._id,
+      name: organization.name,
+      kind: organization.kind,
+      role: organization.roleOf(userId),
+      memberCount: organization.members.length,
+      qrCodeCount: await QRCodeModel.countDocuments({ organization: organization._id })
+    })));
+  }
+
+  /**
+   * Load a group the user belongs to. Throws a status-coded error when the
+   * group doesn't exist, the user isn't a member, or their role is too low.
+   */
+  static async getForMember(organizationId, userId, allowedRoles = Organization.ROLES) {
+    const organization = await Organization.findById(organizationId);
+    const role = organization && organization.roleOf(userId);
+
+    if (!role) {
+      const error = new Error('Organization not found');
+      error.status = 404;
+      throw error;
+    }
+
+    if (!allowedRoles.includes(role)) {
+      const error = new Error('Your role in this organization does not allow this action');
+      error.status = 403;
+      throw error;
+    }
+
+    return organization;
+  }
+
+  /**
+   * Add an existing account to a group by email
+   */
+  static async addMember(organization, email, role, addedBy) {
+    const user = await User.findOne({ email: email.toLowerCase() }).select('name email');
+    if (!user) {
+      const error = new Error('No ScanBack account uses that email. Ask them to sign up first.');
+      error.status = 404;
+      throw error;
+    }
+
+    if (organization.roleOf(user._id)) {
+      const error = new Error('That person is already a member');
+      error.status = 400;
+      throw error;
+    }
+
+    organization.members.push({ user: user._id, role, addedBy: addedBy._id });
+    await organization.save();
+    return user;
+  }
+
+  /**
+   * Change a member's role, keeping at least one owner
+   */
+  static async updateMemberRole(organization, userId, role) {
+    const member = organization.members.find(m => m.user.toString() === userId.toString());
+    if (!member) {
+      const error = new Error('Member not found');
+      error.status = 404;
+      throw error;
+    }
+
+    if (member.role === 'owner' && role !== 'owner' && organization.ownerCount() === 1) {
+      const error = new Error('A group must keep at least one owner');
+      error.status = 400;
+      throw error;
+    }
+
+    const previousRole = member.role;
+    member.role = role;
+    await organization.save();
+    return previousRole;
+  }
+
+  /**
+   * Remove a member, keeping at least one owner
+   */
+  static async removeMember(organization, userId) {
+    const role = organization.roleOf(userId);
+    if (!role) {
+      const error = new Error('Member not found');
+      error.status = 404;
+      throw error;
+    }
+
+    if (role === 'owner' && organization.ownerCount() === 1) {
+      const error = new Error('A group must keep at least one owner');
+      error.status = 400;
+      throw error;
+    }
+
+    organization.members = organization.members.filter(m => m.user.toString() !== userId.toString());
+    await organization.save();
+    return role;
+  }
+
+  /**
+   * Delete a group. Its QR codes go back to being managed only by their owners.
+   */
+  static async deleteOrganization(organization) {
+    const qrCodes = await QRCodeModel.find({ organization: organization._id }).select('code').lean();
+
+    await QRCodeModel.updateMany(
+      { organization: organization._id },
+      { $unset: { organization: 1 } }
+    );
+    qrCodes.forEach(qrCode => QRService.clearCachedCode(qrCode.code));
+
+    await Organization.deleteOne({ _id: organization._id });
+  }
+
+  /**
+   * Everyone who should hear about activity on a QR code: its owner and,
+   * for shared codes, every member of its group
+   */
+  static async getNotificationRecipients(qrCode) {
+    const ownerId = qrCode.owner?._id || qrCode.owner;
+    if (!ownerId) {
+      return [];
+    }
+
+    const recipientIds = new Set([ownerId.toString()]);
+
+    if (qrCode.organization) {
+      const organization = await Organization.findById(qrCode.organization._id || qrCode.organization)
+        .select('members.user')
+        .lean();
+
+      (organization?.members || []).forEach(member => recipientIds.add(member.user.toString()));
+    }
+
+    const recipients = await User.find({ _id: { $in: [...recipientIds] }, status: { $nin: ['inactive', 'suspended'] } })
+      .select('name email profile.preferences');
+
+    // Owner first, so callers can single out their copy
+    return recipients.sort((a, b) =>
+      (b._id.toString() === ownerId.toString()) - (a._id.toString() === ownerId.toString())
+    );
+  }
+}
+
+module.exports = OrganizationService;
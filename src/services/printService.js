@@ -0,0 +1,261 @@
+const PDFDocument = require('pdfkit');
+const QRService = require('./qrService');
+const { PAPER_SIZES, PRINT_LAYOUTS, PRINT_LIMITS } = require('../config/printLayouts');
+
+const POINTS_PER_MM = 72 / 25.4;
+const PRINT_DPI = 300;
+
+// Crop marks sit this far outside the bleed and run this long (mm)
+const CROP_MARK_OFFSET = 0.5;
+const CROP_MARK_LENGTH = 2.5;
+
+// Keep text and QR this far inside the trim line (mm)
+const SAFE_PADDING = 2;
+
+const mm = (value) => value * POINTS_PER_MM;
+
+const statusError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+class PrintService {
+  /**
+   * Merge a layout's defaults with per-request overrides and check they make sense
+   */
+  static resolveOptions({ layout = 'label-sheet', paper = 'a4', width, height, bleed, cropMarks, background, showClaimPin = true } = {}) {
+    const preset = PRINT_LAYOUTS[layout];
+    if (!preset) {
+      throw statusError(`Layout must be one of: ${Object.keys(PRINT_LAYOUTS).join(', ')}`, 400);
+    }
+
+    if (!PAPER_SIZES[paper]) {
+      throw statusError(`Paper must be one of: ${Object.keys(PAPER_SIZES).join(', ')}`, 400);
+    }
+
+    const options = {
+      ...preset,
+      layout,
+      paper,
+      width: width !== undefined ? parseFloat(width) : preset.width,
+      height: height !== undefined ? parseFloat(height) : preset.height,
+      bleed: bleed !== undefined ? parseFloat(bleed) : preset.bleed,
+      cropMarks: cropMarks !== undefined ? cropMarks === true || cropMarks === 'true' : preset.cropMarks,
+      background: background !== undefined ? background : preset.background,
+      showClaimPin: showClaimPin === true || showClaimPin === 'true'
+    };
+
+    [options.width, options.height].forEach(size => {
+      if (!(size >= PRINT_LIMITS.minSize && size <= PRINT_LIMITS.maxSize)) {
+        throw statusError(`Tag width and height must be between ${PRINT_LIMITS.minSize} and ${PRINT_LIMITS.maxSize} mm`, 400);
+      }
+    });
+
+    if (!(options.bleed >= 0 && options.bleed <= PRINT_LIMITS.maxBleed)) {
+      throw statusError(`Bleed must be between 0 and ${PRINT_LIMITS.maxBleed} mm`, 400);
+    }
+
+    if (options.background && !/^#[0-9A-Fa-f]{6}$/.test(options.background)) {
+      throw statusError('Background must be a hex colour like #14B8A6', 400);
+    }
+
+    return options;
+  }
+
+  /**
+   * Work out how many tags fit on a page and where the first one goes
+   */
+  static computeGrid(options) {
+    const page = PAPER_SIZES[options.paper];
+    const markSpace = options.cropMarks ? CROP_MARK_OFFSET + CROP_MARK_LENGTH : 0;
+    const outer = options.bleed + markSpace;
+
+    const cellWidth = options.width + outer * 2;
+    const cellHeight = options.height + outer * 2;
+
+    const usableWidth = page.width - options.margin * 2;
+    const usableHeight = page.height - options.margin * 2;
+
+    const columns = Math.floor((usableWidth + options.gutter) / (cellWidth + options.gutter));
+    const rows = Math.floor((usableHeight + options.gutter) / (cellHeight + options.gutter));
+
+    if (columns < 1 || rows < 1) {
+      throw statusError('Tags of this size do not fit on the page', 400);
+    }
+
+    const gridWidth = columns * cellWidth + (columns - 1) * options.gutter;
+    const gridHeight = rows * cellHeight + (rows - 1) * options.gutter;
+
+    return {
+      page,
+      columns,
+      rows,
+      perPage: columns * rows,
+      cellWidth,
+      cellHeight,
+      outer,
+      // Centre the grid so uneven leftovers split evenly
+      originX: (page.width - gridWidth) / 2,
+      originY: (page.height - gridHeight) / 2
+    };
+  }
+
+  /**
+   * Render QR codes into a print-ready PDF. Each entry needs `code` and may
+   * carry `claimPin`. Returns the finished PDFKit document stream.
+   */
+  static async createTagSheet(qrCodes, printOptions = {}, info = {}) {
+    const options = this.resolveOptions(printOptions);
+    const grid = this.computeGrid(options);
+
+    const doc = new PDFDocument({
+      size: [mm(grid.page.width), mm(grid.page.height)],
+      margin: 0,
+      autoFirstPage: false,
+      info: {
+        Title: info.title || 'ScanBack tags',
+        Creator: 'ScanBack'
+      }
+    });
+
+    for (let i = 0; i < qrCodes.length; i++) {
+      const slot = i % grid.perPage;
+      if (slot === 0) {
+        doc.addPage();
+      }
+
+      const column = slot % grid.columns;
+      const row = Math.floor(slot / grid.columns);
+
+      // Top-left corner of the trim box
+      const x = grid.originX + column * (grid.cellWidth + options.gutter) + grid.outer;
+      const y = grid.originY + row * (grid.cellHeight + options.gutter) + grid.outer;
+
+      await this.drawTag(doc, qrCodes[i], x, y, options);
+    }
+
+    if (qrCodes.length === 0) {
+      doc.addPage();
+    }
+
+    doc.end();
+    return doc;
+  }
+
+  /**
+   * Draw one tag with its trim box at (x, y) mm
+   */
+  static async drawTag(doc, qrCode, x, y, options) {
+    const { width, height, bleed } = options;
+
+    // Coloured border running out into the bleed, with a white panel for the QR and text
+    if (options.background) {
+      doc.rect(mm(x - bleed), mm(y - bleed), mm(width + bleed * 2), mm(height + bleed * 2))
+        .fill(options.background);
+      doc.rect(mm(x + SAFE_PADDING / 2), mm(y + SAFE_PADDING / 2), mm(width - SAFE_PADDING), mm(height - SAFE_PADDING))
+        .fill('#FFFFFF');
+    }
+
+    if (options.cropMarks) {
+      this.drawCropMarks(doc, x, y, width, height, bleed);
+    }
+
+    const pin = options.showClaimPin && qrCode.claimPin ? this.formatClaimPin(qrCode.claimPin) : null;
+    const inner = {
+      x: x + SAFE_PADDING,
+      y: y + SAFE_PADDING,
+      width: width - SAFE_PADDING * 2,
+      height: height - SAFE_PADDING * 2
+    };
+
+    if (options.arrangement === 'side-by-side') {
+      const qrSize = Math.min(inner.height, inner.width / 2);
+      await this.drawQR(doc, qrCode.code, inner.x, inner.y + (inner.height - qrSize) / 2, qrSize);
+
+      const textX = inner.x + qrSize + SAFE_PADDING;
+      const textWidth = inner.width - qrSize - SAFE_PADDING;
+      let textY = inner.y + inner.height * 0.15;
+
+      doc.fillColor('#000000').font('Helvetica-Bold').fontSize(9)
+        .text('If found, please scan', mm(textX), mm(textY), { width: mm(textWidth) });
+      textY += 6;
+      doc.font('Helvetica').fontSize(7)
+        .text('ScanBack will put you in touch with the owner.', mm(textX), mm(textY), { width: mm(textWidth) });
+      textY += 10;
+      doc.font('Courier-Bold').fontSize(10)
+        .text(QRService.formatCode(qrCode.code), mm(textX), mm(textY), { width: mm(textWidth) });
+
+      if (pin) {
+        textY += 5;
+        doc.font('Courier').fontSize(7)
+          .text(`PIN ${pin}`, mm(textX), mm(textY), { width: mm(textWidth) });
+      }
+      return;
+    }
+
+    // Stacked: QR on top, code (and PIN) underneath
+    const codeFontSize = Math.max(5, Math.min(9, inner.width / 5));
+    const pinFontSize = codeFontSize * 0.8;
+    const textHeight = (codeFontSize + (pin ? pinFontSize : 0)) / POINTS_PER_MM * 1.2;
+
+    const qrSize = Math.min(inner.width, inner.height - textHeight);
+    await this.drawQR(doc, qrCode.code, inner.x + (inner.width - qrSize) / 2, inner.y, qrSize);
+
+    let textY = inner.y + qrSize + 0.5;
+    doc.fillColor('#000000').font('Courier-Bold').fontSize(codeFontSize)
+      .text(QRService.formatCode(qrCode.code), mm(inner.x), mm(textY), { width: mm(inner.width), align: 'center', lineBreak: false });
+
+    if (pin) {
+      textY += codeFontSize / POINTS_PER_MM * 1.1;
+      doc.font('Courier').fontSize(pinFontSize)
+        .text(`PIN ${pin}`, mm(inner.x), mm(textY), { width: mm(inner.width), align: 'center', lineBreak: false });
+    }
+  }
+
+  /**
+   * Place a QR image rendered at print resolution
+   */
+  static async drawQR(doc, code, x, y, size) {
+    const qrUrl = `${process.env.QR_CODE_BASE_URL || 'https://scanback.vercel.app/scan'}/${code}`;
+    const pixels = Math.ceil(size / 25.4 * PRINT_DPI);
+    const qrImageDataURL = await QRService.generateQRImage(qrUrl, { width: pixels, margin: 0 });
+
+    doc.image(Buffer.from(qrImageDataURL.split(',')[1], 'base64'), mm(x), mm(y), {
+      width: mm(size),
+      height: mm(size)
+    });
+  }
+
+  /**
+   * Draw corner crop marks just outside the bleed, lined up with the trim edges
+   */
+  static drawCropMarks(doc, x, y, width, height, bleed) {
+    const start = bleed + CROP_MARK_OFFSET;
+    const end = start + CROP_MARK_LENGTH;
+    const right = x + width;
+    const bottom = y + height;
+
+    doc.save().lineWidth(0.25).strokeColor('#000000');
+
+    [[x, -1], [right, 1]].forEach(([edgeX, dirX]) => {
+      [[y, -1], [bottom, 1]].forEach(([edgeY, dirY]) => {
+        // Vertical mark above or below the corner
+        doc.moveTo(mm(edgeX), mm(edgeY + dirY * start)).lineTo(mm(edgeX), mm(edgeY + dirY * end)).stroke();
+        // Horizontal mark beside the corner
+        doc.moveTo(mm(edgeX + dirX * start), mm(edgeY)).lineTo(mm(edgeX + dirX * end), mm(edgeY)).stroke();
+      });
+    });
+
+    doc.restore();
+  }
+
+  /**
+   * Group a claim PIN for reading aloud and typing: ABCD-EFGH
+   */
+  static formatClaimPin(pin) {
+    return pin.replace(/(.{4})(?=.)/g, '$1-');
+  }
+}
+
+module.exports = PrintService;
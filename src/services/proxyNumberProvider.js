@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+
+/**
+ * Rents masked phone numbers and carries calls and texts through them.
+ * Drivers implement:
+ *   allocate({ countryCode, exclude }) -> number (E.164), or null when none are free
+ *   release(number)                    -> void
+ *   sendSms({ from, to, body })        -> void
+ *   parseInbound(body)                 -> { from, to, text } from a call or SMS webhook
+ *   verifyInbound(req)                 -> whether a webhook really came from the carrier
+ *   connectCall({ from, to })          -> { contentType, body } answer that bridges the call
+ *   rejectCall(message)                -> { contentType, body } answer that plays a message and hangs up
+ *   acknowledgeSms()                   -> { contentType, body } empty answer to an SMS webhook
+ *
+ * `fake` hands out numbers from PROXY_NUMBER_POOL and records what it would
+ * have sent instead of calling a carrier, for tests and local development.
+ * Carriers are added with ProxyNumberProvider.registerDriver() and picked
+ * with PROXY_NUMBER_DRIVER.
+ */
+class FakeProxyNumberProvider {
+  constructor(pool) {
+    this.pool = pool;
+    this.sent = [];
+    this.calls = [];
+  }
+
+  async allocate({ exclude = [] } = {}) {
+    return this.pool.find(number => !exclude.includes(number)) || null;
+  }
+
+  async release() {}
+
+  async sendSms(message) {
+    this.sent.push({ ...message, sentAt: new Date() });
+  }
+
+  parseInbound(body) {
+    return { from: body.from, to: body.to, text: body.text };
+  }
+
+  // Same shared-secret check as the relay webhook; rejected when no secret is set
+  verifyInbound(req) {
+    const secret = process.env.PROXY_WEBHOOK_SECRET;
+    const provided = req.get('X-Proxy-Secret');
+    if (!secret || !provided) return false;
+
+    const [a, b] = [secret, String(provided)].map(value => crypto.createHash('sha256').update(value).digest());
+    return crypto.timingSafeEqual(a, b);
+  }
+
+  connectCall(call) {
+    this.calls.push({ ...call, connectedAt: new Date() });
+    return { contentType: 'application/json', body: JSON.stringify({ action: 'connect', ...call }) };
+  }
+
+  rejectCall(message) {
+    return { contentType: 'application/json', body: JSON.stringify({ action: 'reject', message }) };
+  }
+
+  acknowledgeSms() {
+    return { contentType: 'application/json', body: JSON.stringify({ action: 'ok' }) };
+  }
+}
+
+// Placeholder numbers (+1 500 555 0001 to 0010) when PROXY_NUMBER_POOL is unset
+const DEFAULT_FAKE_POOL = Array.from({ length: 10 }, (_, i) => `+1500555${String(i + 1).padStart(4, '0')}`);
+
+const drivers = {
+  fake: () => new FakeProxyNumberProvider(
+    process.env.PROXY_NUMBER_POOL
+      ? process.env.PROXY_NUMBER_POOL.split(',').map(number => number.trim()).filter(Boolean)
+      : DEFAULT_FAKE_POOL
+  )
+};
+
+let instance = null;
+
+class ProxyNumberProvider {
+  /**
+   * Make a driver available under a name
+   */
+  static registerDriver(name, factory) {
+    drivers[name] = factory;
+    instance = null;
+  }
+
+  /**
+   * The configured driver, created on first use
+   */
+  static driver() {
+    if (!instance) {
+      const name = process.env.PROXY_NUMBER_DRIVER || 'fake';
+      if (!drivers[name]) {
+        throw new Error(`Unknown proxy number driver: ${name}`);
+      }
+      instance = drivers[name]();
+    }
+    return instance;
+  }
+}
+
+ProxyNumberProvider.FakeProxyNumberProvider = FakeProxyNumberProvider;
+
+module.exports = ProxyNumberProvider;
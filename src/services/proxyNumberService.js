@@ -0,0 +1,267 @@
+const ProxySession = require('../models/ProxySession');
+const QRCodeModel = require('../models/QRCode');
+const ProxyNumberProvider = require('./proxyNumberProvider');
+
+const PROXY_SESSION_MAX_DAYS = parseInt(process.env.PROXY_SESSION_MAX_DAYS) || 14;
+const MAX_ALLOCATE_ATTEMPTS = 3;
+
+// What routing needs from the code, read fresh on every call or text
+const ROUTING_FIELDS = [
+  'code',
+  'status',
+  'foundBy.foundDate',
+  'contact.phone',
+  'contact.countryCode',
+  'contact.backupPhone',
+  'contact.backupCountryCode',
+  'settings.maskPhone',
+  'settings.useBackupNumber'
+].join(' ');
+
+class ProxyNumberService {
+  /**
+   * Phone number in E.164 form. Local numbers (0821234567) take the country code.
+   */
+  static toE164(phone, countryCode = '+27') {
+    const text = String(phone || '').trim();
+    const digits = text.replace(/\D/g, '');
+    if (!digits) return null;
+
+    if (text.startsWith('+')) return `+${digits}`;
+    if (text.startsWith('00')) return `+${digits.slice(2)}`;
+
+    return `+${String(countryCode || '+27').replace(/\D/g, '')}${digits.replace(/^0+/, '')}`;
+  }
+
+  /**
+   * Numbers the owner may call or text from: the contact phone, and the
+   * backup phone when the owner uses it
+   */
+  static getOwnerPhones(qrCode) {
+    const phones = [this.toE164(qrCode.contact?.phone, qrCode.contact?.countryCode)];
+    if (qrCode.settings?.useBackupNumber !== false) {
+      phones.push(this.toE164(qrCode.contact?.backupPhone, qrCode.contact?.backupCountryCode));
+    }
+    return phones.filter(Boolean);
+  }
+
+  /**
+   * Why a session should no longer route, or null while it still should
+   */
+  static getEndReason(session, qrCode) {
+    if (!qrCode) return 'deleted';
+    if (qrCode.status !== 'found' ||
+      qrCode.foundBy?.foundDate?.getTime() !== session.foundDate.getTime()) return 'not_found';
+    if (!qrCode.settings?.maskPhone) return 'masking_off';
+    if (session.expiresAt <= new Date()) return 'expired';
+    return null;
+  }
+
+  /**
+   * Lend a masked number to a code that has just been reported found.
+   * Returns null when masking is off, the finder left no phone or no number is free.
+   */
+  static async startSession(qrCode) {
+    if (!qrCode.settings?.maskPhone || qrCode.status !== 'found') {
+      return null;
+    }
+
+    const finderPhone = this.toE164(qrCode.foundBy?.finderPhone, qrCode.contact?.countryCode);
+    if (!finderPhone) {
+      return null;
+    }
+
+    // A number left over from an earlier episode goes back first
+    await this.endSessions(qrCode._id, 'not_found');
+
+    const provider = ProxyNumberProvider.driver();
+
+    for (let attempt = 1; attempt <= MAX_ALLOCATE_ATTEMPTS; attempt++) {
+      const exclude = await ProxySession.find({ status: 'active' }).distinct('proxyNumber');
+      const proxyNumber = await provider.allocate({ countryCode: qrCode.contact?.countryCode, exclude });
+      if (!proxyNumber) {
+        console.log('⚠️ No proxy numbers free for', qrCode.code);
+        return null;
+      }
+
+      try {
+        return await ProxySession.create({
+          qrCode: qrCode._id,
+          code: qrCode.code,
+          proxyNumber,
+          finderPhone,
+          foundDate: qrCode.foundBy.foundDate,
+          expiresAt: new Date(Date.now() + PROXY_SESSION_MAX_DAYS * 24 * 60 * 60 * 1000)
+        });
+      } catch (error) {
+        // Another found report took the same number first; pick again
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * The session matching a filter together with its code, if it should still
+   * route. Sessions that shouldn't are ended on the way.
+   */
+  static async loadLive(filter) {
+    const session = await ProxySession.findOne({ ...filter, status: 'active' });
+    if (!session) {
+      return null;
+    }
+
+    const qrCode = await QRCodeModel.findById(session.qrCode).select(ROUTING_FIELDS).lean();
+    const reason = this.getEndReason(session, qrCode);
+    if (reason) {
+      await this.endSession(session, reason);
+      return null;
+    }
+
+    return { session, qrCode };
+  }
+
+  /**
+   * The live session for a code, or null
+   */
+  static async getActiveSession(qrCodeId) {
+    const live = await this.loadLive({ qrCode: qrCodeId });
+    return live ? live.session : null;
+  }
+
+  /**
+   * Stop routing a number and hand it back to the provider
+   */
+  static async endSession(session, reason) {
+    const ended = await ProxySession.findOneAndUpdate(
+      { _id: session._id, status: 'active' },
+      { $set: { status: 'ended', endedAt: new Date(), endReason: reason } },
+      { new: true }
+    );
+
+    // Already ended by someone else
+    if (!ended) {
+      return;
+    }
+
+    try {
+      await ProxyNumberProvider.driver().release(ended.proxyNumber);
+    } catch (error) {
+      console.error('Failed to release proxy number:', error);
+    }
+  }
+
+  /**
+   * End every live session on a code, e.g. once it leaves 'found'
+   */
+  static async endSessions(qrCodeId, reason) {
+    const sessions = await ProxySession.find({ qrCode: qrCodeId, status: 'active' });
+    for (const session of sessions) {
+      await this.endSession(session, reason);
+    }
+  }
+
+  /**
+   * End sessions whose code has left 'found', turned masking off, been
+   * deleted or run out of time. Calls check this too; the sweep frees numbers.
+   */
+  static async expireStale() {
+    const cursor = ProxySession.find({ status: 'active' }).cursor();
+    let checked = 0;
+    let ended = 0;
+
+    for await (const session of cursor) {
+      checked++;
+      const qrCode = await QRCodeModel.findById(session.qrCode).select(ROUTING_FIELDS).lean();
+      const reason = this.getEndReason(session, qrCode);
+      if (reason) {
+        await this.endSession(session, reason);
+        ended++;
+      }
+    }
+
+    return { checked, ended };
+  }
+
+  /**
+   * Who a caller or texter on a masked number should reach: the finder for the
+   * owner, the owner for the finder, nobody for anyone else
+   */
+  static getCounterpart({ session, qrCode }, from) {
+    const caller = this.toE164(from, qrCode.contact?.countryCode);
+    const ownerPhones = this.getOwnerPhones(qrCode);
+
+    if (ownerPhones.includes(caller)) {
+      return session.finderPhone;
+    }
+    if (caller === session.finderPhone) {
+      return ownerPhones[0] || null;
+    }
+    return null;
+  }
+
+  /**
+   * Count a call or text on the session
+   */
+  static async recordActivity(session, counter) {
+    await ProxySession.updateOne(
+      { _id: session._id },
+      { $inc: { [counter]: 1 }, $set: { lastActivityAt: new Date() } }
+    );
+  }
+
+  /**
+   * Answer a call to a masked number. The other side sees the masked number as caller ID.
+   */
+  static async routeCall({ from, to }) {
+    const provider = ProxyNumberProvider.driver();
+
+    const live = await this.loadLive({ proxyNumber: this.toE164(to) });
+    if (!live) {
+      return provider.rejectCall('This number is no longer in use.');
+    }
+
+    const target = this.getCounterpart(live, from);
+    if (!target) {
+      return provider.rejectCall('This number only connects the finder and the owner of a ScanBack tag.');
+    }
+
+    await this.recordActivity(live.session, 'callCount');
+    return provider.connectCall({ from: live.session.proxyNumber, to: target });
+  }
+
+  /**
+   * Pass a text to a masked number on to the other side. Texts from anyone
+   * else, or to a number no longer in use, are dropped.
+   */
+  static async routeSms({ from, to, text }) {
+    const provider = ProxyNumberProvider.driver();
+
+    const live = await this.loadLive({ proxyNumber: this.toE164(to) });
+    const target = live && this.getCounterpart(live, from);
+
+    if (target && text) {
+      await provider.sendSms({ from: live.session.proxyNumber, to: target, body: text });
+      await this.recordActivity(live.session, 'smsCount');
+    }
+
+    return provider.acknowledgeSms();
+  }
+
+  /**
+   * What the owner sees about a code's masked number
+   */
+  static toOwnerView(session) {
+    return {
+      proxyNumber: session.proxyNumber,
+      startedAt: session.createdAt,
+      expiresAt: session.expiresAt,
+      callCount: session.callCount,
+      smsCount: session.smsCount,
+      lastActivityAt: session.lastActivityAt
+    };
+  }
+}
+
+module.exports = ProxyNumberService;
@@ -0,0 +1,317 @@
+const sharp = require('sharp');
+const QRCode = require('qrcode');
+const QRDesign = require('../models/QRDesign');
+const QRCodeModel = require('../models/QRCode');
+const Batch = require('../models/Batch');
+const User = require('../models/User');
+const QRService = require('./qrService');
+
+// Below these contrast ratios phone cameras start missing modules or readers miss the text
+const MIN_QR_CONTRAST = 4;
+const MIN_FRAME_CONTRAST = 3;
+
+const LOGO_MAX_PIXELS = 512;
+const LOGO_FORMATS = ['png', 'jpeg', 'webp', 'svg'];
+
+// Quiet zone around designed codes, in modules
+const DESIGN_MARGIN = 2;
+
+const HEX_COLOR = /^#[0-9A-Fa-f]{6}$/;
+
+const statusError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const escapeXML = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+class QRDesignService {
+  /**
+   * WCAG relative luminance of a #RRGGBB colour
+   */
+  static luminance(hex) {
+    const [r, g, b] = [1, 3, 5].map(i => {
+      const channel = parseInt(hex.slice(i, i + 2), 16) / 255;
+      return channel <= 0.03928 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  }
+
+  /**
+   * WCAG contrast ratio between two colours (1 to 21)
+   */
+  static contrastRatio(a, b) {
+    const [lighter, darker] = [this.luminance(a), this.luminance(b)].sort((x, y) => y - x);
+    return (lighter + 0.05) / (darker + 0.05);
+  }
+
+  /**
+   * Reject colour choices that would make the code hard to scan or the frame hard to read
+   */
+  static checkScannability({ colors = {}, frame = {} }) {
+    const dark = colors.dark || '#000000';
+    const light = colors.light || '#FFFFFF';
+
+    [dark, light, frame.color, frame.textColor].filter(Boolean).forEach(color => {
+      if (!HEX_COLOR.test(color)) {
+        throw statusError(`Colours must be hex values like #000000 (got ${color})`, 400);
+      }
+    });
+
+    if (this.luminance(dark) >= this.luminance(light)) {
+      throw statusError('The dark colour must be darker than the light colour; many phones cannot read inverted codes', 400);
+    }
+
+    const ratio = this.contrastRatio(dark, light);
+    if (ratio < MIN_QR_CONTRAST) {
+      throw statusError(`Contrast between dark and light is ${ratio.toFixed(2)}:1; at least ${MIN_QR_CONTRAST}:1 is needed to scan reliably`, 400);
+    }
+
+    if (frame.text) {
+      const frameRatio = this.contrastRatio(frame.color || '#14B8A6', frame.textColor || '#FFFFFF');
+      if (frameRatio < MIN_FRAME_CONTRAST) {
+        throw statusError(`Frame text contrast is ${frameRatio.toFixed(2)}:1; at least ${MIN_FRAME_CONTRAST}:1 is needed`, 400);
+      }
+    }
+  }
+
+  /**
+   * Check an uploaded logo and store it as a PNG no larger than needed
+   */
+  static async prepareLogo(file) {
+    let metadata;
+    try {
+      metadata = await sharp(file.buffer).metadata();
+    } catch (error) {
+      throw statusError('Logo must be a PNG, JPEG, WebP or SVG image', 400);
+    }
+
+    if (!LOGO_FORMATS.includes(metadata.format)) {
+      throw statusError('Logo must be a PNG, JPEG, WebP or SVG image', 400);
+    }
+
+    const data = await sharp(file.buffer)
+      .resize(LOGO_MAX_PIXELS, LOGO_MAX_PIXELS, { fit: 'inside', withoutEnlargement: true })
+      .png()
+      .toBuffer();
+
+    return { data, contentType: 'image/png' };
+  }
+
+  /**
+   * Apply posted fields (and an optional logo upload) to a design
+   */
+  static async applyChanges(design, fields, logoFile, { removeLogo = false } = {}) {
+    if (fields.name !== undefined) design.name = fields.name;
+    if (fields.moduleStyle !== undefined) design.moduleStyle = fields.moduleStyle;
+    if (fields.errorCorrectionLevel !== undefined) design.errorCorrectionLevel = fields.errorCorrectionLevel;
+
+    ['dark', 'light'].forEach(key => {
+      if (fields[key] !== undefined) design.colors[key] = fields[key];
+    });
+
+    if (fields.frameText !== undefined) design.frame.text = fields.frameText;
+    if (fields.frameColor !== undefined) design.frame.color = fields.frameColor;
+    if (fields.frameTextColor !== undefined) design.frame.textColor = fields.frameTextColor;
+
+    if (removeLogo) {
+      design.logo = { scale: design.logo?.scale };
+    }
+
+    if (logoFile) {
+      const logo = await this.prepareLogo(logoFile);
+      design.logo.data = logo.data;
+      design.logo.contentType = logo.contentType;
+    }
+
+    if (fields.logoScale !== undefined) design.logo.scale = parseFloat(fields.logoScale);
+
+    this.checkScannability({ colors: design.colors, frame: design.frame });
+
+    // A logo hides modules; only the highest level recovers enough of them
+    if (design.hasLogo()) {
+      design.errorCorrectionLevel = 'H';
+    }
+
+    try {
+      await design.save();
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        throw statusError(error.message, 400);
+      }
+      throw error;
+    }
+    return design;
+  }
+
+  /**
+   * Create a design template
+   */
+  static async createDesign(admin, fields, logoFile) {
+    const design = new QRDesign({ name: fields.name, createdBy: admin._id });
+    return this.applyChanges(design, fields, logoFile);
+  }
+
+  /**
+   * Delete a design and clear every assignment that points at it
+   */
+  static async deleteDesign(designId) {
+    const design = await QRDesign.findByIdAndDelete(designId);
+    if (!design) {
+      throw statusError('Design not found', 404);
+    }
+
+    await Promise.all([
+      User.updateMany({ design: design._id }, { $unset: { design: 1 } }),
+      Batch.updateMany({ design: design._id }, { $unset: { design: 1 } }),
+      QRCodeModel.updateMany({ design: design._id }, { $unset: { design: 1 } })
+    ]);
+
+    return design;
+  }
+
+  /**
+   * Assign a design (or null to clear it) to users, batches and individual codes
+   */
+  static async assign(designId, { userIds = [], batchIds = [], codes = [] }) {
+    if (designId && !(await QRDesign.exists({ _id: designId }))) {
+      throw statusError('Design not found', 404);
+    }
+
+    [userIds, batchIds, codes] = [userIds, batchIds, codes].map(list => [].concat(list || []));
+
+    const update = designId ? { $set: { design: designId } } : { $unset: { design: 1 } };
+
+    const [users, batches, qrCodes] = await Promise.all([
+      userIds.length ? User.updateMany({ _id: { $in: userIds } }, update) : { modifiedCount: 0 },
+      batchIds.length ? Batch.updateMany({ _id: { $in: batchIds } }, update) : { modifiedCount: 0 },
+      codes.length ? QRCodeModel.updateMany({ code: { $in: codes } }, update) : { modifiedCount: 0 }
+    ]);
+
+    return {
+      users: users.modifiedCount,
+      batches: batches.modifiedCount,
+      qrCodes: qrCodes.modifiedCount
+    };
+  }
+
+  /**
+   * Find the design that applies to a code: its own, then its batch's, then its owner's
+   */
+  static async resolveDesign(qrCode) {
+    let designId = qrCode.design;
+
+    if (!designId && qrCode.batch) {
+      const batch = await Batch.findById(qrCode.batch).select('design').lean();
+      designId = batch?.design;
+    }
+
+    if (!designId && qrCode.owner) {
+      const owner = await User.findById(qrCode.owner._id || qrCode.owner).select('design').lean();
+      designId = owner?.design;
+    }
+
+    if (!designId) {
+      return null;
+    }
+
+    return QRDesign.findById(designId).select('+logo.data');
+  }
+
+  /**
+   * Render a branded PNG: coloured (optionally rounded) modules, centre logo and frame text
+   */
+  static async renderPNG(data, design, { width }) {
+    const ecl = design.hasLogo() ? 'H' : design.errorCorrectionLevel;
+    const { dark, light } = design.colors;
+
+    let base;
+    if (design.moduleStyle === 'rounded') {
+      base = await sharp(Buffer.from(this.roundedModulesSVG(data, ecl, dark, light, width))).png().toBuffer();
+    } else {
+      const qrImageDataURL = await QRService.generateQRImage(data, {
+        width,
+        margin: DESIGN_MARGIN,
+        errorCorrectionLevel: ecl,
+        color: { dark, light }
+      });
+      base = Buffer.from(qrImageDataURL.split(',')[1], 'base64');
+    }
+
+    const { width: size } = await sharp(base).metadata();
+    let image = sharp(base);
+
+    if (design.hasLogo()) {
+      const logoSize = Math.round(size * design.logo.scale);
+      const padding = Math.round(logoSize * 0.12);
+      const plate = logoSize + padding * 2;
+
+      const logo = await sharp(design.logo.data)
+        .resize(logoSize, logoSize, { fit: 'contain', background: light })
+        .png()
+        .toBuffer();
+
+      image = sharp(await image.composite([
+        {
+          input: { create: { width: plate, height: plate, channels: 4, background: light } },
+          top: Math.round((size - plate) / 2),
+          left: Math.round((size - plate) / 2)
+        },
+        {
+          input: logo,
+          top: Math.round((size - logoSize) / 2),
+          left: Math.round((size - logoSize) / 2)
+        }
+      ]).png().toBuffer());
+    }
+
+    if (design.frame?.text) {
+      const border = Math.max(4, Math.round(size * 0.04));
+      const band = Math.round(size * 0.16);
+      const fontSize = Math.round(band * 0.45);
+
+      const caption = Buffer.from(
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${size + border * 2}" height="${band}">` +
+        `<text x="50%" y="50%" dominant-baseline="middle" text-anchor="middle" ` +
+        `font-family="Helvetica, Arial, sans-serif" font-weight="bold" font-size="${fontSize}" ` +
+        `fill="${design.frame.textColor}">${escapeXML(design.frame.text)}</text></svg>`
+      );
+
+      image = sharp(await image
+        .extend({ top: border, left: border, right: border, bottom: band, background: design.frame.color })
+        .png()
+        .toBuffer()
+      ).composite([{ input: caption, top: size + border, left: 0 }]);
+    }
+
+    return image.png().toBuffer();
+  }
+
+  /**
+   * SVG of the code with each dark module drawn as a rounded square
+   */
+  static roundedModulesSVG(data, ecl, dark, light, width) {
+    const { modules } = QRCode.create(data, { errorCorrectionLevel: ecl });
+    const total = modules.size + DESIGN_MARGIN * 2;
+    const rects = [];
+
+    for (let row = 0; row < modules.size; row++) {
+      for (let col = 0; col < modules.size; col++) {
+        if (modules.get(row, col)) {
+          rects.push(`<rect x="${col + DESIGN_MARGIN}" y="${row + DESIGN_MARGIN}" width="1" height="1" rx="0.35"/>`);
+        }
+      }
+    }
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${width}" viewBox="0 0 ${total} ${total}">` +
+      `<rect width="${total}" height="${total}" fill="${light}"/>` +
+      `<g fill="${dark}">${rects.join('')}</g></svg>`;
+  }
+}
+
+module.exports = QRDesignService;
@@ -0,0 +1,355 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const PDFDocument = require('pdfkit');
+const QRDesignService = require('./qrDesignService');
+const BlobStore = require('./blobStore');
+
+const POINTS_PER_MM = 72 / 25.4;
+
+const FORMATS = {
+  png: 'image/png',
+  svg: 'image/svg+xml',
+  pdf: 'application/pdf',
+  eps: 'application/postscript'
+};
+
+const DEFAULTS = {
+  format: 'png',
+  size: 30, // mm
+  dpi: 300,
+  margin: 1, // modules
+  ecl: 'M',
+  dark: '#000000',
+  light: '#FFFFFF'
+};
+
+const LIMITS = {
+  minSize: 5,
+  maxSize: 500,
+  minDpi: 72,
+  maxDpi: 1200,
+  maxMargin: 10,
+  maxPixels: 6000
+};
+
+// Rendered images, keyed by code and options (1 hour TTL, bounded)
+const renderCache = new Map();
+const RENDER_CACHE_TTL = 60 * 60 * 1000;
+const RENDER_CACHE_MAX_ENTRIES = 500;
+
+const statusError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const HEX_COLOR = /^#[0-9A-Fa-f]{6}([0-9A-Fa-f]{2})?$/;
+
+class QRRenderService {
+  /**
+   * Parse and check image options from a query string
+   */
+  static normalizeOptions(query = {}) {
+    const options = {
+      format: (query.format || DEFAULTS.format).toLowerCase(),
+      size: query.size !== undefined ? parseFloat(query.size) : DEFAULTS.size,
+      dpi: query.dpi !== undefined ? parseInt(query.dpi) : DEFAULTS.dpi,
+      margin: query.margin !== undefined ? parseInt(query.margin) : DEFAULTS.margin,
+      ecl: (query.ecl || DEFAULTS.ecl).toUpperCase(),
+      dark: query.dark || DEFAULTS.dark,
+      light: query.light === 'transparent' ? '#FFFFFF00' : (query.light || DEFAULTS.light)
+    };
+
+    if (!FORMATS[options.format]) {
+      throw statusError(`Format must be one of: ${Object.keys(FORMATS).join(', ')}`, 400);
+    }
+
+    if (!(options.size >= LIMITS.minSize && options.size <= LIMITS.maxSize)) {
+      throw statusError(`Size must be between ${LIMITS.minSize} and ${LIMITS.maxSize} mm`, 400);
+    }
+
+    if (!(options.dpi >= LIMITS.minDpi && options.dpi <= LIMITS.maxDpi)) {
+      throw statusError(`DPI must be between ${LIMITS.minDpi} and ${LIMITS.maxDpi}`, 400);
+    }
+
+    if (!(options.margin >= 0 && options.margin <= LIMITS.maxMargin)) {
+      throw statusError(`Margin must be between 0 and ${LIMITS.maxMargin} modules`, 400);
+    }
+
+    if (!['L', 'M', 'Q', 'H'].includes(options.ecl)) {
+      throw statusError('Error correction level must be L, M, Q or H', 400);
+    }
+
+    if (!HEX_COLOR.test(options.dark) || !HEX_COLOR.test(options.light)) {
+      throw statusError('Colours must be hex values like #000000 (light may also be "transparent")', 400);
+    }
+
+    if (this.pixelWidth(options) > LIMITS.maxPixels) {
+      throw statusError(`Size and DPI together exceed ${LIMITS.maxPixels} pixels. Use svg, pdf or eps for large output.`, 400);
+    }
+
+    return options;
+  }
+
+  /**
+   * Raster width for a physical size at a given DPI
+   */
+  static pixelWidth({ size, dpi }) {
+    return Math.round(size / 25.4 * dpi);
+  }
+
+  /**
+   * Cache key for an image: the data plus every option that changes the output
+   */
+  static cacheKey(data, options) {
+    const parts = [data, options.format, options.size, options.margin, options.ecl, options.dark, options.light];
+    if (options.format === 'png') parts.push(options.dpi);
+    if (options.design) parts.push(options.design._id, options.design.updatedAt?.getTime());
+    return crypto.createHash('sha1').update(parts.join('|')).digest('hex');
+  }
+
+  /**
+   * Whether these are the default plain PNG options. Only those renders are
+   * kept in the blob store, so arbitrary query strings can't fill the disk.
+   */
+  static isStandard(options) {
+    return !options.design && Object.keys(DEFAULTS).every(key => options[key] === DEFAULTS[key]);
+  }
+
+  /**
+   * Render (or fetch from cache) a QR image. Returns { buffer, contentType, etag }.
+   * Pass options.design to render a branded PNG.
+   */
+  static async render(data, options) {
+    const key = this.cacheKey(data, options);
+    const cached = renderCache.get(key);
+
+    if (cached && (Date.now() - cached.timestamp) < RENDER_CACHE_TTL) {
+      return cached.data;
+    }
+
+    const blobKey = this.isStandard(options) ? `qr-images/${key}.png` : null;
+    let buffer = blobKey ? await this.readStored(blobKey) : null;
+
+    if (!buffer) {
+      buffer = await this.renderBuffer(data, options);
+      if (blobKey) {
+        await this.store(blobKey, buffer);
+      }
+    }
+
+    const result = { buffer, contentType: FORMATS[options.format], etag: `"${key}"` };
+
+    this.cleanupCache();
+    renderCache.set(key, { data: result, timestamp: Date.now() });
+
+    return result;
+  }
+
+  /**
+   * Render an image in the requested format
+   */
+  static async renderBuffer(data, options) {
+    let buffer;
+    switch (options.format) {
+      case 'svg':
+        buffer = Buffer.from(await this.renderSVG(data, options));
+        break;
+      case 'pdf':
+        buffer = await this.renderPDF(data, options);
+        break;
+      case 'eps':
+        buffer = Buffer.from(this.renderEPS(data, options));
+        break;
+      default:
+        if (options.design) {
+          buffer = await QRDesignService.renderPNG(data, options.design, { width: this.pixelWidth(options) });
+          break;
+        }
+
+        buffer = await QRCode.toBuffer(data, {
+          type: 'png',
+          width: this.pixelWidth(options),
+          margin: options.margin,
+          errorCorrectionLevel: options.ecl,
+          color: { dark: options.dark, light: options.light }
+        });
+    }
+
+    return buffer;
+  }
+
+  /**
+   * Remove the stored standard render for a code that no longer exists
+   */
+  static async deleteStored(data) {
+    const key = this.cacheKey(data, this.normalizeOptions());
+    try {
+      await BlobStore.delete(`qr-images/${key}.png`);
+    } catch (error) {
+      console.error('Blob store delete error:', error.message);
+    }
+  }
+
+  /**
+   * Read a stored render; a broken store only costs a re-render
+   */
+  static async readStored(blobKey) {
+    try {
+      return await BlobStore.get(blobKey);
+    } catch (error) {
+      console.error('Blob store read error:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Keep a render in the blob store for other instances and restarts
+   */
+  static async store(blobKey, buffer) {
+    try {
+      await BlobStore.put(blobKey, buffer);
+    } catch (error) {
+      console.error('Blob store write error:', error.message);
+    }
+  }
+
+  /**
+   * SVG sized in millimetres so it prints at the requested size
+   */
+  static async renderSVG(data, options) {
+    const svg = await QRCode.toString(data, {
+      type: 'svg',
+      margin: options.margin,
+      errorCorrectionLevel: options.ecl,
+      color: { dark: options.dark, light: options.light }
+    });
+
+    return svg.replace('<svg ', `<svg width="${options.size}mm" height="${options.size}mm" `);
+  }
+
+  /**
+   * The QR matrix as runs of dark modules per row: [{ row, col, length }]
+   */
+  static darkRuns(data, ecl) {
+    const { modules } = QRCode.create(data, { errorCorrectionLevel: ecl });
+    const runs = [];
+
+    for (let row = 0; row < modules.size; row++) {
+      let start = null;
+      for (let col = 0; col <= modules.size; col++) {
+        const dark = col < modules.size && modules.get(row, col);
+        if (dark && start === null) {
+          start = col;
+        } else if (!dark && start !== null) {
+          runs.push({ row, col: start, length: col - start });
+          start = null;
+        }
+      }
+    }
+
+    return { size: modules.size, runs };
+  }
+
+  /**
+   * Vector PDF page exactly the size of the code
+   */
+  static renderPDF(data, options) {
+    const { size, runs } = this.darkRuns(data, options.ecl);
+    const total = size + options.margin * 2;
+    const pageSize = options.size * POINTS_PER_MM;
+    const module = pageSize / total;
+
+    const doc = new PDFDocument({ size: [pageSize, pageSize], margin: 0, info: { Creator: 'ScanBack' } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const done = new Promise((resolve, reject) => {
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+    });
+
+    const light = this.parseColor(options.light);
+    if (light.alpha > 0) {
+      doc.rect(0, 0, pageSize, pageSize).fillOpacity(light.alpha).fill(light.hex);
+    }
+
+    const dark = this.parseColor(options.dark);
+    runs.forEach(({ row, col, length }) => {
+      doc.rect((col + options.margin) * module, (row + options.margin) * module, length * module, module);
+    });
+    doc.fillOpacity(dark.alpha).fill(dark.hex);
+
+    doc.end();
+    return done;
+  }
+
+  /**
+   * Encapsulated PostScript for engraving and sign-making software
+   */
+  static renderEPS(data, options) {
+    const { size, runs } = this.darkRuns(data, options.ecl);
+    const total = size + options.margin * 2;
+    const pageSize = options.size * POINTS_PER_MM;
+    const module = pageSize / total;
+    const toRGB = ({ hex }) => [1, 3, 5]
+      .map(i => (parseInt(hex.slice(i, i + 2), 16) / 255).toFixed(3))
+      .join(' ');
+
+    const light = this.parseColor(options.light);
+    const dark = this.parseColor(options.dark);
+    const bounds = Math.ceil(pageSize);
+
+    const lines = [
+      '%!PS-Adobe-3.0 EPSF-3.0',
+      `%%BoundingBox: 0 0 ${bounds} ${bounds}`,
+      `%%HiResBoundingBox: 0 0 ${pageSize.toFixed(3)} ${pageSize.toFixed(3)}`,
+      '%%Creator: ScanBack',
+      '%%EndComments',
+      '/m { newpath moveto dup 0 rlineto 0 ' + (-module).toFixed(4) + ' rlineto neg 0 rlineto closepath fill } bind def'
+    ];
+
+    // EPS has no transparency, so a transparent background is simply left out
+    if (light.alpha > 0) {
+      lines.push(`${toRGB(light)} setrgbcolor`);
+      lines.push(`0 0 ${pageSize.toFixed(3)} ${pageSize.toFixed(3)} rectfill`);
+    }
+
+    lines.push(`${toRGB(dark)} setrgbcolor`);
+    runs.forEach(({ row, col, length }) => {
+      // PostScript's origin is bottom-left
+      const x = (col + options.margin) * module;
+      const y = pageSize - (row + options.margin) * module;
+      lines.push(`${(length * module).toFixed(4)} ${x.toFixed(4)} ${y.toFixed(4)} m`);
+    });
+
+    lines.push('showpage', '%%EOF');
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Split #RRGGBB or #RRGGBBAA into a hex colour and an opacity
+   */
+  static parseColor(value) {
+    const alpha = value.length === 9 ? parseInt(value.slice(7, 9), 16) / 255 : 1;
+    return { hex: value.slice(0, 7), alpha };
+  }
+
+  /**
+   * Drop expired renders, then the oldest ones if the cache is full
+   */
+  static cleanupCache() {
+    const now = Date.now();
+    for (const [key, value] of renderCache.entries()) {
+      if (now - value.timestamp > RENDER_CACHE_TTL) {
+        renderCache.delete(key);
+      }
+    }
+
+    // Maps iterate in insertion order, so the first keys are the oldest
+    while (renderCache.size >= RENDER_CACHE_MAX_ENTRIES) {
+      renderCache.delete(renderCache.keys().next().value);
+    }
+  }
+}
+
+module.exports = QRRenderService;
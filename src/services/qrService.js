@@ -1,13 +1,40 @@
+const crypto = require('crypto');
 const QRCode = require('qrcode');
-const { v4: uuidv4 } = require('uuid');
 const QRCodeModel = require('../models/QRCode');
 const User = require('../models/User');
+const ScanEvent = require('../models/ScanEvent');
+const RelayThread = require('../models/RelayThread');
+const { toGeoPoint } = require('../models/geoPoint');
+const ProxyNumberService = require('./proxyNumberService');
+const Organization = require('../models/Organization');
 
 // Aggressive in-memory cache for QR codes (10 minute TTL)
 const qrCache = new Map();
 const CACHE_TTL = 10 * 60 * 1000; // 10 minutes
 const POPULAR_CODES = ['1722986DCAA8']; // Preload popular codes
 
+// Wrong guesses allowed before a contact update OTP is thrown away
+const MAX_UPDATE_OTP_ATTEMPTS = 5;
+
+// Short codes: no 0/O or 1/I so a worn tag can be read aloud and typed.
+// 32 characters, so each one carries 5 bits; 9 random characters plus a
+// check character, shown as two groups of five.
+const CODE_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+const CODE_RANDOM_LENGTH = 9;
+const MAX_CODE_ATTEMPTS = 5;
+
+// Details a finder may see; serial numbers, value and purchase dates stay with the owner
+const PUBLIC_DETAIL_FIELDS = [
+  'name', 'description', 'image', 'category', 'color', 'brand', 'model',
+  // Pet specific fields
+  'emergencyDetails', 'pedigreeInfo', 'microchipId', 'breed', 'age', 'registrationNumber', 'breederInfo',
+  // Emergency Details fields
+  'medicalNotes', 'vetName', 'vetPhone', 'vetCountryCode', 'emergencyContact', 'emergencyCountryCode',
+  'medicalAidProvider', 'medicalAidNumber', 'bloodType', 'allergies', 'medications', 'organDonor', 'iceNote',
+  'emergencyContact1Name', 'emergencyContact1Phone', 'emergencyContact1CountryCode',
+  'emergencyContact2Name', 'emergencyContact2Phone', 'emergencyContact2CountryCode'
+];
+
 // Request queue to handle concurrent requests efficiently
 const requestQueue = new Map(); // Map of code -> Promise to avoid duplicate requests
 
@@ -40,10 +67,111 @@ class QRService {
   }
 
   /**
-   * Generate a unique QR code
+   * Generate a random short code ending in a check character. Uniqueness is
+   * enforced by the index; callers retry with a new code on collision.
    */
   static generateUniqueCode() {
-    return uuidv4().replace(/-/g, '').substring(0, 12).toUpperCase();
+    let code = '';
+    for (let i = 0; i < CODE_RANDOM_LENGTH; i++) {
+      code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+    }
+    return code + this.checkCharacter(code);
+  }
+
+  /**
+   * Luhn mod 32 check character: catches any single mistyped character and
+   * most swaps of neighbouring characters
+   */
+  static checkCharacter(payload) {
+    const n = CODE_ALPHABET.length;
+    let sum = 0;
+    let factor = 2;
+
+    for (let i = payload.length - 1; i >= 0; i--) {
+      const addend = factor * CODE_ALPHABET.indexOf(payload[i]);
+      sum += Math.floor(addend / n) + (addend % n);
+      factor = factor === 2 ? 1 : 2;
+    }
+
+    return CODE_ALPHABET[(n - (sum % n)) % n];
+  }
+
+  /**
+   * Normalise a code as typed or read from a URL: case, spaces and dashes don't matter
+   */
+  static normalizeCode(code) {
+    return String(code || '').toUpperCase().replace(/[\s-]/g, '');
+  }
+
+  /**
+   * Whether a (normalised) code is in the checksummed format
+   */
+  static isShortCode(code) {
+    return code.length === CODE_RANDOM_LENGTH + 1 && [...code].every(char => CODE_ALPHABET.includes(char));
+  }
+
+  /**
+   * Check a typed code. Codes in the checksummed format must pass the check;
+   * older 12-character hex codes have no check character and are taken as is.
+   */
+  static isValidCode(code) {
+    if (this.isShortCode(code)) {
+      return this.checkCharacter(code.slice(0, -1)) === code.slice(-1);
+    }
+    return /^[0-9A-F]{12}$/.test(code);
+  }
+
+  /**
+   * Group a checksummed code for printing and reading aloud: ABCDE-FGHJK
+   */
+  static formatCode(code) {
+    return this.isShortCode(code) ? `${code.slice(0, 5)}-${code.slice(5)}` : code;
+  }
+
+  /**
+   * Whether a save failed because the generated code already exists
+   */
+  static isCodeCollision(error) {
+    return error?.code === 11000 && !!(error.keyPattern?.code || /code_1/.test(error.message));
+  }
+
+  /**
+   * Insert new QR code documents, giving any whose code collides a fresh one.
+   * Documents are updated in place, so their codes are final afterwards.
+   */
+  static async insertWithUniqueCodes(qrCodes) {
+    let pending = qrCodes;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await QRCodeModel.insertMany(pending, { ordered: false });
+        return qrCodes;
+      } catch (error) {
+        const writeErrors = error.writeErrors || [];
+        const collisions = writeErrors.filter(writeError => (writeError.code ?? writeError.err?.code) === 11000);
+
+        if (collisions.length === 0 || collisions.length !== writeErrors.length || attempt >= MAX_CODE_ATTEMPTS) {
+          throw error;
+        }
+
+        pending = collisions.map(writeError => pending[writeError.index]);
+        pending.forEach(qrCode => { qrCode.code = this.generateUniqueCode(); });
+      }
+    }
+  }
+
+  /**
+   * Scan URL encoded in a code's QR image
+   */
+  static getQRUrl(code) {
+    return `${process.env.QR_CODE_BASE_URL || 'https://scanback.vercel.app/scan'}/${code}`;
+  }
+
+  /**
+   * URL that renders a code's QR image on demand (see GET /api/qr/:code/image)
+   */
+  static getImageUrl(code) {
+    return `${process.env.API_BASE_URL || 'http://localhost:5000'}/api/qr/${code}/image`;
   }
 
   /**
@@ -71,49 +199,118 @@ class QRService {
     }
   }
 
+  /**
+   * Keep only the parts of a contact address that were filled in. Missing or
+   * 0,0 coordinates are left out rather than stored as a point off Africa.
+   */
+  static cleanContactLocation(location) {
+    if (!location) return undefined;
+
+    const cleaned = {
+      address: location.address || undefined,
+      city: location.city || undefined,
+      country: location.country || undefined
+    };
+
+    const point = toGeoPoint(location.coordinates);
+    if (point) {
+      cleaned.coordinates = { lat: point.coordinates[1], lng: point.coordinates[0] };
+    }
+
+    return Object.values(cleaned).some(Boolean) ? cleaned : undefined;
+  }
+
+  /**
+   * Where a finder was, if they sent it and the owner shares location:
+   * { location, geo } with either possibly undefined
+   */
+  static resolveScanLocation(qrCode, { location, geo }) {
+    if (qrCode.settings?.locationSharing === false) {
+      return {};
+    }
+
+    const point = toGeoPoint(geo) || toGeoPoint(location);
+    const label = typeof location === 'string' && !/^\s*unknown\s*$/i.test(location) && !toGeoPoint(location)
+      ? location.trim()
+      : undefined;
+
+    return { location: label || undefined, geo: point || undefined };
+  }
+
+  /**
+   * Contact details a finder may see. Nothing when the owner hides them, no
+   * email with the relay on, and only the masked number when phones are masked.
+   */
+  static getFinderContact(qrCode, proxySession) {
+    const { name, message, phone, email } = qrCode.contact || {};
+    const settings = qrCode.settings || {};
+
+    if (settings.showContactOnFinderPage === false) {
+      return { name, message };
+    }
+
+    const maskedPhone = settings.maskPhone ? proxySession?.proxyNumber : undefined;
+    if (settings.messageRelay) {
+      return { name, message, phone: maskedPhone };
+    }
+
+    return { name, message, email, phone: settings.maskPhone ? maskedPhone : phone };
+  }
+
+  /**
+   * What an anonymous finder gets back: the code, its public details and the
+   * contact details getFinderContact allows, nothing about the owner's account
+   */
+  static toFinderView(qrCode, proxySession) {
+    const details = qrCode.details || {};
+
+    return {
+      code: qrCode.code,
+      type: qrCode.type,
+      status: qrCode.status,
+      details: Object.fromEntries(
+        PUBLIC_DETAIL_FIELDS.filter(field => details[field] !== undefined).map(field => [field, details[field]])
+      ),
+      contact: this.getFinderContact(qrCode, proxySession),
+      phoneMasked: !!qrCode.settings?.maskPhone,
+      messageRelay: !!qrCode.settings?.messageRelay
+    };
+  }
+
   /**
    * Create a new QR code for item or pet
    */
   static async createQRCode(ownerId, type, details, contact) {
     try {
-      // Generate unique code
-      const code = this.generateUniqueCode();
-      
-      // Generate QR code image
-      const qrUrl = `${process.env.QR_CODE_BASE_URL || 'https://scanback.vercel.app/scan'}/${code}`;
-      const qrImageDataURL = await this.generateQRImage(qrUrl);
-      
-      // Convert data URL to buffer
-      const qrImageBuffer = Buffer.from(qrImageDataURL.split(',')[1], 'base64');
-      
       // Create QR code record
       const qrCode = new QRCodeModel({
-        code,
+        code: this.generateUniqueCode(),
         type,
         owner: ownerId,
         details,
         contact: {
           ...contact,
-          location: contact.location || {
-            address: '',
-            city: '',
-            country: '',
-            coordinates: {
-              lat: 0,
-              lng: 0
-            }
-          }
+          location: this.cleanContactLocation(contact.location)
         },
         settings: {
           instantAlerts: true,
           locationSharing: true
         },
-        qrImageUrl: qrImageDataURL,
-        qrImageData: qrImageBuffer,
         isActivated: false
       });
 
-      await qrCode.save();
+      // Retry with a fresh code in the rare case the random one is taken
+      for (let attempt = 1; ; attempt++) {
+        try {
+          await qrCode.save();
+          break;
+        } catch (error) {
+          if (!this.isCodeCollision(error) || attempt >= MAX_CODE_ATTEMPTS) {
+            throw error;
+          }
+          qrCode.code = this.generateUniqueCode();
+        }
+      }
       
       // Update user stats
       await User.findByIdAndUpdate(ownerId, {
@@ -122,10 +319,11 @@ class QRService {
         }
       });
 
+      // Images are rendered on demand from the code, never stored on the document
       return {
         qrCode,
-        qrImageDataURL,
-        qrUrl
+        qrImageUrl: this.getImageUrl(qrCode.code),
+        qrUrl: this.getQRUrl(qrCode.code)
       };
     } catch (error) {
       throw new Error(`Failed to create QR code: ${error.message}`);
@@ -145,6 +343,7 @@ class QRService {
         throw new Error('QR code not found');
       }
 
+      qrCode.qrImageUrl = this.getImageUrl(qrCode.code);
       return qrCode;
     } catch (error) {
       throw new Error(`Failed to get QR code: ${error.message}`);
@@ -195,51 +394,21 @@ class QRService {
       {
         code: 1,
         type: 1,
+        owner: 1,
+        batch: 1,
+        design: 1,
         isActivated: 1,
         status: 1,
-        'details.name': 1,
-        'details.description': 1,
-        'details.image': 1,
-        'details.category': 1,
-        'details.color': 1,
-        'details.brand': 1,
-        'details.model': 1,
-        'details.emergencyDetails': 1,
-        'details.pedigreeInfo': 1,
-        'details.microchipId': 1,
-        // Emergency Details fields
-        'details.medicalNotes': 1,
-        'details.vetName': 1,
-        'details.vetPhone': 1,
-        'details.vetCountryCode': 1,
-        'details.emergencyContact': 1,
-        'details.emergencyCountryCode': 1,
-        // New Emergency fields
-        'details.medicalAidProvider': 1,
-        'details.medicalAidNumber': 1,
-        'details.bloodType': 1,
-        'details.allergies': 1,
-        'details.medications': 1,
-        'details.organDonor': 1,
-        'details.iceNote': 1,
-        'details.emergencyContact1Name': 1,
-        'details.emergencyContact1Phone': 1,
-        'details.emergencyContact1CountryCode': 1,
-        'details.emergencyContact2Name': 1,
-        'details.emergencyContact2Phone': 1,
-        'details.emergencyContact2CountryCode': 1,
-        // Pedigree Information fields
-        'details.breed': 1,
-        'details.age': 1,
-        'details.registrationNumber': 1,
-        'details.breederInfo': 1,
+        ...Object.fromEntries(PUBLIC_DETAIL_FIELDS.map(field => [`details.${field}`, 1])),
         'contact.name': 1,
         'contact.phone': 1,
         'contact.email': 1,
         'contact.message': 1,
         'settings.instantAlerts': 1,
         'settings.locationSharing': 1,
-        'settings.showContactOnFinderPage': 1
+        'settings.showContactOnFinderPage': 1,
+        'settings.messageRelay': 1,
+        'settings.maskPhone': 1
       }
     )
     .hint({ code: 1 }) // Force index usage
@@ -275,6 +444,13 @@ class QRService {
     }
   }
 
+  /**
+   * Drop a QR code from the public cache after it is removed or rewritten elsewhere
+   */
+  static clearCachedCode(code) {
+    qrCache.delete(`qr_${code}`);
+  }
+
   /**
    * Get QR code by code string without population (for ownership verification)
    */
@@ -321,23 +497,27 @@ class QRService {
       qrCode.contact = { 
         ...qrCode.contact, 
         ...activationData.contact,
-        location: activationData.contact.location || {
-          address: '',
-          city: '',
-          country: '',
-          coordinates: {
-            lat: 0,
-            lng: 0
-          }
-        }
+        location: this.cleanContactLocation(activationData.contact.location)
       };
-      qrCode.settings = { 
-        ...qrCode.settings, 
-        ...activationData.settings 
+      qrCode.settings = {
+        ...qrCode.settings,
+        ...activationData.settings
       };
 
+      // Pre-printed tags leave stock; the PIN has done its job
+      if (qrCode.batch) {
+        qrCode.inventory.status = 'claimed';
+        qrCode.inventory.claimedAt = new Date();
+        qrCode.inventory.claimAttempts = undefined;
+        qrCode.inventory.claimLockedUntil = undefined;
+      }
+
       await qrCode.save();
-      
+
+      if (qrCode.batch) {
+        await QRCodeModel.updateOne({ _id: qrCode._id }, { $unset: { claimPin: 1 } });
+      }
+
       // Clear cache for this QR code since it's been updated
       const cacheKey = `qr_${code}`;
       qrCache.delete(cacheKey);
@@ -349,32 +529,55 @@ class QRService {
   }
 
   /**
-   * Handle QR code scan
+   * Count a scan on the code and log it as a ScanEvent. The counters are
+   * bumped atomically, so concurrent scans never overwrite each other.
    */
-  static async handleScan(code, scanData) {
-    try {
-      const qrCode = await QRCodeModel.findOne({ code });
-      
-      if (!qrCode) {
-        throw new Error('QR code not found');
-      }
+  static async recordScan(code, scanData) {
+    const medium = QRCodeModel.SCAN_MEDIA.includes(scanData.medium) ? scanData.medium : 'qr';
+    const scannedAt = new Date();
 
-      if (!qrCode.isActivated) {
-        throw new Error('QR code is not activated yet');
-      }
+    const qrCode = await QRCodeModel.findOneAndUpdate(
+      { code, isActivated: true },
+      {
+        $inc: { scanCount: 1, [`scanCounts.${medium}`]: 1 },
+        $set: { lastScanned: scannedAt }
+      },
+      { new: true }
+    ).populate('owner', 'name');
 
-      // Increment scan count and add to history
-      qrCode.incrementScanCount(
-        scanData.ipAddress,
-        scanData.userAgent,
-        scanData.location
-      );
+    if (!qrCode) {
+      throw new Error(await QRCodeModel.exists({ code }) ? 'QR code is not activated yet' : 'QR code not found');
+    }
 
-      await qrCode.save();
+    const { location, geo } = this.resolveScanLocation(qrCode, scanData);
+
+    await ScanEvent.create({
+      qrCode: qrCode._id,
+      code: qrCode.code,
+      owner: qrCode.owner?._id,
+      scannedAt,
+      ipAddress: scanData.ipAddress || 'unknown',
+      userAgent: scanData.userAgent || 'unknown',
+      location,
+      geo,
+      medium
+    });
 
-      // Clear cache for this QR code since it's been updated
-      const cacheKey = `qr_${qrCode.code}`;
-      qrCache.delete(cacheKey);
+    // Clear cache for this QR code since it's been updated
+    this.clearCachedCode(qrCode.code);
+
+    return qrCode;
+  }
+
+  /**
+   * Handle QR code scan
+   */
+  static async handleScan(code, scanData) {
+    try {
+      const qrCode = await this.recordScan(code, scanData);
+      const proxySession = qrCode.settings?.maskPhone && qrCode.status === 'found'
+        ? await ProxyNumberService.getActiveSession(qrCode._id)
+        : null;
 
       return {
         qrCode,
@@ -382,8 +585,8 @@ class QRService {
           itemName: qrCode.details.name,
           petName: qrCode.details.name,
           type: qrCode.type,
-          ownerName: qrCode.owner.name,
-          contact: qrCode.contact,
+          ownerName: qrCode.owner?.name,
+          contact: this.getFinderContact(qrCode, proxySession),
           message: qrCode.contact.message
         }
       };
@@ -407,10 +610,22 @@ class QRService {
         throw new Error('Item/Pet is already marked as found');
       }
 
-      // Mark as found
-      qrCode.markAsFound(finderDetails);
+      // Mark as found, with a map point if the owner shares location
+      const { geo } = this.resolveScanLocation(qrCode, {
+        location: finderDetails.foundLocation,
+        geo: finderDetails.foundGeo || finderDetails.geo
+      });
+      qrCode.markAsFound(finderDetails, geo);
       await qrCode.save();
 
+      // Lend the finder a masked number if the owner masks their phone. The
+      // report stands even if no number can be had.
+      try {
+        await ProxyNumberService.startSession(qrCode);
+      } catch (proxyError) {
+        console.error('Failed to start proxy number session:', proxyError);
+      }
+
       // Clear cache for this QR code since it's been updated
       const cacheKey = `qr_${qrCode.code}`;
       qrCache.delete(cacheKey);
@@ -433,19 +648,61 @@ class QRService {
    */
   static async getUserQRCodes(userId, type = null) {
     try {
-      const filter = { owner: userId };
+      const filter = await this.getAccessibleFilter(userId);
       if (type) filter.type = type;
 
       const qrCodes = await QRCodeModel.find(filter)
         .sort({ createdAt: -1 })
         .lean();
 
+      qrCodes.forEach(qrCode => { qrCode.qrImageUrl = this.getImageUrl(qrCode.code); });
       return qrCodes;
     } catch (error) {
       throw new Error(`Failed to get user QR codes: ${error.message}`);
     }
   }
 
+  /**
+   * Query matching the codes a user owns plus codes shared with any of their groups
+   */
+  static async getAccessibleFilter(userId) {
+    const organizationIds = await Organization.find({ 'members.user': userId }).distinct('_id');
+    return {
+      $or: [{ owner: userId }, { organization: { $in: organizationIds } }]
+    };
+  }
+
+  /**
+   * Resolve a user's role on a QR code: 'owner' for the account that owns it,
+   * otherwise their role in the code's organization, or null
+   */
+  static async getAccessRole(qrCode, userId) {
+    const ownerId = qrCode.owner?._id || qrCode.owner;
+    if (ownerId && ownerId.toString() === userId.toString()) {
+      return 'owner';
+    }
+
+    if (!qrCode.organization) {
+      return null;
+    }
+
+    const organization = await Organization.findById(qrCode.organization._id || qrCode.organization)
+      .select('members');
+    return organization ? organization.roleOf(userId) : null;
+  }
+
+  /**
+   * Check whether a user may read ('read'), change ('write') or delete and
+   * re-home ('owner') a QR code. Viewers can only read; managers can write;
+   * only the code's owner or an owner of its group gets 'owner'.
+   */
+  static async canAccess(qrCode, userId, access = 'read') {
+    const role = await this.getAccessRole(qrCode, userId);
+    if (!role) return false;
+    if (access === 'owner') return role === 'owner';
+    return access === 'read' || role === 'owner' || role === 'manager';
+  }
+
   /**
    * Update QR code details
    */
@@ -458,11 +715,19 @@ class QRService {
       }
       
       if (updateData.contact) {
-        updateFields['contact'] = updateData.contact;
+        updateFields['contact'] = {
+          ...updateData.contact,
+          location: this.cleanContactLocation(updateData.contact.location)
+        };
       }
       
+      // Settings are merged, so changing one toggle leaves the rest alone
       if (updateData.settings) {
-        updateFields['settings'] = updateData.settings;
+        Object.entries(updateData.settings).forEach(([key, value]) => {
+          if (value !== undefined && QRCodeModel.schema.path(`settings.${key}`)) {
+            updateFields[`settings.${key}`] = value;
+          }
+        });
       }
 
       const qrCode = await QRCodeModel.findOneAndUpdate(
@@ -475,6 +740,12 @@ class QRService {
         throw new Error('QR code not found');
       }
 
+      // Settings decide what finders see, so don't serve a stale copy
+      this.clearCachedCode(code);
+
+      if (updateData.settings && !qrCode.settings?.maskPhone) {
+        await ProxyNumberService.endSessions(qrCode._id, 'masking_off');
+      }
 
       return qrCode;
     } catch (error) {
@@ -502,12 +773,36 @@ class QRService {
         throw new Error('QR code not found');
       }
 
+      await ProxyNumberService.endSessions(qrCode._id, 'not_found');
+
       return qrCode;
     } catch (error) {
       throw new Error(`Failed to deactivate QR code: ${error.message}`);
     }
   }
 
+  /**
+   * Delete a QR code along with its stored image, scan history, relay
+   * conversations and masked numbers. Returns the deleted code, or null.
+   */
+  static async deleteQRCode(code) {
+    // Required here: the render service loads the design service, which loads this one
+    const QRRenderService = require('./qrRenderService');
+
+    const qrCode = await QRCodeModel.findOneAndDelete({ code }).lean();
+    if (!qrCode) {
+      return null;
+    }
+
+    await QRRenderService.deleteStored(this.getQRUrl(qrCode.code));
+    await ScanEvent.deleteMany({ qrCode: qrCode._id });
+    await RelayThread.deleteMany({ qrCode: qrCode._id });
+    await ProxyNumberService.endSessions(qrCode._id, 'deleted');
+    this.clearCachedCode(qrCode.code);
+
+    return qrCode;
+  }
+
   /**
    * Store OTP for contact update verification
    */
@@ -520,7 +815,8 @@ class QRService {
             'updateOTP.code': otp,
             'updateOTP.expires': expires,
             'updateOTP.newEmail': newEmail,
-            'updateOTP.newPhone': newPhone
+            'updateOTP.newPhone': newPhone,
+            'updateOTP.attempts': 0
           }
         }
       );
@@ -530,22 +826,34 @@ class QRService {
   }
 
   /**
-   * Verify OTP for contact update
+   * Verify OTP for contact update.
+   * Wrong guesses are counted and the OTP is discarded after too many.
    */
   static async verifyUpdateOTP(code, otp) {
     try {
       const qrCode = await QRCodeModel.findOne({ code }).lean();
       
-      if (!qrCode || !qrCode.updateOTP) {
-        return false;
+      if (!qrCode || !qrCode.updateOTP || !qrCode.updateOTP.code) {
+        return { valid: false, invalidated: false };
       }
 
       // Check if OTP matches and hasn't expired
       if (qrCode.updateOTP.code === otp && new Date() < new Date(qrCode.updateOTP.expires)) {
-        return true;
+        return { valid: true, invalidated: false };
+      }
+
+      const updated = await QRCodeModel.findOneAndUpdate(
+        { code },
+        { $inc: { 'updateOTP.attempts': 1 } },
+        { new: true }
+      ).lean();
+
+      if (updated.updateOTP.attempts >= MAX_UPDATE_OTP_ATTEMPTS) {
+        await this.clearUpdateOTP(code);
+        return { valid: false, invalidated: true };
       }
 
-      return false;
+      return { valid: false, invalidated: false };
     } catch (error) {
       throw new Error(`Failed to verify update OTP: ${error.message}`);
     }
@@ -563,7 +871,8 @@ class QRService {
             'updateOTP.code': 1,
             'updateOTP.expires': 1,
             'updateOTP.newEmail': 1,
-            'updateOTP.newPhone': 1
+            'updateOTP.newPhone': 1,
+            'updateOTP.attempts': 1
           }
         }
       );
@@ -592,6 +901,11 @@ class QRService {
         throw new Error('QR code not found');
       }
 
+      // Leaving 'found' ends the episode and its masked number
+      if (newStatus !== 'found') {
+        await ProxyNumberService.endSessions(qrCode._id, 'not_found');
+      }
+
       return qrCode;
     } catch (error) {
       throw new Error(`Failed to toggle QR code status: ${error.message}`);
@@ -603,28 +917,7 @@ class QRService {
    */
   static async trackScan(code, scanData) {
     try {
-      const qrCode = await QRCodeModel.findOne({ code });
-      
-      if (!qrCode) {
-        throw new Error('QR code not found');
-      }
-
-      if (!qrCode.isActivated) {
-        throw new Error('QR code is not activated yet');
-      }
-
-      // Increment scan count and add to history
-      qrCode.incrementScanCount(
-        scanData.ipAddress,
-        scanData.userAgent,
-        scanData.location
-      );
-
-      await qrCode.save();
-
-      // Clear cache for this QR code since it's been updated
-      const cacheKey = `qr_${qrCode.code}`;
-      qrCache.delete(cacheKey);
+      const qrCode = await this.recordScan(code, scanData);
 
       return {
         scanCount: qrCode.scanCount,
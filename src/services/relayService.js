@@ -0,0 +1,611 @@
+const crypto = require('crypto');
+const RelayThread = require('../models/RelayThread');
+const QRCodeModel = require('../models/QRCode');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const QRService = require('./qrService');
+const TokenService = require('./tokenService');
+const OrganizationService = require('./organizationService');
+const emailService = require('./emailService');
+
+const RELAY_EMAIL_DOMAIN = process.env.RELAY_EMAIL_DOMAIN || 'relay.scanback.co.za';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Abuse limits. Threads are counted per finder IP; messages per thread.
+const MAX_THREADS_PER_CODE_PER_DAY = 3;
+const MAX_THREADS_PER_HOUR = 10;
+const MAX_FINDER_MESSAGES_PER_HOUR = 10;
+const MAX_UNANSWERED_MESSAGES = 5;
+const MAX_MESSAGES_PER_THREAD = 200;
+const MAX_MESSAGE_LENGTH = 2000;
+
+// reply-<thread id>-<o|f>-<signature>@RELAY_EMAIL_DOMAIN
+const PARTY_CODES = { owner: 'o', finder: 'f' };
+const REPLY_ADDRESS = /reply-([0-9a-f]{24})-([of])-([0-9a-f]{16})@([a-z0-9.-]+)/gi;
+
+// Where the quoted original starts in a reply: "On ... wrote:", Outlook
+// headers or an "Original Message" divider
+const QUOTE_MARKERS = [
+  /^On\s[\s\S]{0,300}?wrote:\s*$/m,
+  /^-{2,}\s*Original Message\s*-{2,}/im,
+  /^_{5,}\s*$/m,
+  /^From:\s.*\n(?:Sent|Date):\s/m
+];
+
+const statusError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+class RelayService {
+  /**
+   * Key for signing reply addresses
+   */
+  static getSecret() {
+    return process.env.RELAY_SECRET || process.env.JWT_SECRET;
+  }
+
+  /**
+   * Private reply address for one side of a thread. It is signed, so it can't
+   * be guessed from a thread id.
+   */
+  static getReplyAddress(thread, party) {
+    const id = thread._id.toString();
+    const partyCode = PARTY_CODES[party];
+    const signature = crypto.createHmac('sha256', this.getSecret())
+      .update(`${id}.${partyCode}`)
+      .digest('hex')
+      .slice(0, 16);
+
+    return `reply-${id}-${partyCode}-${signature}@${RELAY_EMAIL_DOMAIN}`;
+  }
+
+  /**
+   * Thread id and party from a reply address, or null if it isn't one of ours
+   */
+  static parseReplyAddress(address) {
+    REPLY_ADDRESS.lastIndex = 0;
+    const match = REPLY_ADDRESS.exec(String(address || '').toLowerCase());
+    if (!match || match[4] !== RELAY_EMAIL_DOMAIN.toLowerCase()) {
+      return null;
+    }
+
+    const party = match[2] === 'o' ? 'owner' : 'finder';
+    const expected = this.getReplyAddress({ _id: match[1] }, party).toLowerCase();
+    const actual = match[0];
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(actual))) {
+      return null;
+    }
+
+    return { threadId: match[1], party };
+  }
+
+  /**
+   * Check the shared secret the inbound email provider sends with each post
+   */
+  static verifyInboundSecret(provided) {
+    const secret = process.env.RELAY_INBOUND_SECRET;
+    if (!secret || !provided) {
+      return false;
+    }
+
+    const [a, b] = [secret, String(provided)].map(value => crypto.createHash('sha256').update(value).digest());
+    return crypto.timingSafeEqual(a, b);
+  }
+
+  /**
+   * Keep only the new text of an emailed reply: drop quoted lines, the quoted
+   * original and a trailing signature
+   */
+  static stripQuotedReply(text) {
+    let reply = String(text || '').replace(/\r\n/g, '\n');
+
+    QUOTE_MARKERS.forEach(marker => {
+      const match = reply.match(marker);
+      if (match) {
+        reply = reply.slice(0, match.index);
+      }
+    });
+
+    const lines = [];
+    for (const line of reply.split('\n')) {
+      if (/^--\s*$/.test(line) || /^Sent from my /.test(line)) break;
+      if (/^>/.test(line)) continue;
+      lines.push(line);
+    }
+
+    return lines.join('\n').trim();
+  }
+
+  /**
+   * Trim a message and check its length
+   */
+  static cleanBody(body) {
+    const text = String(body || '').trim();
+    if (!text) {
+      throw statusError('Message is required', 400);
+    }
+    if (text.length > MAX_MESSAGE_LENGTH) {
+      throw statusError(`Messages can be at most ${MAX_MESSAGE_LENGTH} characters`, 400);
+    }
+    return text;
+  }
+
+  /**
+   * The code a thread is about, with what the relay shows and checks
+   */
+  static async getThreadCode(thread) {
+    return QRCodeModel.findById(thread.qrCode)
+      .select('code type owner organization details.name contact.name contact.phone contact.countryCode contact.email')
+      .lean();
+  }
+
+  /**
+   * Refuse new threads from finders the owner blocked or who start too many
+   */
+  static async checkNewThreadLimits(qrCode, { ipAddress, email }) {
+    const sameFinder = [{ 'finder.ipAddress': ipAddress }];
+    if (email) {
+      sameFinder.push({ 'finder.email': email.toLowerCase() });
+    }
+
+    const blocked = await RelayThread.exists({ qrCode: qrCode._id, status: 'blocked', $or: sameFinder });
+    if (blocked) {
+      throw statusError('The owner of this tag is not accepting your messages', 403);
+    }
+
+    const forCode = await RelayThread.countDocuments({
+      qrCode: qrCode._id,
+      'finder.ipAddress': ipAddress,
+      createdAt: { $gt: new Date(Date.now() - DAY) }
+    });
+    if (forCode >= MAX_THREADS_PER_CODE_PER_DAY) {
+      throw statusError('You have already messaged the owner of this tag. Use the link you were given to continue that conversation.', 429);
+    }
+
+    const overall = await RelayThread.countDocuments({
+      'finder.ipAddress': ipAddress,
+      createdAt: { $gt: new Date(Date.now() - HOUR) }
+    });
+    if (overall >= MAX_THREADS_PER_HOUR) {
+      throw statusError('Too many conversations started from this network. Please try again later.', 429);
+    }
+  }
+
+  /**
+   * Start a thread from the finder page. Returns the thread and the secret
+   * for the finder's link back to it; only its hash is stored.
+   */
+  static async startThread(code, { name, email, message }, { ipAddress, userAgent }) {
+    const qrCode = await QRCodeModel.findOne({ code })
+      .select('code type owner organization status isActivated settings details.name contact.name')
+      .lean();
+
+    if (!qrCode || !qrCode.isActivated) {
+      throw statusError('QR code not found', 404);
+    }
+
+    if (qrCode.status === 'inactive' || qrCode.status === 'suspended') {
+      throw statusError('This QR code is currently inactive', 403);
+    }
+
+    if (!qrCode.settings?.messageRelay) {
+      throw statusError('The owner of this tag is not accepting messages', 403);
+    }
+
+    await this.checkNewThreadLimits(qrCode, { ipAddress, email });
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const thread = await RelayThread.create({
+      qrCode: qrCode._id,
+      code: qrCode.code,
+      owner: qrCode.owner,
+      finder: { name, email, ipAddress, userAgent },
+      finderTokenHash: TokenService.hashToken(token),
+      messages: [{ from: 'finder', body: this.cleanBody(message), channel: 'web' }],
+      lastMessageAt: new Date()
+    });
+
+    await this.notifyOwner(thread, qrCode, thread.messages[0], { isNew: true });
+
+    if (thread.finder.email) {
+      try {
+        await emailService.sendRelayMessageEmail(thread.finder.email, thread.finder.name, {
+          subject: `Your message about ${qrCode.details.name} was sent`,
+          heading: 'Message Sent',
+          intro: `Thanks for getting in touch. We passed your message to the owner of ${qrCode.details.name} without sharing your email address. You will hear back here when they reply.`,
+          senderLabel: 'You',
+          body: thread.messages[0].body,
+          threadUrl: this.getFinderUrl(token),
+          replyTo: this.getReplyAddress(thread, 'finder')
+        });
+      } catch (emailError) {
+        console.error('Failed to send relay confirmation email:', emailError);
+      }
+    }
+
+    return { thread, token };
+  }
+
+  /**
+   * Finder page link to a thread
+   */
+  static getFinderUrl(token) {
+    return `${process.env.FRONTEND_URL}/messages?token=${token}`;
+  }
+
+  /**
+   * Look up a thread from the secret in the finder's link
+   */
+  static async findByFinderToken(token) {
+    const thread = await RelayThread.findOne({ finderTokenHash: TokenService.hashToken(String(token)) });
+    if (!thread) {
+      throw statusError('This conversation link is invalid', 404);
+    }
+    return thread;
+  }
+
+  /**
+   * A thread for a signed-in user with read or write access to its code
+   */
+  static async getThreadForUser(threadId, userId, access = 'read') {
+    const thread = await RelayThread.findById(threadId).catch(() => null);
+    if (!thread) {
+      throw statusError('Conversation not found', 404);
+    }
+
+    const qrCode = await this.getThreadCode(thread);
+    if (!qrCode || !(await QRService.canAccess(qrCode, userId, access))) {
+      throw statusError('Access denied', 403);
+    }
+
+    return { thread, qrCode };
+  }
+
+  /**
+   * Threads on every code the user owns or shares through a group, latest first
+   */
+  static async listThreads(userId, { code, status, page = 1, limit = 20 } = {}) {
+    const qrCodeIds = await QRCodeModel.find(await QRService.getAccessibleFilter(userId)).distinct('_id');
+
+    const filter = { qrCode: { $in: qrCodeIds } };
+    if (code) filter.code = QRService.normalizeCode(code);
+    if (status) filter.status = status;
+
+    const threads = await RelayThread.find(filter)
+      .sort({ lastMessageAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit));
+
+    const total = await RelayThread.countDocuments(filter);
+
+    return {
+      threads: threads.map(thread => this.toSummary(thread)),
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    };
+  }
+
+  /**
+   * List entry for the owner's inbox
+   */
+  static toSummary(thread) {
+    const lastMessage = thread.messages[thread.messages.length - 1];
+
+    return {
+      id: thread._id,
+      code: thread.code,
+      status: thread.status,
+      finderName: thread.finder.name,
+      messageCount: thread.messages.length,
+      lastMessage: lastMessage && {
+        from: lastMessage.from,
+        preview: lastMessage.body.slice(0, 200),
+        sentAt: lastMessage.sentAt
+      },
+      unread: !!lastMessage && lastMessage.from === 'finder' &&
+        (!thread.ownerReadAt || thread.ownerReadAt < lastMessage.sentAt),
+      revealed: !!thread.revealedAt,
+      createdAt: thread.createdAt
+    };
+  }
+
+  /**
+   * What the owner's side sees. The finder's email only once contact is revealed.
+   */
+  static ownerView(thread) {
+    return {
+      ...this.toSummary(thread),
+      finder: {
+        name: thread.finder.name,
+        email: thread.revealedAt ? thread.finder.email : undefined,
+        canReceiveEmail: !!thread.finder.email
+      },
+      messages: thread.messages.map(message => ({
+        from: message.from,
+        body: message.body,
+        channel: message.channel,
+        sentAt: message.sentAt
+      })),
+      revealedAt: thread.revealedAt
+    };
+  }
+
+  /**
+   * What the finder sees. The owner's phone and email only once revealed;
+   * a blocked thread looks closed.
+   */
+  static finderView(thread, qrCode) {
+    return {
+      code: thread.code,
+      type: qrCode?.type,
+      name: qrCode?.details?.name,
+      status: thread.status === 'open' ? 'open' : 'closed',
+      ownerContact: thread.revealedAt && qrCode ? this.getOwnerContact(qrCode) : undefined,
+      messages: thread.messages.map(message => ({
+        from: message.from,
+        body: message.body,
+        sentAt: message.sentAt
+      }))
+    };
+  }
+
+  /**
+   * The owner's details as set on the code
+   */
+  static getOwnerContact(qrCode) {
+    return {
+      name: qrCode.contact?.name,
+      phone: qrCode.contact?.phone && `${qrCode.contact.countryCode || ''}${qrCode.contact.phone}`,
+      email: qrCode.contact?.email
+    };
+  }
+
+  /**
+   * Add a message to an open thread and pass it on to the other side
+   */
+  static async addMessage(thread, from, body, { channel = 'web', user } = {}) {
+    if (thread.status !== 'open') {
+      throw statusError('This conversation is closed', 410);
+    }
+
+    if (thread.messages.length >= MAX_MESSAGES_PER_THREAD) {
+      throw statusError('This conversation has reached its message limit', 409);
+    }
+
+    if (from === 'finder') {
+      const lastHour = thread.messages.filter(m => m.from === 'finder' && m.sentAt > new Date(Date.now() - HOUR)).length;
+      if (lastHour >= MAX_FINDER_MESSAGES_PER_HOUR) {
+        throw statusError('Too many messages. Please try again later.', 429);
+      }
+      if (thread.unansweredCount() >= MAX_UNANSWERED_MESSAGES) {
+        throw statusError('Please wait for the owner to reply before sending more messages', 429);
+      }
+    }
+
+    thread.messages.push({ from, body: this.cleanBody(body), channel, sentBy: user?._id });
+    thread.lastMessageAt = new Date();
+    if (from === 'owner') {
+      thread.ownerReadAt = thread.lastMessageAt;
+    }
+    await thread.save();
+
+    const message = thread.messages[thread.messages.length - 1];
+    const qrCode = await this.getThreadCode(thread);
+
+    if (from === 'finder') {
+      await this.notifyOwner(thread, qrCode, message, { isNew: false });
+    } else {
+      await this.notifyFinder(thread, qrCode, message);
+    }
+
+    return message;
+  }
+
+  /**
+   * Mark the owner's side as read
+   */
+  static async markRead(thread) {
+    thread.ownerReadAt = new Date();
+    await thread.save();
+  }
+
+  /**
+   * Share real contact details both ways: the finder sees the owner's phone
+   * and email, the owner sees the finder's email
+   */
+  static async reveal(thread, user) {
+    if (thread.revealedAt) {
+      return thread;
+    }
+
+    thread.revealedAt = new Date();
+    thread.revealedBy = user._id;
+    thread.messages.push({
+      from: 'system',
+      body: 'The owner shared their contact details with you.',
+      channel: 'app',
+      sentBy: user._id
+    });
+    await thread.save();
+
+    const qrCode = await this.getThreadCode(thread);
+    await this.notifyFinder(thread, qrCode, thread.messages[thread.messages.length - 1]);
+
+    return thread;
+  }
+
+  /**
+   * Close a thread. A blocked finder also can't start a new one on this code.
+   */
+  static async close(thread, { block = false } = {}) {
+    thread.status = block ? 'blocked' : 'closed';
+    thread.closedAt = new Date();
+    await thread.save();
+    return thread;
+  }
+
+  /**
+   * Tell the owner's side about a finder message: an in-app notification for
+   * the owner and group members, and an email to the owner they can reply to
+   */
+  static async notifyOwner(thread, qrCode, message, { isNew }) {
+    const recipients = await OrganizationService.getNotificationRecipients(qrCode);
+    const itemName = qrCode.details?.name;
+    const finderLabel = thread.finder.name || 'A finder';
+
+    for (const recipient of recipients) {
+      const isOwner = recipient._id.toString() === thread.owner.toString();
+
+      const notification = await Notification.create({
+        qrCode: qrCode._id,
+        owner: recipient._id,
+        type: 'contact_attempt',
+        title: isNew ? 'New Message From a Finder' : 'New Reply From a Finder',
+        message: `${finderLabel} sent a message about ${itemName}`,
+        data: { qrCode: qrCode.code, itemName, finderName: thread.finder.name },
+        priority: 'high',
+        channels: isOwner ? [{ type: 'email', status: 'pending' }] : []
+      });
+
+      if (!isOwner) continue;
+
+      try {
+        await emailService.sendRelayMessageEmail(recipient.email, recipient.name, {
+          subject: `${isNew ? 'Someone found' : 'New message about'} ${itemName}`,
+          heading: isNew ? 'A Finder Sent You a Message' : 'New Message From the Finder',
+          intro: `${finderLabel} sent a message through your ScanBack tag on ${itemName}. Their email address stays private, and so does yours.`,
+          senderLabel: finderLabel,
+          body: message.body,
+          threadUrl: `${process.env.FRONTEND_URL}/dashboard/messages/${thread._id}`,
+          replyTo: this.getReplyAddress(thread, 'owner')
+        });
+
+        notification.addChannelStatus('email', 'sent');
+      } catch (emailError) {
+        console.error('Failed to send relay message email:', emailError);
+        notification.addChannelStatus('email', 'failed', emailError.message);
+      }
+      await notification.save();
+    }
+  }
+
+  /**
+   * Email an owner or system message to the finder, if they left an address
+   */
+  static async notifyFinder(thread, qrCode, message) {
+    if (!thread.finder.email) {
+      return;
+    }
+
+    const itemName = qrCode?.details?.name || 'the tag';
+    const revealed = !!thread.revealedAt && !!qrCode;
+
+    try {
+      await emailService.sendRelayMessageEmail(thread.finder.email, thread.finder.name, {
+        subject: revealed && message.from === 'system'
+          ? `Contact details for the owner of ${itemName}`
+          : `The owner of ${itemName} replied`,
+        heading: message.from === 'system' ? 'Contact Details Shared' : 'The Owner Replied',
+        intro: message.from === 'system'
+          ? `The owner of ${itemName} shared their contact details so you can reach them directly.`
+          : `The owner of ${itemName} replied to your message.`,
+        senderLabel: 'The owner',
+        body: message.from === 'owner' ? message.body : undefined,
+        contact: revealed ? this.getOwnerContact(qrCode) : undefined,
+        replyTo: this.getReplyAddress(thread, 'finder')
+      });
+    } catch (emailError) {
+      console.error('Failed to send relay message email:', emailError);
+    }
+  }
+
+  /**
+   * Recipient addresses from an inbound post (SendGrid Inbound Parse or Mailgun routes)
+   */
+  static getInboundRecipients(payload) {
+    const sources = [payload.recipient, payload.to, payload.To];
+
+    if (payload.envelope) {
+      try {
+        const envelope = typeof payload.envelope === 'string' ? JSON.parse(payload.envelope) : payload.envelope;
+        sources.push(...[].concat(envelope.to || []));
+      } catch (error) {
+        // Fall back to the headers
+      }
+    }
+
+    return sources
+      .filter(Boolean)
+      .join(',')
+      .match(REPLY_ADDRESS) || [];
+  }
+
+  /**
+   * Sender address from an inbound post
+   */
+  static getInboundSender(payload) {
+    const from = payload.sender || payload.from || payload.From || '';
+    const match = String(from).match(/<([^>]+)>/);
+    return (match ? match[1] : from).trim().toLowerCase();
+  }
+
+  /**
+   * Post an emailed reply into its thread. Mail that can't be matched to a
+   * thread and its expected sender is dropped; the result says why.
+   */
+  static async handleInbound(payload) {
+    const address = this.getInboundRecipients(payload)
+      .map(recipient => this.parseReplyAddress(recipient))
+      .find(Boolean);
+
+    if (!address) {
+      return { accepted: false, reason: 'No relay address' };
+    }
+
+    const thread = await RelayThread.findById(address.threadId);
+    if (!thread) {
+      return { accepted: false, reason: 'Unknown conversation' };
+    }
+
+    const sender = this.getInboundSender(payload);
+    let user;
+
+    if (address.party === 'finder') {
+      if (!thread.finder.email || sender !== thread.finder.email) {
+        return { accepted: false, reason: 'Sender does not match' };
+      }
+    } else {
+      const qrCode = await this.getThreadCode(thread);
+      user = await User.findById(thread.owner).select('name email');
+      const ownerEmails = [user?.email, qrCode?.contact?.email].filter(Boolean).map(email => email.toLowerCase());
+      if (!ownerEmails.includes(sender)) {
+        return { accepted: false, reason: 'Sender does not match' };
+      }
+    }
+
+    const body = this.stripQuotedReply(payload['stripped-text'] || payload.text || payload['body-plain']);
+    if (!body) {
+      return { accepted: false, reason: 'Empty message' };
+    }
+
+    try {
+      await this.addMessage(thread, address.party, body.slice(0, MAX_MESSAGE_LENGTH), { channel: 'email', user });
+    } catch (error) {
+      if (error.status) {
+        return { accepted: false, reason: error.message };
+      }
+      throw error;
+    }
+
+    return { accepted: true, threadId: thread._id };
+  }
+}
+
+module.exports = RelayService;
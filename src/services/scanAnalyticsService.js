@@ -0,0 +1,335 @@
+const mongoose = require('mongoose');
+const ScanEvent = require('../models/ScanEvent');
+const CsvService = require('./csvService');
+
+const INTERVALS = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000
+};
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_BUCKETS = 1000;
+const MAX_CSV_ROWS = 10000;
+const TOP_LOCATIONS = 20;
+const MAX_TRAIL_POINTS = 500;
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// First match wins, so more specific patterns come first
+const OS_RULES = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['ChromeOS', /CrOS/],
+  ['Windows', /Windows/],
+  ['macOS', /Macintosh|Mac OS X/],
+  ['Linux', /Linux/]
+];
+
+const BROWSER_RULES = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Samsung Internet', /SamsungBrowser/],
+  ['Opera', /OPR\/|Opera/],
+  ['Firefox', /Firefox|FxiOS/],
+  ['Chrome', /Chrome|CriOS/],
+  ['Safari', /Safari/]
+];
+
+// "lat,lng" as sent by the finder page
+const COORDINATES = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/;
+
+const statusError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+class ScanAnalyticsService {
+  /**
+   * Parse and check interval, date range and timezone from a query string
+   */
+  static normalizeOptions({ interval = 'day', from, to, tz = 'UTC' } = {}) {
+    if (!INTERVALS[interval]) {
+      throw statusError(`Interval must be one of: ${Object.keys(INTERVALS).join(', ')}`, 400);
+    }
+
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_RANGE_DAYS * INTERVALS.day);
+
+    if (isNaN(start) || isNaN(end) || start >= end) {
+      throw statusError('from and to must be dates with from before to', 400);
+    }
+
+    if ((end - start) / INTERVALS[interval] > MAX_BUCKETS) {
+      throw statusError(`That range has more than ${MAX_BUCKETS} ${interval} buckets; use a larger interval`, 400);
+    }
+
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    } catch (error) {
+      throw statusError(`Unknown timezone: ${tz}`, 400);
+    }
+
+    return { interval, from: start, to: end, tz };
+  }
+
+  /**
+   * Scans of the given codes within the range
+   */
+  static buildFilter(qrCodeIds, { from, to }) {
+    return {
+      qrCode: { $in: qrCodeIds.map(id => new mongoose.Types.ObjectId(id)) },
+      scannedAt: { $gte: from, $lte: to }
+    };
+  }
+
+  /**
+   * Device type, OS and browser from a user agent string
+   */
+  static parseUserAgent(userAgent) {
+    if (!userAgent || userAgent === 'unknown') {
+      return { device: 'unknown', os: 'Unknown', browser: 'Unknown' };
+    }
+
+    let device = 'desktop';
+    if (/bot|crawler|spider|preview/i.test(userAgent)) {
+      device = 'bot';
+    } else if (/iPad|Tablet/.test(userAgent) || (/Android/.test(userAgent) && !/Mobile/.test(userAgent))) {
+      device = 'tablet';
+    } else if (/Mobi|iPhone|iPod|Android/.test(userAgent)) {
+      device = 'mobile';
+    }
+
+    const match = (rules) => (rules.find(([, pattern]) => pattern.test(userAgent)) || ['Other'])[0];
+
+    return { device, os: match(OS_RULES), browser: match(BROWSER_RULES) };
+  }
+
+  /**
+   * Blur a scan location: coordinates are rounded to about 1 km, place names are kept.
+   * Takes the scan's geo point if it has one, else its location string.
+   */
+  static approximateLocation(location, geo) {
+    let lat;
+    let lng;
+
+    if (geo?.coordinates?.length === 2) {
+      [lng, lat] = geo.coordinates;
+    } else if (location && COORDINATES.test(location)) {
+      const [, latText, lngText] = location.match(COORDINATES);
+      [lat, lng] = [parseFloat(latText), parseFloat(lngText)];
+    } else if (location && !/^unknown$/i.test(location.trim())) {
+      return { label: location.trim() };
+    } else {
+      return null;
+    }
+
+    [lat, lng] = [lat, lng].map(value => Math.round(value * 100) / 100);
+    return { label: `${lat.toFixed(2)}, ${lng.toFixed(2)}`, lat, lng };
+  }
+
+  /**
+   * Add up grouped counts under the key a function picks for each group
+   */
+  static tally(groups, keyOf) {
+    const totals = {};
+    groups.forEach(({ _id, count }) => {
+      const key = keyOf(_id);
+      totals[key] = (totals[key] || 0) + count;
+    });
+    return totals;
+  }
+
+  /**
+   * Scans over time, unique scanners, devices, locations and a day/hour heatmap
+   */
+  static async getAnalytics(qrCodeIds, query = {}) {
+    const options = this.normalizeOptions(query);
+    const { interval, tz } = options;
+
+    const [result] = await ScanEvent.aggregate([
+      { $match: this.buildFilter(qrCodeIds, options) },
+      {
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: null,
+                scans: { $sum: 1 },
+                firstScan: { $min: '$scannedAt' },
+                lastScan: { $max: '$scannedAt' }
+              }
+            }
+          ],
+          uniqueScanners: [
+            { $group: { _id: { ipAddress: '$ipAddress', userAgent: '$userAgent' } } },
+            { $count: 'count' }
+          ],
+          byMedium: [
+            { $group: { _id: '$medium', count: { $sum: 1 } } }
+          ],
+          timeline: [
+            {
+              $group: {
+                _id: { $dateTrunc: { date: '$scannedAt', unit: interval, timezone: tz } },
+                scans: { $sum: 1 }
+              }
+            },
+            { $sort: { _id: 1 } }
+          ],
+          heatmap: [
+            {
+              $group: {
+                _id: {
+                  day: { $dayOfWeek: { date: '$scannedAt', timezone: tz } },
+                  hour: { $hour: { date: '$scannedAt', timezone: tz } }
+                },
+                count: { $sum: 1 }
+              }
+            }
+          ],
+          userAgents: [
+            { $group: { _id: '$userAgent', count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+            { $limit: 1000 }
+          ],
+          locations: [
+            { $group: { _id: { location: '$location', coordinates: '$geo.coordinates' }, count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+            { $limit: 1000 }
+          ]
+        }
+      }
+    ]);
+
+    const totals = result.totals[0] || { scans: 0, firstScan: null, lastScan: null };
+
+    // 7 rows (Sunday first) of 24 hourly counts in the requested timezone
+    const heatmap = DAYS.map(day => ({ day, hours: new Array(24).fill(0) }));
+    result.heatmap.forEach(({ _id, count }) => {
+      heatmap[_id.day - 1].hours[_id.hour] = count;
+    });
+
+    const parsed = result.userAgents.map(({ _id, count }) => ({ _id: this.parseUserAgent(_id), count }));
+
+    const locations = {};
+    result.locations.forEach(({ _id, count }) => {
+      const location = this.approximateLocation(_id.location, _id.coordinates && { coordinates: _id.coordinates });
+      if (!location) return;
+      locations[location.label] = locations[location.label] || { ...location, scans: 0 };
+      locations[location.label].scans += count;
+    });
+
+    return {
+      range: { from: options.from, to: options.to, interval, timezone: tz },
+      totals: {
+        scans: totals.scans,
+        uniqueScanners: result.uniqueScanners[0]?.count || 0,
+        firstScan: totals.firstScan,
+        lastScan: totals.lastScan,
+        byMedium: this.tally(result.byMedium, medium => medium || 'qr')
+      },
+      // Buckets with no scans are left out
+      timeline: result.timeline.map(({ _id, scans }) => ({ start: _id, scans })),
+      devices: {
+        type: this.tally(parsed, ua => ua.device),
+        os: this.tally(parsed, ua => ua.os),
+        browser: this.tally(parsed, ua => ua.browser)
+      },
+      locations: Object.values(locations)
+        .sort((a, b) => b.scans - a.scans)
+        .slice(0, TOP_LOCATIONS),
+      heatmap
+    };
+  }
+
+  /**
+   * GeoJSON trail of where a code was scanned (oldest first) plus its found
+   * report, for showing on a map. Exact points: only the code's owners see this.
+   */
+  static async getTrail(qrCode, query = {}) {
+    const options = this.normalizeOptions(query);
+
+    const scans = await ScanEvent.find({
+      ...this.buildFilter([qrCode._id], options),
+      geo: { $exists: true }
+    })
+      .select('scannedAt medium geo')
+      .sort({ scannedAt: -1 })
+      .limit(MAX_TRAIL_POINTS)
+      .lean();
+    scans.reverse();
+
+    const features = scans.map(scan => ({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: scan.geo.coordinates },
+      properties: {
+        kind: 'scan',
+        scannedAt: scan.scannedAt,
+        medium: scan.medium,
+        accuracy: scan.geo.accuracy,
+        source: scan.geo.source
+      }
+    }));
+
+    if (scans.length >= 2) {
+      features.unshift({
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates: scans.map(scan => scan.geo.coordinates) },
+        properties: { kind: 'trail', from: scans[0].scannedAt, to: scans[scans.length - 1].scannedAt }
+      });
+    }
+
+    const found = qrCode.foundBy?.foundGeo;
+    if (found?.coordinates?.length === 2) {
+      features.push({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: found.coordinates },
+        properties: {
+          kind: 'found',
+          foundDate: qrCode.foundBy.foundDate,
+          foundLocation: qrCode.foundBy.foundLocation,
+          accuracy: found.accuracy,
+          source: found.source
+        }
+      });
+    }
+
+    return {
+      type: 'FeatureCollection',
+      properties: { code: qrCode.code, from: options.from, to: options.to },
+      features
+    };
+  }
+
+  /**
+   * Scans in the range as CSV. IP addresses are left out; locations are blurred.
+   */
+  static async toCSV(qrCodeIds, query = {}) {
+    const options = this.normalizeOptions(query);
+
+    const scans = await ScanEvent.find(this.buildFilter(qrCodeIds, options))
+      .select('code scannedAt medium userAgent location geo')
+      .sort({ scannedAt: -1 })
+      .limit(MAX_CSV_ROWS)
+      .lean();
+
+    return [
+      'Scanned At,Code,Medium,Device,OS,Browser,Location',
+      ...scans.map(scan => {
+        const { device, os, browser } = this.parseUserAgent(scan.userAgent);
+        return [
+          new Date(scan.scannedAt).toISOString(),
+          scan.code,
+          scan.medium || 'qr',
+          device,
+          os,
+          browser,
+          this.approximateLocation(scan.location, scan.geo)?.label
+        ].map(value => CsvService.escapeCell(value)).join(',');
+      })
+    ].join('\n');
+  }
+}
+
+module.exports = ScanAnalyticsService;
@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'fallback-secret';
+const ACCESS_TOKEN_EXPIRE = process.env.JWT_EXPIRE || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+const IMPERSONATION_MINUTES = parseInt(process.env.IMPERSONATION_EXPIRE_MINUTES) || 30;
+
+class TokenService {
+  /**
+   * Hash a token secret for storage
+   */
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Sign a short-lived access token bound to a session
+   */
+  static generateAccessToken(userId, sessionId) {
+    return jwt.sign(
+      { userId, sessionId },
+      JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_EXPIRE }
+    );
+  }
+
+  /**
+   * Verify an access token and return its payload
+   */
+  static verifyAccessToken(token) {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    if (decoded.purpose) {
+      throw new Error('Token cannot be used for API access');
+    }
+    return decoded;
+  }
+
+  /**
+   * Sign a single-purpose token (login challenges, emailed links).
+   * These are never accepted as access tokens.
+   */
+  static signPurposeToken(payload, purpose, expiresIn) {
+    return jwt.sign({ ...payload, purpose }, JWT_SECRET, { expiresIn });
+  }
+
+  /**
+   * Verify a single-purpose token and return its payload
+   */
+  static verifyPurposeToken(token, purpose) {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    if (decoded.purpose !== purpose) {
+      throw new Error('Invalid token');
+    }
+    return decoded;
+  }
+
+  /**
+   * Issue a single-use emailed link token. Only the hash of its id should be
+   * stored; clearing the stored hash once consumed stops the link being replayed.
+   */
+  static issueSingleUseToken(userId, purpose, expiresIn) {
+    const jti = crypto.randomBytes(16).toString('hex');
+    return {
+      token: this.signPurposeToken({ userId, jti }, purpose, expiresIn),
+      jtiHash: this.hashToken(jti)
+    };
+  }
+
+  /**
+   * Verify a single-use link token against the stored id hash.
+   * Returns the decoded payload or throws.
+   */
+  static verifySingleUseToken(token, purpose, storedHash) {
+    const decoded = this.verifyPurposeToken(token, purpose);
+    if (!decoded.jti || !storedHash || this.hashToken(decoded.jti) !== storedHash) {
+      throw new Error('Link has already been used or is no longer valid');
+    }
+    return decoded;
+  }
+
+  /**
+   * Build the client-facing token pair for a session
+   */
+  static buildTokenPair(userId, session, secret) {
+    return {
+      token: this.generateAccessToken(userId, session._id),
+      refreshToken: `${session._id}.${secret}`,
+      sessionId: session._id
+    };
+  }
+
+  /**
+   * Start a new device session and issue its first token pair
+   */
+  static async createSession(user, req) {
+    try {
+      const secret = crypto.randomBytes(48).toString('hex');
+
+      const session = await Session.create({
+        user: user._id,
+        refreshTokenHash: this.hashToken(secret),
+        userAgent: req.get('User-Agent'),
+        ipAddress: req.ip || req.connection.remoteAddress,
+        lastUsedAt: new Date(),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000)
+      });
+
+      return this.buildTokenPair(user._id, session, secret);
+    } catch (error) {
+      throw new Error(`Failed to create session: ${error.message}`);
+    }
+  }
+
+  /**
+   * Start a short-lived session in which a staff member acts as another user.
+   * Only an access token is issued, so the session ends when it expires.
+   */
+  static async createImpersonationSession(impersonator, user, req, reason) {
+    try {
+      const expiresAt = new Date(Date.now() + IMPERSONATION_MINUTES * 60 * 1000);
+
+      const session = await Session.create({
+        user: user._id,
+        refreshTokenHash: this.hashToken(crypto.randomBytes(48).toString('hex')),
+        userAgent: req.get('User-Agent'),
+        ipAddress: req.ip || req.connection.remoteAddress,
+        lastUsedAt: new Date(),
+        expiresAt,
+        impersonator: impersonator._id,
+        impersonationReason: reason
+      });
+
+      const token = jwt.sign(
+        { userId: user._id, sessionId: session._id, impersonatorId: impersonator._id },
+        JWT_SECRET,
+        { expiresIn: `${IMPERSONATION_MINUTES}m` }
+      );
+
+      return { token, sessionId: session._id, expiresAt };
+    } catch (error) {
+      throw new Error(`Failed to create impersonation session: ${error.message}`);
+    }
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair, rotating the refresh token.
+   * Presenting an already-rotated token revokes the session, since it means
+   * the token was copied.
+   */
+  static async refreshSession(refreshToken, req) {
+    const [sessionId, secret] = (refreshToken || '').split('.');
+
+    if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) {
+      throw new Error('Invalid refresh token');
+    }
+
+    const session = await Session.findById(sessionId);
+
+    if (!session || !session.isActive() || session.impersonator) {
+      throw new Error('Session has expired or been revoked');
+    }
+
+    const presentedHash = Buffer.from(this.hashToken(secret));
+    const storedHash = Buffer.from(session.refreshTokenHash);
+    if (presentedHash.length !== storedHash.length ||
+        !crypto.timingSafeEqual(presentedHash, storedHash)) {
+      session.revokedAt = new Date();
+      session.revokedReason = 'refresh_token_reuse';
+      await session.save();
+      throw new Error('Refresh token has already been used');
+    }
+
+    // Accounts saved before the status field existed count as active
+    const user = await User.findById(session.user).select('status').lean();
+    if (!user || ['inactive', 'suspended'].includes(user.status)) {
+      throw new Error('This account is not active');
+    }
+
+    const newSecret = crypto.randomBytes(48).toString('hex');
+    session.refreshTokenHash = this.hashToken(newSecret);
+    session.lastUsedAt = new Date();
+    session.userAgent = req.get('User-Agent') || session.userAgent;
+    session.ipAddress = req.ip || req.connection.remoteAddress || session.ipAddress;
+    await session.save();
+
+    return this.buildTokenPair(session.user, session, newSecret);
+  }
+
+  /**
+   * Load the session behind an access token if it is still live
+   */
+  static async findActiveSession(sessionId) {
+    const session = await Session.findById(sessionId)
+      .select('user revokedAt expiresAt impersonator')
+      .lean();
+
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+      return null;
+    }
+    return session;
+  }
+
+  /**
+   * List a user's active sessions
+   */
+  static async listSessions(userId) {
+    return Session.find({
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('-refreshTokenHash')
+      .sort({ lastUsedAt: -1 })
+      .lean();
+  }
+
+  /**
+   * Revoke a single session belonging to a user
+   */
+  static async revokeSession(userId, sessionId, reason = 'logout') {
+    const session = await Session.findOneAndUpdate(
+      { _id: sessionId, user: userId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } },
+      { new: true }
+    );
+
+    return !!session;
+  }
+
+  /**
+   * Revoke every active session of a user
+   */
+  static async revokeAllSessions(userId, reason = 'logout_all') {
+    const result = await Session.updateMany(
+      { user: userId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+
+    return result.modifiedCount;
+  }
+}
+
+module.exports = TokenService;
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const ISSUER = 'ScanBack';
+
+/**
+ * RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30s step),
+ * compatible with Google Authenticator, Authy, 1Password and friends.
+ */
+class TOTPService {
+  /**
+   * Encode a buffer as RFC 4648 base32 (no padding)
+   */
+  static base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  /**
+   * Decode an RFC 4648 base32 string
+   */
+  static base32Decode(input) {
+    const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 character');
+      }
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  /**
+   * Generate a new random shared secret (160 bits, base32)
+   */
+  static generateSecret() {
+    return this.base32Encode(crypto.randomBytes(20));
+  }
+
+  /**
+   * Current time step
+   */
+  static currentStep(timestamp = Date.now()) {
+    return Math.floor(timestamp / 1000 / STEP_SECONDS);
+  }
+
+  /**
+   * Generate the code for a given time step
+   */
+  static generateToken(secret, step = this.currentStep()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return (binary % 10 ** DIGITS).toString().padStart(DIGITS, '0');
+  }
+
+  /**
+   * Verify a code, allowing `window` steps of clock drift either side.
+   * Returns the matching step (so callers can reject replays) or null.
+   */
+  static verifyToken(secret, token, window = 1) {
+    const normalized = String(token || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) {
+      return null;
+    }
+
+    const step = this.currentStep();
+    for (let drift = -window; drift <= window; drift++) {
+      const candidate = Buffer.from(this.generateToken(secret, step + drift));
+      if (crypto.timingSafeEqual(candidate, Buffer.from(normalized))) {
+        return step + drift;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Build the otpauth:// URI that authenticator apps scan
+   */
+  static getOtpauthUrl(accountName, secret) {
+    const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: ISSUER,
+      algorithm: 'SHA1',
+      digits: String(DIGITS),
+      period: String(STEP_SECONDS)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  /**
+   * Generate one-time recovery codes formatted as xxxxx-xxxxx
+   */
+  static generateRecoveryCodes(count = 10) {
+    return Array.from({ length: count }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+  }
+
+  /**
+   * Normalize a recovery code before hashing/comparison
+   */
+  static normalizeRecoveryCode(code) {
+    return String(code || '').toLowerCase().replace(/[^a-f0-9]/g, '');
+  }
+}
+
+module.exports = TOTPService;
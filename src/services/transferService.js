@@ -0,0 +1,301 @@
+const crypto = require('crypto');
+const OwnershipTransfer = require('../models/OwnershipTransfer');
+const QRCodeModel = require('../models/QRCode');
+const Notification = require('../models/Notification');
+const ScanEvent = require('../models/ScanEvent');
+const RelayThread = require('../models/RelayThread');
+const User = require('../models/User');
+const QRService = require('./qrService');
+const ProxyNumberService = require('./proxyNumberService');
+const TokenService = require('./tokenService');
+const emailService = require('./emailService');
+
+const TRANSFER_EXPIRE_DAYS = parseInt(process.env.TRANSFER_EXPIRE_DAYS) || 7;
+
+const statusError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+class TransferService {
+  /**
+   * Start moving an activated QR code to another person. The recipient gets an
+   * emailed accept link; nothing changes on the code until they accept.
+   */
+  static async startTransfer(owner, code, { toEmail, resetDetails = false, scanHistory = 'scrub' }) {
+    const qrCode = await QRCodeModel.findOne({ code }).select('code type owner isActivated status details.name').lean();
+    if (!qrCode) {
+      throw statusError('QR code not found', 404);
+    }
+
+    if (!qrCode.owner || qrCode.owner.toString() !== owner._id.toString()) {
+      throw statusError('Only the owner can transfer this QR code', 403);
+    }
+
+    if (!qrCode.isActivated) {
+      throw statusError('Only activated QR codes can be transferred', 400);
+    }
+
+    if (qrCode.status === 'suspended') {
+      throw statusError('Suspended QR codes cannot be transferred', 400);
+    }
+
+    const recipientEmail = toEmail.toLowerCase();
+    if (recipientEmail === owner.email) {
+      throw statusError('You already own this QR code', 400);
+    }
+
+    const pending = await OwnershipTransfer.findOne({
+      qrCode: qrCode._id,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    });
+    if (pending) {
+      throw statusError('A transfer is already pending for this QR code. Cancel it first.', 409);
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const transfer = await OwnershipTransfer.create({
+      qrCode: qrCode._id,
+      code: qrCode.code,
+      fromUser: owner._id,
+      toEmail: recipientEmail,
+      tokenHash: TokenService.hashToken(token),
+      resetDetails,
+      scanHistory,
+      expiresAt: new Date(Date.now() + TRANSFER_EXPIRE_DAYS * 24 * 60 * 60 * 1000)
+    });
+
+    const hasAccount = await User.exists({ email: recipientEmail });
+
+    try {
+      await emailService.sendTransferRequestEmail(recipientEmail, owner.name, qrCode, token, {
+        hasAccount: !!hasAccount,
+        expiresInDays: TRANSFER_EXPIRE_DAYS
+      });
+    } catch (emailError) {
+      console.error('Failed to send transfer request email:', emailError);
+    }
+
+    return transfer;
+  }
+
+  /**
+   * Look up a transfer from the secret in its accept link
+   */
+  static async findByToken(token) {
+    const transfer = await OwnershipTransfer.findOne({ tokenHash: TokenService.hashToken(token) })
+      .populate('fromUser', 'name');
+
+    if (!transfer) {
+      throw statusError('This transfer link is invalid', 404);
+    }
+
+    return transfer;
+  }
+
+  /**
+   * What the recipient sees before accepting
+   */
+  static async getPreview(token) {
+    const transfer = await this.findByToken(token);
+    const qrCode = await QRCodeModel.findById(transfer.qrCode).select('type details.name').lean();
+
+    return {
+      code: transfer.code,
+      type: qrCode?.type,
+      name: qrCode?.details?.name,
+      from: transfer.fromUser?.name,
+      toEmail: transfer.toEmail,
+      resetDetails: transfer.resetDetails,
+      scanHistory: transfer.scanHistory,
+      status: transfer.isOpen() ? 'pending' : (transfer.status === 'pending' ? 'expired' : transfer.status),
+      expiresAt: transfer.expiresAt
+    };
+  }
+
+  /**
+   * Accept a transfer as the signed-in recipient and move the code to them
+   */
+  static async acceptTransfer(token, user) {
+    const transfer = await this.findByToken(token);
+
+    if (!transfer.isOpen()) {
+      throw statusError('This transfer is no longer open', 410);
+    }
+
+    if (transfer.toEmail !== user.email) {
+      throw statusError(`This transfer was sent to ${transfer.toEmail}. Log in with that account to accept it.`, 403);
+    }
+
+    // Claim the transfer first so a double submit can't apply it twice
+    const claimed = await OwnershipTransfer.findOneAndUpdate(
+      { _id: transfer._id, status: 'pending' },
+      { $set: { status: 'accepted', toUser: user._id, completedAt: new Date() } },
+      { new: true }
+    );
+    if (!claimed) {
+      throw statusError('This transfer is no longer open', 410);
+    }
+
+    const qrCode = await QRCodeModel.findById(transfer.qrCode);
+    if (!qrCode || qrCode.owner.toString() !== transfer.fromUser._id.toString()) {
+      await OwnershipTransfer.updateOne({ _id: transfer._id }, { $set: { status: 'cancelled' } });
+      throw statusError('This QR code has changed hands since the transfer was started', 409);
+    }
+
+    const before = { owner: qrCode.owner, scanCount: qrCode.scanCount };
+
+    qrCode.owner = user._id;
+    qrCode.organization = undefined;
+    qrCode.updateOTP = undefined;
+
+    // The previous owner's contact details never move with the code
+    qrCode.contact = {
+      name: user.name,
+      phone: user.phone,
+      email: user.email
+    };
+
+    if (transfer.resetDetails) {
+      qrCode.details = { name: qrCode.details.name };
+    }
+
+    if (transfer.scanHistory === 'scrub') {
+      qrCode.scanCount = 0;
+      qrCode.scanCounts = { qr: 0, nfc: 0, typed: 0 };
+      qrCode.lastScanned = undefined;
+      qrCode.foundBy = undefined;
+      if (qrCode.status === 'found') {
+        qrCode.status = 'active';
+      }
+    }
+
+    await qrCode.save();
+    QRService.clearCachedCode(qrCode.code);
+
+    // Kept history moves to the new owner; scrubbed history is gone for good
+    if (transfer.scanHistory === 'scrub') {
+      await ScanEvent.deleteMany({ qrCode: qrCode._id });
+    } else {
+      await ScanEvent.updateMany({ qrCode: qrCode._id }, { $set: { owner: user._id } });
+    }
+
+    // Conversations with finders were the previous owner's and don't move
+    await RelayThread.deleteMany({ qrCode: qrCode._id });
+    await ProxyNumberService.endSessions(qrCode._id, 'transferred');
+
+    await this.notifyCompleted(claimed, qrCode, transfer.fromUser._id, user);
+
+    return { transfer: claimed, qrCode, before };
+  }
+
+  /**
+   * Decline a transfer from its link
+   */
+  static async declineTransfer(token) {
+    const transfer = await this.findByToken(token);
+
+    if (!transfer.isOpen()) {
+      throw statusError('This transfer is no longer open', 410);
+    }
+
+    transfer.status = 'declined';
+    transfer.completedAt = new Date();
+    await transfer.save();
+
+    return transfer;
+  }
+
+  /**
+   * Cancel a pending transfer the user started
+   */
+  static async cancelTransfer(transferId, userId) {
+    const transfer = await OwnershipTransfer.findOneAndUpdate(
+      { _id: transferId, fromUser: userId, status: 'pending' },
+      { $set: { status: 'cancelled', completedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!transfer) {
+      throw statusError('Pending transfer not found', 404);
+    }
+
+    return transfer;
+  }
+
+  /**
+   * Transfers a user started and open transfers addressed to them
+   */
+  static async listTransfers(user) {
+    const outgoing = await OwnershipTransfer.find({ fromUser: user._id })
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .lean();
+
+    const incoming = await OwnershipTransfer.find({
+      toEmail: user.email,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    })
+      .populate('fromUser', 'name')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    return { outgoing, incoming };
+  }
+
+  /**
+   * Tell both parties the code has moved: a dashboard notification and an email each
+   */
+  static async notifyCompleted(transfer, qrCode, previousOwnerId, newOwner) {
+    const previousOwner = await User.findById(previousOwnerId).select('name email');
+    const itemName = qrCode.details.name;
+
+    const parties = [
+      {
+        user: previousOwner,
+        message: `${itemName} now belongs to ${newOwner.name}`,
+        role: 'previous',
+        otherName: newOwner.name
+      },
+      {
+        user: newOwner,
+        message: `${itemName} has been transferred to you`,
+        role: 'new',
+        otherName: previousOwner?.name
+      }
+    ];
+
+    for (const party of parties.filter(p => p.user)) {
+      const notification = await Notification.create({
+        qrCode: qrCode._id,
+        owner: party.user._id,
+        type: 'system',
+        title: 'QR Code Transferred',
+        message: party.message,
+        data: { qrCode: qrCode.code, itemName },
+        channels: [{ type: 'email', status: 'pending' }]
+      });
+
+      try {
+        await emailService.sendTransferCompletedEmail(party.user.email, party.user.name, {
+          name: itemName,
+          code: qrCode.code,
+          role: party.role,
+          otherName: party.otherName
+        });
+
+        notification.addChannelStatus('email', 'sent');
+        await notification.save();
+      } catch (emailError) {
+        console.error('Failed to send transfer completed email:', emailError);
+        notification.addChannelStatus('email', 'failed', emailError.message);
+        await notification.save();
+      }
+    }
+  }
+}
+
+module.exports = TransferService;
@@ -0,0 +1,41 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const QRCode = require('./src/models/QRCode');
+
+// QR images used to be stored on every QRCode document, once as a data URL
+// (qrImageUrl) and once as a Buffer (qrImageData). They are now rendered on
+// demand by GET /api/qr/:code/image, so the embedded copies can go.
+// Usage: node strip-qr-images.js [--dry-run]
+async function stripQRImages() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/scanback');
+    console.log('✅ Connected to MongoDB');
+
+    // The image fields are no longer in the schema, so query the raw collection
+    const filter = { $or: [{ qrImageUrl: { $exists: true } }, { qrImageData: { $exists: true } }] };
+
+    const count = await QRCode.collection.countDocuments(filter);
+    console.log(`Found ${count} QR codes with embedded images`);
+
+    if (dryRun || count === 0) {
+      return;
+    }
+
+    const result = await QRCode.collection.updateMany(filter, {
+      $unset: { qrImageUrl: '', qrImageData: '' }
+    });
+    console.log(`✅ Stripped images from ${result.modifiedCount} QR codes`);
+    console.log('ℹ️  Run the compact command on the qrcodes collection to return the space to the disk');
+
+  } catch (error) {
+    console.error('❌ Error stripping QR images:', error.message);
+  } finally {
+    await mongoose.disconnect();
+    process.exit(0);
+  }
+}
+
+stripQRImages();
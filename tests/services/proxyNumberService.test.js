@@ -0,0 +1,143 @@
+const ProxySession = require('../../src/models/ProxySession');
+const ProxyNumberProvider = require('../../src/services/proxyNumberProvider');
+const ProxyNumberService = require('../../src/services/proxyNumberService');
+
+const { FakeProxyNumberProvider } = ProxyNumberProvider;
+
+const POOL = ['+15005550001', '+15005550002', '+15005550003'];
+const FOUND_DATE = new Date('2026-01-10T10:00:00Z');
+
+const foundCode = (overrides = {}) => ({
+  _id: 'code-id',
+  code: 'ABCDE23456',
+  status: 'found',
+  foundBy: { foundDate: FOUND_DATE, finderPhone: '0831234567' },
+  contact: { phone: '0821234567', countryCode: '+27', backupPhone: '0841234567', backupCountryCode: '+27' },
+  settings: { maskPhone: true, useBackupNumber: true },
+  ...overrides
+});
+
+const liveSession = (overrides = {}) => ({
+  proxyNumber: POOL[0],
+  finderPhone: '+27831234567',
+  foundDate: FOUND_DATE,
+  expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  ...overrides
+});
+
+describe('ProxyNumberService', () => {
+  let provider;
+
+  beforeEach(() => {
+    provider = new FakeProxyNumberProvider(POOL);
+    ProxyNumberProvider.registerDriver('test', () => provider);
+    process.env.PROXY_NUMBER_DRIVER = 'test';
+    jest.spyOn(ProxyNumberService, 'endSessions').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.PROXY_NUMBER_DRIVER;
+  });
+
+  describe('startSession', () => {
+    const mockTakenNumbers = (...calls) => {
+      const find = jest.spyOn(ProxySession, 'find');
+      calls.forEach(taken => find.mockReturnValueOnce({ distinct: jest.fn().mockResolvedValue(taken) }));
+    };
+
+    it('lends the first free number to the found episode', async () => {
+      mockTakenNumbers([POOL[0]]);
+      const create = jest.spyOn(ProxySession, 'create').mockImplementation(async data => data);
+
+      const session = await ProxyNumberService.startSession(foundCode());
+
+      expect(session).toMatchObject({
+        qrCode: 'code-id',
+        proxyNumber: POOL[1],
+        finderPhone: '+27831234567',
+        foundDate: FOUND_DATE
+      });
+      expect(create).toHaveBeenCalledTimes(1);
+      expect(ProxyNumberService.endSessions).toHaveBeenCalledWith('code-id', 'not_found');
+    });
+
+    it('picks again when another report took the same number first', async () => {
+      mockTakenNumbers([], [POOL[0]]);
+      const duplicate = Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      const create = jest.spyOn(ProxySession, 'create')
+        .mockRejectedValueOnce(duplicate)
+        .mockImplementation(async data => data);
+
+      const session = await ProxyNumberService.startSession(foundCode());
+
+      expect(create).toHaveBeenCalledTimes(2);
+      expect(create.mock.calls[0][0].proxyNumber).toBe(POOL[0]);
+      expect(session.proxyNumber).toBe(POOL[1]);
+    });
+
+    it('returns null when every number is taken', async () => {
+      mockTakenNumbers(POOL);
+      const create = jest.spyOn(ProxySession, 'create');
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      await expect(ProxyNumberService.startSession(foundCode())).resolves.toBeNull();
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it('lends nothing when masking is off', async () => {
+      const find = jest.spyOn(ProxySession, 'find');
+
+      const qrCode = foundCode({ settings: { maskPhone: false } });
+      await expect(ProxyNumberService.startSession(qrCode)).resolves.toBeNull();
+      expect(find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getCounterpart', () => {
+    const live = { session: liveSession(), qrCode: foundCode() };
+
+    it('connects the owner to the finder', () => {
+      expect(ProxyNumberService.getCounterpart(live, '+27821234567')).toBe('+27831234567');
+      expect(ProxyNumberService.getCounterpart(live, '0841234567')).toBe('+27831234567');
+    });
+
+    it('connects the finder to the owner', () => {
+      expect(ProxyNumberService.getCounterpart(live, '083 123 4567')).toBe('+27821234567');
+    });
+
+    it('connects nobody else', () => {
+      expect(ProxyNumberService.getCounterpart(live, '+27719999999')).toBeNull();
+    });
+
+    it('ignores the backup phone when the owner does not use it', () => {
+      const qrCode = foundCode({ settings: { maskPhone: true, useBackupNumber: false } });
+      expect(ProxyNumberService.getCounterpart({ session: liveSession(), qrCode }, '0841234567')).toBeNull();
+    });
+  });
+
+  describe('getEndReason', () => {
+    it('keeps a live session routing', () => {
+      expect(ProxyNumberService.getEndReason(liveSession(), foundCode())).toBeNull();
+    });
+
+    it('ends an expired session', () => {
+      const session = liveSession({ expiresAt: new Date(Date.now() - 1000) });
+      expect(ProxyNumberService.getEndReason(session, foundCode())).toBe('expired');
+    });
+
+    it('ends the session once masking is turned off', () => {
+      const qrCode = foundCode({ settings: { maskPhone: false } });
+      expect(ProxyNumberService.getEndReason(liveSession(), qrCode)).toBe('masking_off');
+    });
+
+    it('ends the session of an earlier episode when the code is found again', () => {
+      const qrCode = foundCode({ foundBy: { foundDate: new Date('2026-02-01T08:00:00Z') } });
+      expect(ProxyNumberService.getEndReason(liveSession(), qrCode)).toBe('not_found');
+    });
+
+    it('ends the session once the code is deleted', () => {
+      expect(ProxyNumberService.getEndReason(liveSession(), null)).toBe('deleted');
+    });
+  });
+});